@@ -0,0 +1,146 @@
+require('dotenv').config();
+
+const connectDB = require('../src/db');
+const JobPosting = require('../src/models/JobPosting');
+const { CURRENCIES } = require('../src/constants');
+
+// Best-effort parse of free-text salaryRange strings into structured salary.
+// Strings without a recognisable currency, amount or pay period are left alone
+// and listed at the end for manual review. Pass --dry-run to preview.
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const CURRENCY_PATTERNS = [
+  ['AUD', /\b(aud|a\$|au\$)/i],
+  ['CAD', /\b(cad|c\$|ca\$)/i],
+  ['INR', /(₹|\binr\b|\brs\.?|\brupees?\b|\blpa\b|\blakhs?\b|\blacs?\b|\bcrores?\b)/i],
+  ['EUR', /(€|\beur\b|\beuros?\b)/i],
+  ['GBP', /(£|\bgbp\b|\bpounds?\b)/i],
+  ['USD', /(\$|\busd\b|\bdollars?\b)/i]
+];
+
+const PERIOD_PATTERNS = [
+  ['hour', /(per\s*hour|\/\s*h(ou)?r\b|\bhourly\b|\bp\.?h\b|\/hr)/i],
+  ['month', /(per\s*month|\/\s*mo(nth)?\b|\bmonthly\b|\bp\.?m\.?(?![a-z])|\bpcm\b)/i],
+  ['year', /(per\s*(year|annum)|\/\s*y(ea)?r\b|\bannual(ly)?\b|\byearly\b|\bp\.?a\.?(?![a-z])|\blpa\b|\bctc\b)/i],
+  ['contract', /(per\s*(contract|project)|\bfixed\b|\blump\s*sum\b|\bcontract\b|\bproject\b)/i]
+];
+
+const UNIT_MULTIPLIERS = {
+  k: 1000,
+  m: 1000000,
+  mn: 1000000,
+  l: 100000,
+  lakh: 100000,
+  lakhs: 100000,
+  lac: 100000,
+  lacs: 100000,
+  cr: 10000000,
+  crore: 10000000,
+  crores: 10000000
+};
+
+const detect = (text, patterns) => {
+  const match = patterns.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
+
+const parseAmounts = (text) => {
+  const amounts = [];
+  const pattern = /(\d[\d,]*(?:\.\d+)?)\s*(k|mn|m|lakhs?|lacs?|l|crores?|cr)?(?![a-z])/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const value = Number(match[1].replace(/,/g, ''));
+    if (!Number.isFinite(value)) {
+      continue;
+    }
+    const unit = match[2]?.toLowerCase();
+    amounts.push({ value, unit: unit || null });
+  }
+
+  // "5-7 LPA" / "5 to 7 lakhs": a trailing unit applies to every bare number in the range
+  const sharedUnit = amounts.find((amount) => amount.unit)?.unit
+    || (/\blpa\b/i.test(text) ? 'lakh' : null);
+
+  return amounts.map(({ value, unit }) => {
+    const effectiveUnit = unit || sharedUnit;
+    return Math.round(value * (effectiveUnit ? UNIT_MULTIPLIERS[effectiveUnit] : 1) * 100) / 100;
+  });
+};
+
+const parseSalaryRange = (salaryRange) => {
+  const text = String(salaryRange || '').trim();
+
+  if (!text) {
+    return null;
+  }
+
+  const currency = detect(text, CURRENCY_PATTERNS);
+  const period = detect(text, PERIOD_PATTERNS) || (/\blpa\b|\blakhs?\b|\bcrores?\b/i.test(text) ? 'year' : null);
+  const amounts = parseAmounts(text);
+
+  if (!currency || !CURRENCIES.includes(currency) || !period || amounts.length === 0) {
+    return null;
+  }
+
+  if (amounts.length >= 2) {
+    const [first, second] = amounts;
+    return { min: Math.min(first, second), max: Math.max(first, second), currency, period, isHidden: false };
+  }
+
+  const [amount] = amounts;
+
+  if (/\b(up\s*to|upto|max(imum)?|under)\b/i.test(text)) {
+    return { min: null, max: amount, currency, period, isHidden: false };
+  }
+
+  if (/\b(from|min(imum)?|starting|at\s*least)\b|\+/i.test(text)) {
+    return { min: amount, max: null, currency, period, isHidden: false };
+  }
+
+  return { min: amount, max: amount, currency, period, isHidden: false };
+};
+
+const runMigration = async () => {
+  try {
+    await connectDB();
+
+    const jobs = await JobPosting.find({
+      salaryRange: { $nin: [null, ''] },
+      salary: null
+    }).select('salaryRange').lean();
+
+    let migrated = 0;
+    const unparsed = [];
+
+    for (const job of jobs) {
+      const salary = parseSalaryRange(job.salaryRange);
+
+      if (!salary) {
+        unparsed.push(job);
+        continue;
+      }
+
+      if (!DRY_RUN) {
+        await JobPosting.updateOne({ _id: job._id, salary: null }, { $set: { salary } });
+      }
+
+      migrated += 1;
+      console.log(`${DRY_RUN ? '[dry run] ' : ''}${job._id}: "${job.salaryRange}" -> ${JSON.stringify(salary)}`);
+    }
+
+    console.log('Salary migration completed.');
+    console.log(`Jobs checked: ${jobs.length}`);
+    console.log(`Jobs ${DRY_RUN ? 'that would be migrated' : 'migrated'}: ${migrated}`);
+    console.log(`Jobs needing manual review: ${unparsed.length}`);
+    unparsed.forEach((job) => console.log(`  ${job._id}: "${job.salaryRange}"`));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Salary migration failed:', error);
+    process.exit(1);
+  }
+};
+
+runMigration();
@@ -145,7 +145,8 @@ const seedDatabase = async () => {
     const adminUser = await User.create({
       username: 'admin',
       passwordHash,
-      userType: 'admin'
+      userType: 'admin',
+      adminRole: 'super_admin'
     });
 
     // Company users - Indian companies
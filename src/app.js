@@ -14,6 +14,7 @@ const mediaRoutes = require('./routes/mediaRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const paymentController = require('./controllers/paymentController');
+const { resolveTrustProxy } = require('./utils/clientIp');
 
 // Password reset environment warnings
 if (!process.env.ADMIN_EMAIL) {
@@ -23,6 +24,10 @@ if (!process.env.FRONTEND_URL && !process.env.FRONTEND_BASE_URL && !process.env.
   console.warn('[WARNING] FRONTEND_URL/FRONTEND_BASE_URL/APP_BASE_URL environment variables are not set. Password reset links will use default localhost URL.');
 }
 
+// req.ip feeds login throttling and payment geo-pricing; only proxies trusted
+// here may set the client address through X-Forwarded-For
+app.set('trust proxy', resolveTrustProxy(process.env.TRUST_PROXY));
+
 const allowedOrigins = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
   : [];
@@ -31,6 +31,18 @@ const STUDENT_APPLICATION_STATUS_MAP = {
     studentFacingStatus: 'Not Selected',
     statusMessage: "We appreciate your interest. Unfortunately, you weren't selected for this role. Keep applying!"
   },
+  offer_declined: {
+    studentFacingStatus: 'Offer Declined',
+    statusMessage: 'You declined this offer.'
+  },
+  offer_lapsed: {
+    studentFacingStatus: 'Offer Expired',
+    statusMessage: 'This offer expired before it was accepted.'
+  },
+  rejected_screening: {
+    studentFacingStatus: 'Not Selected',
+    statusMessage: "Thanks for applying. Based on your screening answers, this role isn't a match right now. Keep applying!"
+  },
   withdrawn: {
     studentFacingStatus: 'Withdrawn',
     statusMessage: 'You have withdrawn this application.'
@@ -39,6 +51,69 @@ const STUDENT_APPLICATION_STATUS_MAP = {
 
 const COMPANY_STATUSES = ['pending', 'approved', 'rejected'];
 
+// owner: full access incl. team and profile; recruiter: jobs and hiring decisions; viewer: read-only
+const COMPANY_ROLES = ['owner', 'recruiter', 'viewer'];
+
+const ADMIN_ROLES = ['super_admin', 'moderator', 'finance', 'support'];
+
+const ADMIN_PERMISSIONS = [
+  'dashboard:view',
+  'companies:view',
+  'companies:moderate',
+  'companies:suspend',
+  'jobs:view',
+  'jobs:moderate',
+  'applications:view',
+  'applications:manage',
+  'withdrawals:manage',
+  'students:view',
+  'students:subscriptions',
+  'students:suspend',
+  'pricing:view',
+  'pricing:manage',
+  'zones:manage',
+  'security:manage',
+  'admins:manage'
+];
+
+// What each admin role may do; super_admin has every permission
+const ADMIN_ROLE_PERMISSIONS = {
+  super_admin: ADMIN_PERMISSIONS,
+  moderator: [
+    'dashboard:view',
+    'companies:view',
+    'companies:moderate',
+    'companies:suspend',
+    'jobs:view',
+    'jobs:moderate',
+    'applications:view',
+    'applications:manage',
+    'withdrawals:manage',
+    'students:view',
+    'students:suspend'
+  ],
+  finance: [
+    'dashboard:view',
+    'companies:view',
+    'students:view',
+    'students:subscriptions',
+    'pricing:view',
+    'pricing:manage',
+    'zones:manage'
+  ],
+  support: [
+    'dashboard:view',
+    'companies:view',
+    'jobs:view',
+    'applications:view',
+    'withdrawals:manage',
+    'students:view',
+    'students:subscriptions',
+    'pricing:view',
+    'security:manage'
+  ]
+};
+
 const JOB_TYPES = [
   'Full-time',
   'Part-time',
@@ -78,19 +153,34 @@ const CONFIG_KEYS = {
   FREE_TIER_MAX_APPLICATIONS: 'free_tier_max_applications',
   FREE_TIER_FEATURES: 'free_tier_features',
   FREE_TIER_RESUME_DOWNLOADS: 'free_tier_resume_downloads',
-  FREE_TIER_VIDEO_VIEWS: 'free_tier_video_views'
+  FREE_TIER_VIDEO_VIEWS: 'free_tier_video_views',
+  CURRENCY_RATES: 'currency_rates'
 };
 
 const CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD'];
 
+const SALARY_PERIODS = ['hour', 'month', 'year', 'contract'];
+
 // All plans are now quota-based (one-time purchase)
 const BILLING_CYCLES = ['one-time'];
 
+const SAVED_SEARCH_FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+const INTERVIEW_MODES = ['video', 'onsite', 'phone'];
+
+const SCREENING_QUESTION_TYPES = ['yes_no', 'multiple_choice', 'numeric', 'text'];
+
+const MAX_SCREENING_QUESTIONS = 10;
+
 module.exports = {
   JOB_STATUSES,
   APPLICATION_STATUSES,
   STUDENT_APPLICATION_STATUS_MAP,
   COMPANY_STATUSES,
+  COMPANY_ROLES,
+  ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
   JOB_TYPES,
   SUBSCRIPTION_STATUSES,
   SUBSCRIPTION_TIERS,
@@ -98,5 +188,10 @@ module.exports = {
   COMPANY_SIZES,
   CONFIG_KEYS,
   CURRENCIES,
-  BILLING_CYCLES
+  SALARY_PERIODS,
+  BILLING_CYCLES,
+  SAVED_SEARCH_FREQUENCIES,
+  INTERVIEW_MODES,
+  SCREENING_QUESTION_TYPES,
+  MAX_SCREENING_QUESTIONS
 };
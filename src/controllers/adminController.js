@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 
 const User = require('../models/User');
 const Company = require('../models/Company');
+const AuthThrottle = require('../models/AuthThrottle');
+const CompanyMember = require('../models/CompanyMember');
 const JobPosting = require('../models/JobPosting');
 const Student = require('../models/Student');
 const Application = require('../models/Application');
@@ -12,8 +14,15 @@ const SystemConfig = require('../models/SystemConfig');
 const Zone = require('../models/Zone');
 const ZoneCountry = require('../models/ZoneCountry');
 const PlanZone = require('../models/PlanZone');
+const ResumeVersion = require('../models/ResumeVersion');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const savedSearchService = require('../services/savedSearchService');
+const {
+  buildStatusHistoryEntry,
+  buildBulkStatusChangeUpdate,
+  formatAdminTimeline
+} = require('../services/applicationService');
 const {
   updateCompanyStatusSchema,
   updateJobStatusSchema,
@@ -22,13 +31,19 @@ const {
 } = require('../utils/validation');
 const { COMPANY_STATUSES, JOB_STATUSES, APPLICATION_STATUSES, JOB_TYPES, CONFIG_KEYS, CURRENCIES, BILLING_CYCLES } = require('../constants');
 const { getPresignedUrl } = require('../services/mediaService');
+const { formatSubmittedResume } = require('../services/resumeService');
+const { getMediaUsage } = require('../services/mediaQuotaService');
+const { buildPerkStages } = require('../services/perkService');
+const { SALARY_BASE_CURRENCY, getCurrencyRates } = require('../services/salaryService');
+const { revokeUserSessions } = require('../services/authSessionService');
+const { formatLockout } = require('../services/authThrottleService');
 const {
   applyCompanyProfileUpdates,
   buildCompanyProfileResponse,
   invalidatePublicCompanyProfileCache
 } = require('../services/companyProfileService');
+const { escapeRegex } = require('../utils/regex');
 
-const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const buildSubscriptionPlanResponse = (plan) => ({
   id: plan._id,
@@ -275,7 +290,7 @@ exports.updateCompany = async (req, res) => {
         .catch((error) => console.error('Failed to send company approval email', error));
 
       notificationService
-        .notifyCompanyApproved(companyUserId, { companyName: updatedCompany.name })
+        .notifyCompanyApproved(updatedCompany, { companyName: updatedCompany.name })
         .catch((err) => console.error('Notification error (company approved):', err));
     } else if (statusChanged && parsed.status === 'rejected') {
       emailService
@@ -291,7 +306,7 @@ exports.updateCompany = async (req, res) => {
         .catch((error) => console.error('Failed to send company rejection email', error));
 
       notificationService
-        .notifyCompanyRejected(companyUserId, {
+        .notifyCompanyRejected(updatedCompany, {
           companyName: updatedCompany.name,
           rejectionReason: parsed.rejectionReason || updatedCompany.rejectionReason
         })
@@ -364,6 +379,7 @@ exports.getJobs = async (req, res) => {
       location: job.location,
       jobType: job.jobType,
       salaryRange: job.salaryRange,
+      salary: job.salary || null,
       deadline: job.deadline,
       status: job.status,
       rejectionReason: job.rejectionReason,
@@ -414,6 +430,7 @@ exports.getJob = async (req, res) => {
       location: job.location,
       jobType: job.jobType,
       salaryRange: job.salaryRange,
+      salary: job.salary || null,
       deadline: job.deadline,
       status: job.status,
       rejectionReason: job.rejectionReason,
@@ -454,6 +471,7 @@ exports.updateJob = async (req, res) => {
     if (parsed.status === 'approved') {
       updateFields.approvedAt = new Date();
       updateFields.rejectionReason = null;
+      updateFields.expiredAt = null;
     } else if (parsed.status === 'rejected') {
       updateFields.rejectionReason = parsed.rejectionReason || null;
       updateFields.approvedAt = null;
@@ -475,12 +493,13 @@ exports.updateJob = async (req, res) => {
           jobPostingId: jobId,
           status: { $in: ['pending', 'reviewed'] }
         },
-        {
-          $set: {
-            status: 'rejected',
-            rejectionReason: 'Job posting has been closed'
-          }
-        }
+        buildBulkStatusChangeUpdate({
+          toStatus: 'rejected',
+          actorId: req.user.userId,
+          actorType: 'admin',
+          reason: 'Job posting has been closed',
+          set: { rejectionReason: 'Job posting has been closed' }
+        })
       );
     }
 
@@ -493,6 +512,7 @@ exports.updateJob = async (req, res) => {
       location: updatedJob.location,
       jobType: updatedJob.jobType,
       salaryRange: updatedJob.salaryRange,
+      salary: updatedJob.salary || null,
       deadline: updatedJob.deadline,
       status: updatedJob.status,
       rejectionReason: updatedJob.rejectionReason,
@@ -507,13 +527,17 @@ exports.updateJob = async (req, res) => {
     const statusChanged = previousStatus !== updatedJob.status;
 
     if (statusChanged && parsed.status === 'approved') {
-      const companyUserId = updatedJob.companyId?.userId;
-
       notificationService
-        .notifyJobApproved(companyUserId, { jobTitle: updatedJob.title || 'Job Posting' })
+        .notifyJobApproved(updatedJob.companyId, { jobTitle: updatedJob.title || 'Job Posting' })
         .catch((error) => {
           console.error('Notification error (job approved):', error);
         });
+
+      savedSearchService
+        .processApprovedJob(updatedJob._id)
+        .catch((error) => {
+          console.error('Saved search matching error (job approved):', error);
+        });
     }
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -609,9 +633,10 @@ exports.getApplications = async (req, res) => {
     const countResult = await Application.aggregate(countPipeline);
     const total = countResult[0]?.total || 0;
 
-    // Add sorting and pagination
+    // Add sorting and pagination; boosted candidates rank first
     pipeline.push(
-      { $sort: { createdAt: -1 } },
+      ...buildPerkStages(),
+      { $sort: { isBoosted: -1, createdAt: -1 } },
       { $skip: skip },
       { $limit: limitNum },
       {
@@ -628,6 +653,7 @@ exports.getApplications = async (req, res) => {
           'student.email': 1,
           'student.profileLink': 1,
           'student.isHired': 1,
+          isBoosted: 1,
           'jobPosting._id': 1,
           'jobPosting.title': 1,
           'jobPosting.location': 1,
@@ -653,7 +679,8 @@ exports.getApplications = async (req, res) => {
         fullName: app.student.fullName,
         email: app.student.email,
         profileLink: app.student.profileLink,
-        isHired: app.student.isHired
+        isHired: app.student.isHired,
+        isBoosted: app.isBoosted
       },
       jobPosting: {
         id: app.jobPosting._id.toString(),
@@ -767,6 +794,34 @@ exports.updateCompanyProfileAdmin = async (req, res) => {
   }
 };
 
+exports.getApplicationTimeline = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const application = await Application.findById(appId)
+      .select('status statusHistory createdAt')
+      .lean();
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json({
+      applicationId: application._id.toString(),
+      status: application.status,
+      createdAt: application.createdAt,
+      timeline: await formatAdminTimeline(application.statusHistory)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 exports.updateApplication = async (req, res) => {
   try {
     const { appId } = req.params;
@@ -805,9 +860,23 @@ exports.updateApplication = async (req, res) => {
       updateFields.rejectionSource = 'admin';
     }
 
+    const update = { $set: updateFields };
+
+    if (application.status !== parsed.status) {
+      update.$push = {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: application.status,
+          toStatus: parsed.status,
+          actorId: req.user.userId,
+          actorType: 'admin',
+          reason: parsed.status === 'rejected' ? updateFields.rejectionReason : null
+        })
+      };
+    }
+
     const updatedApp = await Application.findByIdAndUpdate(
       appId,
-      { $set: updateFields },
+      update,
       { returnDocument: 'after' }
     )
       .populate('studentId', 'fullName email profileLink isHired userId')
@@ -869,14 +938,12 @@ exports.updateApplication = async (req, res) => {
         .catch((err) => console.error('Notification error (app approved):', err));
 
       // Notify company about the new application (after admin approval)
-      if (updatedApp.jobPostingId.companyId?.userId) {
-        notificationService
-          .notifyApplicationReceived(updatedApp.jobPostingId.companyId.userId, {
-            jobTitle: updatedApp.jobPostingId.title,
-            studentName: updatedApp.studentId.fullName
-          })
-          .catch((err) => console.error('Notification error (app received by company):', err));
-      }
+      notificationService
+        .notifyApplicationReceived(updatedApp.jobPostingId.companyId, {
+          jobTitle: updatedApp.jobPostingId.title,
+          studentName: updatedApp.studentId.fullName
+        })
+        .catch((err) => console.error('Notification error (app received by company):', err));
     } else if (parsed.status === 'rejected') {
       emailService
         .sendApplicationStatusEmail(
@@ -1022,9 +1089,10 @@ exports.getStudents = async (req, res) => {
     const countResult = await Student.aggregate(countPipeline);
     const total = countResult[0]?.total || 0;
 
-    // Add sorting and pagination
+    // Add sorting and pagination; boosted students rank first
     pipeline.push(
-      { $sort: { createdAt: -1 } },
+      ...buildPerkStages('$currentSubscriptionId'),
+      { $sort: { isBoosted: -1, createdAt: -1 } },
       { $skip: skip },
       { $limit: limitNum },
       {
@@ -1040,6 +1108,7 @@ exports.getStudents = async (req, res) => {
           hasVideo: { $cond: [{ $ne: ['$introVideoUrl', null] }, true, false] },
           totalApplications: 1,
           activeApplications: 1,
+          isBoosted: 1,
           createdAt: 1
         }
       }
@@ -1059,6 +1128,7 @@ exports.getStudents = async (req, res) => {
       hasVideo: s.hasVideo,
       totalApplications: s.totalApplications,
       activeApplications: s.activeApplications,
+      isBoosted: s.isBoosted,
       createdAt: s.createdAt
     }));
 
@@ -1141,6 +1211,7 @@ exports.getStudentProfile = async (req, res) => {
 
     // Get all applications with job details
     const applications = await Application.find({ studentId: student._id })
+      .select('-statusHistory')
       .populate({
         path: 'jobPostingId',
         select: 'title location jobType salaryRange status',
@@ -1149,8 +1220,15 @@ exports.getStudentProfile = async (req, res) => {
           select: 'name'
         }
       })
+      .populate('resumeVersionId', 'name')
       .sort({ createdAt: -1 });
 
+    const [submittedResumes, resumeVersions, mediaUsage] = await Promise.all([
+      Promise.all(applications.map((app) => formatSubmittedResume(app, student))),
+      ResumeVersion.find({ studentId: student._id }).sort({ createdAt: -1 }).lean(),
+      getMediaUsage(student._id)
+    ]);
+
     res.json({
       id: student._id,
       studentId: student.studentId || null,
@@ -1166,7 +1244,16 @@ exports.getStudentProfile = async (req, res) => {
       education: student.education || [],
       experience: student.experience || [],
       resumeUrl,
+      // Full library, deleted versions included, so support can trace older applications
+      resumeVersions: resumeVersions.map((version) => ({
+        id: version._id,
+        name: version.name,
+        isDefault: version.isDefault,
+        deletedAt: version.deletedAt,
+        createdAt: version.createdAt
+      })),
       introVideoUrl,
+      mediaUsage,
       isHired: student.isHired,
       createdAt: student.createdAt,
       subscription: {
@@ -1253,12 +1340,13 @@ exports.getStudentProfile = async (req, res) => {
           details
         };
       }),
-      applications: applications.map(app => ({
+      applications: applications.map((app, index) => ({
         id: app._id,
         status: app.status,
         createdAt: app.createdAt,
         reviewedAt: app.reviewedAt,
         rejectionReason: app.rejectionReason,
+        submittedResume: submittedResumes[index],
         job: app.jobPostingId ? {
           id: app.jobPostingId._id,
           title: app.jobPostingId.title,
@@ -1725,6 +1813,61 @@ exports.updateFreeTierConfig = async (req, res) => {
   }
 };
 
+// ─── Currency Rates ──────────────────────────────────────────────────────────
+
+exports.getCurrencyRates = async (req, res) => {
+  try {
+    const rates = await getCurrencyRates();
+
+    res.json({ baseCurrency: SALARY_BASE_CURRENCY, rates });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.updateCurrencyRates = async (req, res) => {
+  try {
+    const { rates } = req.body || {};
+
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+      return res.status(400).json({ error: 'Rates must be an object of currency to rate' });
+    }
+
+    const entries = Object.entries(rates);
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    for (const [currency, rate] of entries) {
+      if (!CURRENCIES.includes(currency)) {
+        return res.status(400).json({ error: `Currency must be one of: ${CURRENCIES.join(', ')}` });
+      }
+      if (currency === SALARY_BASE_CURRENCY && rate !== 1) {
+        return res.status(400).json({ error: `${SALARY_BASE_CURRENCY} is the base currency and its rate is fixed at 1` });
+      }
+      if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+        return res.status(400).json({ error: `Rate for ${currency} must be a positive number` });
+      }
+    }
+
+    const currentRates = await getCurrencyRates();
+
+    await SystemConfig.setValue(
+      CONFIG_KEYS.CURRENCY_RATES,
+      { ...currentRates, ...rates },
+      `Value of one unit of each currency in ${SALARY_BASE_CURRENCY}, used to compare job salaries`,
+      req.user.userId
+    );
+
+    res.json({ baseCurrency: SALARY_BASE_CURRENCY, rates: await getCurrencyRates() });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // ─── Zone Management ─────────────────────────────────────────────────────────
 
 exports.getZones = async (req, res) => {
@@ -2220,6 +2363,9 @@ exports.setStudentActiveStatus = async (req, res) => {
     const student = await Student.findById(studentId);
     if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
     await User.findByIdAndUpdate(student.userId, { isActive });
+    if (isActive === false) {
+      await revokeUserSessions(student.userId, 'account_suspended');
+    }
     res.json({ success: true, isActive });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -2232,9 +2378,51 @@ exports.setCompanyActiveStatus = async (req, res) => {
     const { isActive } = req.body;
     const company = await Company.findById(companyId);
     if (!company) return res.status(404).json({ success: false, message: 'Company not found' });
-    await User.findByIdAndUpdate(company.userId, { isActive });
+    // The whole team is suspended with the company
+    const memberUserIds = await CompanyMember.distinct('userId', { companyId: company._id, userId: { $ne: null } });
+    const userIds = [company.userId, ...memberUserIds];
+    await User.updateMany({ _id: { $in: userIds } }, { isActive });
+    if (isActive === false) {
+      await revokeUserSessions(userIds, 'account_suspended');
+    }
     res.json({ success: true, isActive });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
+
+// Active login lockouts (username and IP)
+exports.getLockouts = async (req, res) => {
+  try {
+    const lockouts = await AuthThrottle.find({ action: 'login', lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 })
+      .lean();
+
+    res.json({ lockouts: lockouts.map(formatLockout) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Lift a lockout early; its failure history is dropped so the next cooldown starts from the base length
+exports.clearLockout = async (req, res) => {
+  try {
+    const { lockoutId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(lockoutId)) {
+      return res.status(400).json({ error: 'Invalid lockout ID format' });
+    }
+
+    const lockout = await AuthThrottle.findOneAndDelete({ _id: lockoutId, action: 'login' });
+
+    if (!lockout) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    res.json({ message: 'Lockout cleared', lockout: formatLockout(lockout) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
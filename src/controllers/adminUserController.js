@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+const User = require('../models/User');
+const { ADMIN_ROLES } = require('../constants');
+const { createAdminUserSchema, updateAdminRoleSchema } = require('../utils/validation');
+const {
+  DEFAULT_ADMIN_ROLE,
+  getAdminRole,
+  getAdminPermissions,
+  countSuperAdmins,
+  formatAdminUser
+} = require('../services/adminRoleService');
+
+exports.getAdminRoles = async (req, res) => {
+  res.json({
+    roles: ADMIN_ROLES.map((role) => ({ role, permissions: getAdminPermissions(role) }))
+  });
+};
+
+exports.getAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ userType: 'admin' })
+      .select('username adminRole isActive createdAt')
+      .sort({ createdAt: 1 });
+
+    res.json({ admins: admins.map(formatAdminUser) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.createAdmin = async (req, res) => {
+  try {
+    const { username, password, role } = createAdminUserSchema.parse(req.body || {});
+
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+
+    const user = await User.create({
+      username,
+      passwordHash: await bcrypt.hash(password, 10),
+      userType: 'admin',
+      adminRole: role
+    });
+
+    res.status(201).json(formatAdminUser(user));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.updateAdminRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    const { role } = updateAdminRoleSchema.parse(req.body || {});
+
+    const user = await User.findOne({ _id: userId, userType: 'admin' });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (user._id.toString() === req.user.userId && role !== getAdminRole(user)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    // Never leave the platform without someone who can assign roles
+    if (getAdminRole(user) === DEFAULT_ADMIN_ROLE && role !== DEFAULT_ADMIN_ROLE && user.isActive) {
+      const superAdminCount = await countSuperAdmins();
+      if (superAdminCount <= 1) {
+        return res.status(400).json({ error: 'At least one super admin is required' });
+      }
+    }
+
+    user.adminRole = role;
+    await user.save();
+
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -1,4 +1,3 @@
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
@@ -6,6 +5,7 @@ const crypto = require('crypto');
 const User = require('../models/User');
 const Company = require('../models/Company');
 const Student = require('../models/Student');
+const CompanyMember = require('../models/CompanyMember');
 const AvailableService = require('../models/AvailableService');
 const ActiveSubscription = require('../models/ActiveSubscription');
 const PasswordResetToken = require('../models/PasswordResetToken');
@@ -14,10 +14,33 @@ const {
   studentRegistrationSchema,
   forgotPasswordSchema,
   verifyResetTokenSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  companyInviteTokenSchema,
+  acceptCompanyInviteSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  resendVerificationSchema
 } = require('../utils/validation');
-const { sendPasswordResetEmail } = require('../services/emailService');
+const { sendPasswordResetEmail, sendAccountLockedEmail } = require('../services/emailService');
+const { resolveCompanyMembership, ensureOwnerMembership } = require('../services/companyTeamService');
+const { getAdminRole, getAdminPermissions } = require('../services/adminRoleService');
+const {
+  ACCOUNT_SUSPENDED_MESSAGE,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  findSessionIdByRefreshToken
+} = require('../services/authSessionService');
+const { sendVerification, isResendCoolingDown, verifyEmailToken } = require('../services/emailVerificationService');
+const {
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  consumeResetAttempt
+} = require('../services/authThrottleService');
 const notificationService = require('../services/notificationService');
+const { getClientIp } = require('../utils/clientIp');
 
 const trimTrailingSlash = (value = '') => value.replace(/\/$/, '');
 const getFrontendBaseUrl = () => {
@@ -29,14 +52,29 @@ const getFrontendBaseUrl = () => {
 const isEmailTaken = async (email) => {
   const normalizedEmail = email.toLowerCase().trim();
 
-  const [studentExists, companyExists] = await Promise.all([
+  const [studentExists, companyExists, memberExists] = await Promise.all([
     Student.exists({ email: normalizedEmail }),
-    Company.exists({ email: normalizedEmail })
+    Company.exists({ email: normalizedEmail }),
+    CompanyMember.exists({ email: normalizedEmail, status: { $ne: 'removed' } })
   ]);
 
   const isAdminEmail = process.env.ADMIN_EMAIL?.toLowerCase() === normalizedEmail;
 
-  return studentExists || companyExists || isAdminEmail;
+  return studentExists || companyExists || memberExists || isAdminEmail;
+};
+
+const formatRetryAfter = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// Role and permissions for admin users, null for everyone else
+const formatAdminAccess = (user) => {
+  if (user.userType !== 'admin') {
+    return null;
+  }
+  const role = getAdminRole(user);
+  return { role, permissions: getAdminPermissions(role) };
 };
 
 // Helper to find user by email across all user types
@@ -64,6 +102,17 @@ const findUserByEmail = async (email) => {
     };
   }
 
+  // Check company team members who have accepted their invitation
+  const member = await CompanyMember.findOne({ email: normalizedEmail, status: 'active', userId: { $ne: null } })
+    .populate('userId');
+  if (member && member.userId) {
+    return {
+      user: member.userId,
+      userType: 'company',
+      profileRecord: null
+    };
+  }
+
   // Check Admin (email stored in env, user in database)
   if (process.env.ADMIN_EMAIL?.toLowerCase() === normalizedEmail) {
     const adminUser = await User.findOne({ userType: 'admin' });
@@ -79,6 +128,40 @@ const findUserByEmail = async (email) => {
   return null;
 };
 
+// Reverse of findUserByEmail: where account emails for this user are sent
+// Returns { email, recipientName } or null
+const findEmailForUser = async (user) => {
+  if (user.userType === 'student') {
+    const student = await Student.findOne({ userId: user._id }).select('email fullName');
+    return student ? { email: student.email, recipientName: student.fullName } : null;
+  }
+
+  if (user.userType === 'company') {
+    const member = await CompanyMember.findOne({ userId: user._id, status: 'active' }).select('email');
+    if (member) {
+      return { email: member.email, recipientName: null };
+    }
+    const company = await Company.findOne({ userId: user._id }).select('email name');
+    return company ? { email: company.email, recipientName: company.name } : null;
+  }
+
+  return process.env.ADMIN_EMAIL ? { email: process.env.ADMIN_EMAIL, recipientName: null } : null;
+};
+
+const notifyAccountLocked = async (user, lockout) => {
+  const recipient = await findEmailForUser(user);
+
+  if (!recipient) {
+    return;
+  }
+
+  await sendAccountLockedEmail(recipient.email, {
+    recipientName: recipient.recipientName,
+    lockoutMinutes: lockout.minutes,
+    resetUrl: `${getFrontendBaseUrl()}/forgot-password`
+  });
+};
+
 exports.login = async (req, res) => {
   try {
     const { username, password, userType } = req.body;
@@ -108,37 +191,71 @@ exports.login = async (req, res) => {
       });
     }
 
+    const normalizedUsername = username.toLowerCase().trim();
+    const clientIp = getClientIp(req);
+
+    // brute-force lockout, per username and per IP
+    const lock = await getLoginLock(normalizedUsername, clientIp);
+
+    if (lock) {
+      res.set('Retry-After', String(lock.retryAfterSeconds));
+      return res.status(429).json({
+        error: `Too many failed login attempts. Please try again in ${formatRetryAfter(lock.retryAfterSeconds)}.`,
+        retryAfterSeconds: lock.retryAfterSeconds
+      });
+    }
+
     // find user
     const user = await User.findOne({
-      username: username.toLowerCase(),
+      username: normalizedUsername,
       userType
     });
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-   
-
     // password check
-    const isMatch = await bcrypt.compare(password, user.passwordHash);
+    const isMatch = user ? await bcrypt.compare(password, user.passwordHash) : false;
 
     if (!isMatch) {
+      const { usernameLockout } = await recordLoginFailure(normalizedUsername, clientIp);
+
+      if (usernameLockout && user) {
+        notifyAccountLocked(user, usernameLockout)
+          .catch((err) => console.error('Failed to send account locked email:', err));
+      }
+
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    await clearLoginFailures(normalizedUsername);
+
     if (!user.isActive) {
       return res.status(403).json({
         success: false,
-        message: 'Your account has been suspended. Please contact support@aquatalentz.com.'
+        message: ACCOUNT_SUSPENDED_MESSAGE
+      });
+    }
+
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
       });
     }
 
     let company = null;
+    let companyRole = null;
     let student = null;
 
     if (userType === 'company') {
-      company = await Company.findOne({ userId: user._id });
+      const membership = await resolveCompanyMembership(user._id);
+
+      if (!membership) {
+        return res.status(403).json({
+          error: 'You no longer have access to this company account'
+        });
+      }
+
+      ({ company } = membership);
+      companyRole = membership.member.role;
 
       if (company.status === 'pending') {
         return res.status(403).json({
@@ -157,27 +274,22 @@ exports.login = async (req, res) => {
       student = await Student.findOne({ userId: user._id });
     }
 
-    const payload = {
-      userId: user._id.toString(),
-      userType: user.userType
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '24h'
-    });
+    const tokens = await createSession(user, { userAgent: req.get('user-agent') || null });
 
    res.json({
-  token,
+  ...tokens,
   user: {
     id: user._id.toString(),
     username: user.username,
     userType: user.userType,
+    admin: formatAdminAccess(user),
 
     company: company ? {
       id: company._id.toString(),
       name: company.name,
       email: company.email,
       status: company.status,
+      role: companyRole,
       createdAt: company.createdAt,
       approvedAt: company.approvedAt
     } : null,
@@ -202,11 +314,63 @@ exports.login = async (req, res) => {
   }
 };
 
+// Ends the current session: the one behind the access token, or the one the
+// refresh token belongs to when the access token has already expired
 exports.logout = async (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+  try {
+    let sessionId = req.user?.sessionId || null;
+
+    if (!sessionId && typeof req.body?.refreshToken === 'string' && req.body.refreshToken) {
+      sessionId = await findSessionIdByRefreshToken(req.body.refreshToken);
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user.userId, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = refreshTokenSchema.parse(req.body || {});
+
+    const tokens = await rotateRefreshToken(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues?.[0]?.message || 'Invalid input' });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
 };
 
 exports.getMe = async (req, res) => {
@@ -221,10 +385,13 @@ exports.getMe = async (req, res) => {
     }
 
     let company = null;
+    let companyRole = null;
     let student = null;
 
     if (user.userType === 'company') {
-      company = await Company.findOne({ userId: user._id });
+      const membership = await resolveCompanyMembership(user._id);
+      company = membership?.company || null;
+      companyRole = membership?.member.role || null;
     }
 
     if (user.userType === 'student') {
@@ -235,12 +402,14 @@ exports.getMe = async (req, res) => {
      id: user._id.toString(),
      username: user.username,
      userType: user.userType,
+     admin: formatAdminAccess(user),
 
      company: company ? {
         id: company._id.toString(),
          name: company.name,
          email: company.email,
          status: company.status,
+         role: companyRole,
          createdAt: company.createdAt,
          approvedAt: company.approvedAt
        } : null,
@@ -286,7 +455,8 @@ exports.registerCompany = async (req, res) => {
     const user = await User.create({
       username,
       passwordHash,
-      userType: 'company'
+      userType: 'company',
+      emailVerified: false
     });
 
     const company = await Company.create({
@@ -296,10 +466,14 @@ exports.registerCompany = async (req, res) => {
       status: 'pending'
     });
 
+    await ensureOwnerMembership(company);
+
+    await sendVerification(user, { email: company.email, recipientName: company.name });
+
     res.status(201).json({
       success: true,
       message:
-        'Registration submitted for approval. You will be able to login once an administrator approves your account.'
+        'Registration submitted for approval. Please verify your email address using the link we sent you. You will be able to login once an administrator approves your account.'
     });
 
     if (company.status === 'pending') {
@@ -352,7 +526,8 @@ exports.registerStudent = async (req, res) => {
     const user = await User.create({
       username,
       passwordHash,
-      userType: 'student'
+      userType: 'student',
+      emailVerified: false
     });
 
     // Get or create the free plan
@@ -386,7 +561,12 @@ exports.registerStudent = async (req, res) => {
       currentSubscriptionId: freeSubscription._id
     });
 
-    res.status(201).json({ success: true });
+    await sendVerification(user, { email: student.email, recipientName: student.fullName });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful. Please verify your email address using the link we sent you before logging in.'
+    });
 
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -409,6 +589,27 @@ exports.forgotPassword = async (req, res) => {
       message: 'If an account exists with this email, you will receive a password reset link shortly.'
     };
 
+    // Cap reset emails per IP (reported) and per address (silent, so it can't be used to probe accounts)
+    const clientIp = getClientIp(req);
+
+    if (clientIp) {
+      const ipLimit = await consumeResetAttempt('ip', clientIp);
+
+      if (!ipLimit.allowed) {
+        res.set('Retry-After', String(ipLimit.retryAfterSeconds));
+        return res.status(429).json({
+          error: `Too many password reset requests. Please try again in ${formatRetryAfter(ipLimit.retryAfterSeconds)}.`,
+          retryAfterSeconds: ipLimit.retryAfterSeconds
+        });
+      }
+    }
+
+    const emailLimit = await consumeResetAttempt('email', email.toLowerCase().trim());
+
+    if (!emailLimit.allowed) {
+      return res.json(genericResponse);
+    }
+
     // Find user by email
     const userInfo = await findUserByEmail(email);
 
@@ -523,15 +724,24 @@ exports.resetPassword = async (req, res) => {
     // Hash new password
     const passwordHash = await bcrypt.hash(password, 10);
 
-    // Update user's password
-    await User.findByIdAndUpdate(resetToken.userId, {
-      passwordHash
+    // Update user's password; following the emailed link also proves the address
+    const user = await User.findByIdAndUpdate(resetToken.userId, {
+      passwordHash,
+      emailVerified: true
     });
 
+    // The owner has proven access, so lift any login lockout on the account
+    if (user) {
+      await clearLoginFailures(user.username);
+    }
+
     // Mark token as used
     resetToken.usedAt = new Date();
     await resetToken.save();
 
+    // Sign out everywhere, in case the old password was compromised
+    await revokeUserSessions(resetToken.userId, 'password_reset');
+
     res.json({
       success: true,
       message: 'Password has been reset successfully. You can now log in with your new password.'
@@ -546,4 +756,179 @@ exports.resetPassword = async (req, res) => {
     console.error('Reset password error:', error);
     res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = verifyEmailSchema.parse(req.body);
+
+    const user = await verifyEmailToken(token);
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your email address has been verified. You can now log in.'
+    });
+
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues?.[0]?.message || 'Invalid token format' });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = resendVerificationSchema.parse(req.body);
+
+    // Generic success response (prevents email enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If this email belongs to an unverified account, a new verification link is on its way.'
+    };
+
+    const userInfo = await findUserByEmail(email);
+
+    if (!userInfo || userInfo.user.emailVerified !== false) {
+      return res.json(genericResponse);
+    }
+
+    const { user, profileRecord } = userInfo;
+
+    if (!(await isResendCoolingDown(user._id))) {
+      await sendVerification(user, {
+        email: profileRecord?.email || email.toLowerCase().trim(),
+        recipientName: profileRecord?.fullName || profileRecord?.name || null
+      });
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues?.[0]?.message || 'Invalid email address' });
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Company team invitations
+
+const findPendingInvite = (token) => CompanyMember.findOne({
+  inviteToken: token,
+  status: 'invited',
+  inviteExpiresAt: { $gt: new Date() }
+});
+
+exports.verifyCompanyInvite = async (req, res) => {
+  try {
+    const { token } = companyInviteTokenSchema.parse(req.body);
+
+    const member = await findPendingInvite(token);
+    const company = member ? await Company.findById(member.companyId).select('name') : null;
+
+    if (!member || !company) {
+      return res.status(400).json({
+        valid: false,
+        error: 'Invalid or expired invitation'
+      });
+    }
+
+    res.json({
+      valid: true,
+      email: maskEmail(member.email),
+      companyName: company.name,
+      role: member.role,
+      // Members re-invited after removal sign in with their existing login
+      hasAccount: Boolean(member.userId)
+    });
+
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        valid: false,
+        error: error.issues?.[0]?.message || 'Invalid invitation token'
+      });
+    }
+    console.error('Verify company invite error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.acceptCompanyInvite = async (req, res) => {
+  try {
+    const { token, username, password } = acceptCompanyInviteSchema.parse(req.body);
+
+    const member = await findPendingInvite(token);
+    const company = member ? await Company.findById(member.companyId).select('name') : null;
+
+    if (!member || !company) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    let user;
+    let createdUser = false;
+
+    if (member.userId) {
+      user = await User.findById(member.userId);
+      const isMatch = user && user.username === username && await bcrypt.compare(password, user.passwordHash);
+
+      if (!isMatch) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+    } else {
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+
+      user = await User.create({
+        username,
+        passwordHash: await bcrypt.hash(password, 10),
+        userType: 'company'
+      });
+      createdUser = true;
+    }
+
+    // Claim the invitation atomically so a token can only be used once
+    const accepted = await CompanyMember.findOneAndUpdate(
+      { _id: member._id, inviteToken: token, status: 'invited' },
+      {
+        $set: {
+          userId: user._id,
+          status: 'active',
+          joinedAt: new Date(),
+          inviteToken: null,
+          inviteExpiresAt: null
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!accepted) {
+      if (createdUser) {
+        await User.deleteOne({ _id: user._id });
+      }
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `You have joined ${company.name}. You can now log in.`
+    });
+
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: error.issues?.[0]?.message || 'Invalid input'
+      });
+    }
+    console.error('Accept company invite error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
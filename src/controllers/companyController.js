@@ -1,21 +1,42 @@
 const mongoose = require('mongoose');
-const dayjs = require('dayjs');
-const utc = require('dayjs/plugin/utc');
-const timezone = require('dayjs/plugin/timezone');
-
-dayjs.extend(utc);
-dayjs.extend(timezone);
 
 const Company = require('../models/Company');
 const JobPosting = require('../models/JobPosting');
 const Application = require('../models/Application');
 const Student = require('../models/Student');
 const ZoneCountry = require('../models/ZoneCountry');
-const { createJobSchema, createDraftJobSchema, updateJobSchema, companyProfileSchema } = require('../utils/validation');
+const SavedJob = require('../models/SavedJob');
+const {
+  createJobSchema,
+  createDraftJobSchema,
+  updateJobSchema,
+  extendJobDeadlineSchema,
+  companyProfileSchema
+} = require('../utils/validation');
 const { JOB_STATUSES, JOB_TYPES, APPLICATION_STATUSES } = require('../constants');
 const { uploadCompanyLogo, getPresignedUrl } = require('../services/mediaService');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const {
+  COMPANY_TARGET_STATUSES,
+  validateCompanyTransition,
+  recordStatusChange,
+  buildBulkStatusChangeUpdate
+} = require('../services/applicationService');
+const { normalizeScreeningQuestions, parseScreeningFilters } = require('../services/screeningService');
+const { formatSubmittedResume } = require('../services/resumeService');
+const { buildPerkStages } = require('../services/perkService');
+const { hasAcceptedContact } = require('../services/talentService');
+const { pickJobContent } = require('../services/jobTemplateService');
+const { formatSalaryRange } = require('../services/salaryService');
+const { parseMatchOptions, refreshApplicationMatchScores } = require('../services/matchScoreService');
+const {
+  getMediaQuotaPeriod,
+  meterMediaAccess,
+  buildQuotaExhaustedError,
+  getCompanyMediaAccessCounts
+} = require('../services/mediaQuotaService');
+const { cancelUpcomingInterviews } = require('../services/interviewService');
 const {
   applyCompanyProfileUpdates,
   buildCompanyProfileResponse,
@@ -24,6 +45,7 @@ const {
   setCachedPublicCompanyProfile,
   invalidatePublicCompanyProfileCache
 } = require('../services/companyProfileService');
+const { escapeRegex } = require('../utils/regex');
 
 const COMPANY_REVERIFICATION_FIELDS = ['name', 'email', 'website', 'industry', 'size', 'foundedYear'];
 
@@ -50,68 +72,9 @@ const isEmailTakenByOther = async (email, currentCompanyId) => {
 
 const VISIBLE_APPLICATION_STATUSES = ['reviewed', 'interview_scheduled', 'offer_extended', 'hired', 'rejected'];
 
-const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-const hasExplicitTimezoneInfo = (value) => /(?:z|[+-]\d{2}:?\d{2})$/i.test(String(value || '').trim());
-
-const isValidIanaTimezone = (value) => {
-  if (typeof value !== 'string' || !value.trim()) {
-    return false;
-  }
-
-  try {
-    new Intl.DateTimeFormat('en-US', { timeZone: value.trim() });
-    return true;
-  } catch (error) {
-    return false;
-  }
-};
-
-const convertInterviewDateToUtc = ({ interviewDateInput, interviewTimeZone }) => {
-  if (interviewDateInput === undefined || interviewDateInput === null || interviewDateInput === '') {
-    return { utcDate: null, error: null };
-  }
-
-  if (typeof interviewDateInput !== 'string') {
-    return { utcDate: null, error: 'interviewDate must be a string' };
-  }
-
-  const rawInterviewDate = interviewDateInput.trim();
-  if (!rawInterviewDate) {
-    return { utcDate: null, error: 'interviewDate must be a valid date-time value' };
-  }
-
-  let parsedDate;
-
-  if (hasExplicitTimezoneInfo(rawInterviewDate)) {
-    parsedDate = dayjs(rawInterviewDate);
-  } else {
-    if (!interviewTimeZone) {
-      return { utcDate: null, error: 'interviewTimeZone is required when interviewDate has no timezone offset' };
-    }
-
-    if (!isValidIanaTimezone(interviewTimeZone)) {
-      return { utcDate: null, error: 'interviewTimeZone must be a valid IANA timezone (e.g. Asia/Kolkata)' };
-    }
-
-    parsedDate = dayjs.tz(rawInterviewDate, interviewTimeZone.trim());
-  }
-
-  if (!parsedDate.isValid()) {
-    return { utcDate: null, error: 'interviewDate must be a valid date-time value' };
-  }
-
-  const utcIso = parsedDate.utc().toISOString();
-  return { utcDate: new Date(utcIso), error: null };
-};
-
 exports.getDashboard = async (req, res) => {
   try {
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     // Job stats using aggregation
     const jobStats = await JobPosting.aggregate([
@@ -149,6 +112,8 @@ exports.getDashboard = async (req, res) => {
       }
     ]);
 
+    const mediaAccess = await getCompanyMediaAccessCounts(company._id);
+
     res.json({
       totalJobs: jobStats[0]?.totalJobs || 0,
       activeJobs: jobStats[0]?.activeJobs || 0,
@@ -156,7 +121,8 @@ exports.getDashboard = async (req, res) => {
       draftJobs: jobStats[0]?.draftJobs || 0,
       unpublishedJobs: jobStats[0]?.unpublishedJobs || 0,
       totalApplications: appStats[0]?.totalApplications || 0,
-      reviewedApplications: appStats[0]?.reviewedApplications || 0
+      reviewedApplications: appStats[0]?.reviewedApplications || 0,
+      mediaAccessThisMonth: mediaAccess
     });
   } catch (error) {
     console.error(error);
@@ -168,11 +134,7 @@ exports.getJobs = async (req, res) => {
   try {
     const { status, search, jobType, location, skills, page = 1, limit = 10 } = req.query;
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     if (status && !JOB_STATUSES.includes(status)) {
       return res.status(400).json({ error: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
@@ -242,11 +204,7 @@ exports.createJob = async (req, res) => {
       ? createDraftJobSchema.parse(body)
       : createJobSchema.parse(body);
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     // Safely handle all optional fields — default to null when missing
     const title = parsed.title || null;
@@ -256,7 +214,12 @@ exports.createJob = async (req, res) => {
       : (parsed.requirements || null);
     const location = parsed.location || null;
     const jobType = parsed.jobType || null;
-    const salaryRange = parsed.salaryRange || null;
+    const salary = parsed.salary || null;
+    const salaryRange = parsed.salaryRange || formatSalaryRange(salary);
+
+    if (requestedStatus === 'pending' && !salaryRange) {
+      return res.status(400).json({ error: 'Salary range is required' });
+    }
     const deadline = parsed.deadline ? new Date(parsed.deadline) : null;
     const countryId = parsed.countryId || null;
 
@@ -282,8 +245,10 @@ exports.createJob = async (req, res) => {
       location,
       jobType,
       salaryRange,
+      salary,
       deadline,
       countryId: countryId || null,
+      screeningQuestions: normalizeScreeningQuestions(parsed.screeningQuestions),
       status: requestedStatus
     });
 
@@ -314,11 +279,7 @@ exports.getJob = async (req, res) => {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const job = await JobPosting.findById(jobId);
 
@@ -337,6 +298,63 @@ exports.getJob = async (req, res) => {
   }
 };
 
+// Drafts are saved with relaxed validation; these are the fields admins need before review
+const getSubmitForReviewError = (job) => {
+  if (!job.title || job.title.length < 5) {
+    return 'Title must be at least 5 characters to submit for review';
+  }
+  if (!job.description || job.description.length < 50) {
+    return 'Description must be at least 50 characters to submit for review';
+  }
+  if (!job.requirements) {
+    return 'Requirements are required to submit for review';
+  }
+  if (!job.location || job.location.length < 2) {
+    return 'Location is required to submit for review';
+  }
+  if (!job.jobType) {
+    return 'Job type is required to submit for review';
+  }
+  if (!job.salaryRange) {
+    return 'Salary range is required to submit for review';
+  }
+  if (!job.deadline) {
+    return 'Application deadline is required to submit for review';
+  }
+  if (new Date(job.deadline) <= new Date()) {
+    return 'Deadline must be in the future';
+  }
+  return null;
+};
+
+const JOB_CLOSED_REASON = 'Job posting has been closed';
+
+/**
+ * Reject every pending/reviewed application of a job the company just closed,
+ * and cancel any interview rounds they still had booked.
+ */
+const rejectApplicationsForClosedJob = async (jobId, actorId) => {
+  const filter = { jobPostingId: jobId, status: { $in: ['pending', 'reviewed'] } };
+  const applicationIds = await Application.find(filter).distinct('_id');
+
+  if (!applicationIds.length) {
+    return;
+  }
+
+  await Application.updateMany(
+    { ...filter, _id: { $in: applicationIds } },
+    buildBulkStatusChangeUpdate({
+      toStatus: 'rejected',
+      actorId,
+      actorType: 'company',
+      reason: JOB_CLOSED_REASON,
+      set: { rejectionReason: JOB_CLOSED_REASON }
+    })
+  );
+
+  await cancelUpcomingInterviews(applicationIds, { reason: JOB_CLOSED_REASON, changedBy: actorId });
+};
+
 exports.updateJob = async (req, res) => {
   try {
     const { jobId } = req.params;
@@ -345,11 +363,7 @@ exports.updateJob = async (req, res) => {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const job = await JobPosting.findById(jobId);
 
@@ -376,19 +390,7 @@ exports.updateJob = async (req, res) => {
         { returnDocument: 'after' }
       );
 
-      // Reject all pending/reviewed applications for this job
-      await Application.updateMany(
-        {
-          jobPostingId: jobId,
-          status: { $in: ['pending', 'reviewed'] }
-        },
-        {
-          $set: {
-            status: 'rejected',
-            rejectionReason: 'Job posting has been closed'
-          }
-        }
-      );
+      await rejectApplicationsForClosedJob(jobId, req.user.userId);
 
       return res.json(updatedJob);
     }
@@ -424,6 +426,45 @@ exports.updateJob = async (req, res) => {
       return res.json(updatedJob);
     }
 
+    // Extending the deadline of a live or expired job doesn't need admin re-approval
+    const isExpiredJob = job.status === 'closed' && Boolean(job.expiredAt);
+
+    if ((job.status === 'approved' || isExpiredJob) && req.body.deadline !== undefined) {
+      const otherFields = Object.keys(req.body).filter((key) => key !== 'deadline');
+      if (otherFields.length > 0) {
+        return res.status(403).json({ error: 'Only the deadline can be changed on a published job' });
+      }
+
+      const { deadline } = extendJobDeadlineSchema.parse(req.body);
+      const newDeadline = new Date(deadline);
+
+      if (job.deadline && newDeadline <= job.deadline) {
+        return res.status(400).json({ error: 'New deadline must be later than the current deadline' });
+      }
+
+      const updateFields = { deadline: newDeadline };
+      if (isExpiredJob) {
+        updateFields.status = 'approved';
+        updateFields.expiredAt = null;
+      }
+
+      const updatedJob = await JobPosting.findByIdAndUpdate(
+        jobId,
+        { $set: updateFields },
+        { returnDocument: 'after', runValidators: true }
+      );
+
+      // Bookmarks should get a fresh reminder for the new deadline
+      await SavedJob.updateMany({ jobPostingId: jobId }, { $set: { deadlineReminderSentAt: null } });
+
+      res.json(updatedJob);
+
+      // Availability is scored against the deadline
+      refreshApplicationMatchScores({ jobPostingId: updatedJob._id })
+        .catch((err) => console.error('Match score refresh error (deadline extended):', err));
+      return;
+    }
+
     if (job.status !== 'pending' && job.status !== 'draft') {
       return res.status(403).json({ error: 'Can only edit jobs that are in draft or pending approval' });
     }
@@ -444,7 +485,17 @@ exports.updateJob = async (req, res) => {
     if (parsed.location !== undefined) updateFields.location = parsed.location;
     if (parsed.jobType !== undefined) updateFields.jobType = parsed.jobType;
     if (parsed.salaryRange !== undefined) updateFields.salaryRange = parsed.salaryRange;
+    if (parsed.salary !== undefined) {
+      updateFields.salary = parsed.salary;
+      // Keep the display string in step with the structured salary unless one was sent
+      if (parsed.salary && parsed.salaryRange === undefined) {
+        updateFields.salaryRange = formatSalaryRange(parsed.salary);
+      }
+    }
     if (parsed.deadline !== undefined) updateFields.deadline = parsed.deadline ? new Date(parsed.deadline) : null;
+    if (parsed.screeningQuestions !== undefined) {
+      updateFields.screeningQuestions = normalizeScreeningQuestions(parsed.screeningQuestions);
+    }
 
     // Handle countryId update
     if (parsed.countryId !== undefined) {
@@ -474,29 +525,9 @@ exports.updateJob = async (req, res) => {
         deadline: updateFields.deadline ?? job.deadline
       };
 
-      if (!merged.title || merged.title.length < 5) {
-        return res.status(400).json({ error: 'Title must be at least 5 characters to submit for review' });
-      }
-      if (!merged.description || merged.description.length < 50) {
-        return res.status(400).json({ error: 'Description must be at least 50 characters to submit for review' });
-      }
-      if (!merged.requirements) {
-        return res.status(400).json({ error: 'Requirements are required to submit for review' });
-      }
-      if (!merged.location || merged.location.length < 2) {
-        return res.status(400).json({ error: 'Location is required to submit for review' });
-      }
-      if (!merged.jobType) {
-        return res.status(400).json({ error: 'Job type is required to submit for review' });
-      }
-      if (!merged.salaryRange) {
-        return res.status(400).json({ error: 'Salary range is required to submit for review' });
-      }
-      if (!merged.deadline) {
-        return res.status(400).json({ error: 'Application deadline is required to submit for review' });
-      }
-      if (new Date(merged.deadline) <= new Date()) {
-        return res.status(400).json({ error: 'Deadline must be in the future' });
+      const submitError = getSubmitForReviewError(merged);
+      if (submitError) {
+        return res.status(400).json({ error: submitError });
       }
 
       updateFields.status = 'pending';
@@ -527,7 +558,7 @@ exports.updateJob = async (req, res) => {
   }
 };
 
-exports.unpublishJob = async (req, res) => {
+exports.submitJob = async (req, res) => {
   try {
     const { jobId } = req.params;
 
@@ -535,12 +566,96 @@ exports.unpublishJob = async (req, res) => {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
+    const { company } = req;
 
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
+    const job = await JobPosting.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!job.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage your own job postings' });
     }
 
+    if (job.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft jobs can be submitted for review' });
+    }
+
+    const submitError = getSubmitForReviewError(job);
+    if (submitError) {
+      return res.status(400).json({ error: submitError });
+    }
+
+    // Guard on status so a double submit doesn't notify admins twice
+    const updatedJob = await JobPosting.findOneAndUpdate(
+      { _id: jobId, status: 'draft' },
+      { $set: { status: 'pending' } },
+      { returnDocument: 'after' }
+    );
+
+    if (!updatedJob) {
+      return res.status(400).json({ error: 'Only draft jobs can be submitted for review' });
+    }
+
+    res.json(updatedJob);
+
+    notificationService
+      .notifyAdminsNewJobPending({ jobId: updatedJob._id, companyName: company.name })
+      .catch((error) => {
+        console.error('Admin notification error (draft submitted for review):', error);
+      });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.duplicateJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { company } = req;
+
+    const job = await JobPosting.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!job.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only duplicate your own job postings' });
+    }
+
+    // The copy starts as a draft without a deadline; the company sets dates for the new round
+    const duplicate = await JobPosting.create({
+      companyId: company._id,
+      ...pickJobContent(job),
+      deadline: null,
+      status: 'draft'
+    });
+
+    res.status(201).json(duplicate);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.unpublishJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { company } = req;
+
     const job = await JobPosting.findById(jobId);
 
     if (!job) {
@@ -576,11 +691,7 @@ exports.republishJob = async (req, res) => {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const job = await JobPosting.findById(jobId);
 
@@ -622,11 +733,7 @@ exports.closeJob = async (req, res) => {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const job = await JobPosting.findById(jobId);
 
@@ -653,19 +760,7 @@ exports.closeJob = async (req, res) => {
       { returnDocument: 'after' }
     );
 
-    // Reject all pending/reviewed applications for this job
-    await Application.updateMany(
-      {
-        jobPostingId: jobId,
-        status: { $in: ['pending', 'reviewed'] }
-      },
-      {
-        $set: {
-          status: 'rejected',
-          rejectionReason: 'Job posting has been closed'
-        }
-      }
-    );
+    await rejectApplicationsForClosedJob(jobId, req.user.userId);
 
     res.json(updatedJob);
   } catch (error) {
@@ -674,20 +769,100 @@ exports.closeJob = async (req, res) => {
   }
 };
 
+const hasValue = (field) => ({ $ne: [{ $ifNull: [field, null] }, null] });
+
+// What company listings may see: storage keys stay server-side, since resumes
+// and videos are only handed out (and metered) by GET /students/:studentId
+const LISTING_OUTPUT_STAGES = [
+  {
+    $set: {
+      hasResume: hasValue('$resumeKey'),
+      hasTailoredResume: { $and: [hasValue('$resumeKey'), { $not: [hasValue('$resumeVersionId')] }] },
+      student: {
+        _id: '$student._id',
+        fullName: '$student.fullName',
+        email: '$student.email',
+        profileLink: '$student.profileLink',
+        isDGShipping: '$student.isDGShipping',
+        isHired: '$student.isHired',
+        bio: '$student.bio',
+        location: '$student.location',
+        availableFrom: '$student.availableFrom',
+        skills: '$student.skills',
+        education: '$student.education',
+        experience: '$student.experience'
+      }
+    }
+  },
+  { $project: { statusHistory: 0, resumeKey: 0, matchScoredAt: 0 } }
+];
+
+const hasStoredScore = (application) => typeof application.matchScore === 'number';
+
+/**
+ * Run an application listing pipeline and return one page with match scores.
+ * Scores are stored on the application, so sorting and filtering by score
+ * happen in MongoDB across the whole result set. Applications that were never
+ * scored are scored (and stored) first.
+ */
+const listScoredApplications = async (pipeline, matchOptions, { skip, limit }) => {
+  const byScore = matchOptions.sort === 'matchScore' || matchOptions.minScore !== null;
+
+  if (byScore) {
+    const unscored = await Application.aggregate([...pipeline, { $match: { matchScore: null } }, { $project: { _id: 1 } }]);
+
+    if (unscored.length) {
+      await refreshApplicationMatchScores({ _id: { $in: unscored.map((application) => application._id) } });
+    }
+  }
+
+  const scoreStages = matchOptions.minScore !== null
+    ? [{ $match: { matchScore: { $gte: matchOptions.minScore } } }]
+    : [];
+
+  // Highlighted applications first, then boosted candidates, then newest;
+  // sorting by score puts the best match first and keeps that order for ties
+  const sort = { isHighlighted: -1, isBoosted: -1, createdAt: -1 };
+
+  const [countResult, applications] = await Promise.all([
+    Application.aggregate([...pipeline, ...scoreStages, { $count: 'total' }]),
+    Application.aggregate([
+      ...pipeline,
+      ...scoreStages,
+      ...buildPerkStages(),
+      { $sort: matchOptions.sort === 'matchScore' ? { matchScore: -1, ...sort } : sort },
+      { $skip: skip },
+      { $limit: limit },
+      ...LISTING_OUTPUT_STAGES
+    ])
+  ]);
+
+  // Only possible on the default sort: fill in the page's missing scores
+  const missing = applications.filter((application) => !hasStoredScore(application));
+  const refreshed = missing.length
+    ? await refreshApplicationMatchScores({ _id: { $in: missing.map((application) => application._id) } })
+    : new Map();
+
+  return {
+    applications: applications.map((application) => (
+      hasStoredScore(application)
+        ? application
+        : { ...application, ...refreshed.get(application._id.toString()) }
+    )),
+    total: countResult[0]?.total || 0
+  };
+};
+
 exports.getJobApplications = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const { status, search, page = 1, limit = 10 } = req.query;
+    const { status, search, screening, page = 1, limit = 10 } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(jobId)) {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const job = await JobPosting.findById(jobId);
 
@@ -703,6 +878,20 @@ exports.getJobApplications = async (req, res) => {
       return res.status(400).json({ error: 'Status must be reviewed, interview_scheduled, offer_extended, hired, or rejected' });
     }
 
+    // ?screening=<questionId>:<value>, repeatable; all filters must match
+    const screeningFilters = parseScreeningFilters(job.screeningQuestions, screening);
+
+    if (screeningFilters.error) {
+      return res.status(400).json({ error: screeningFilters.error });
+    }
+
+    // ?sort=matchScore and ?minScore=0-100
+    const { options: matchOptions, error: matchError } = parseMatchOptions(req.query);
+
+    if (matchError) {
+      return res.status(400).json({ error: matchError });
+    }
+
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
     const skip = (pageNum - 1) * limitNum;
@@ -713,7 +902,8 @@ exports.getJobApplications = async (req, res) => {
         $match: {
           jobPostingId: job._id,
           status: status ? status : { $in: VISIBLE_APPLICATION_STATUSES },
-          reviewedAt: { $ne: null }
+          reviewedAt: { $ne: null },
+          ...(screeningFilters.conditions.length ? { $and: screeningFilters.conditions } : {})
         }
       },
       {
@@ -748,22 +938,17 @@ exports.getJobApplications = async (req, res) => {
       });
     }
 
-    // Count total
-    const countPipeline = [...pipeline, { $count: 'total' }];
-    const countResult = await Application.aggregate(countPipeline);
-    const total = countResult[0]?.total || 0;
+    const { applications, total } = await listScoredApplications(pipeline, matchOptions, { skip, limit: limitNum });
 
-    // Add sorting and pagination
-    pipeline.push(
-      { $sort: { createdAt: -1 } },
-      { $skip: skip },
-      { $limit: limitNum }
-    );
-
-    const applications = await Application.aggregate(pipeline);
+    const applicationsWithResumes = applications.map((application) => ({
+      ...application,
+      coverLetter: application.coverLetter || null
+    }));
 
     res.json({
-      applications,
+      applications: applicationsWithResumes,
+      sort: matchOptions.sort,
+      minScore: matchOptions.minScore,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -781,11 +966,7 @@ exports.getAllApplications = async (req, res) => {
   try {
     const { status, search, jobType, location, skills, page = 1, limit = 10 } = req.query;
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     if (status && !VISIBLE_APPLICATION_STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Status must be reviewed, interview_scheduled, offer_extended, hired, or rejected' });
@@ -795,6 +976,12 @@ exports.getAllApplications = async (req, res) => {
       return res.status(400).json({ error: `Job type must be one of: ${JOB_TYPES.join(', ')}` });
     }
 
+    const { options: matchOptions, error: matchError } = parseMatchOptions(req.query);
+
+    if (matchError) {
+      return res.status(400).json({ error: matchError });
+    }
+
     const jobIds = await JobPosting.find({ companyId: company._id }).distinct('_id');
 
     const pageNum = Math.max(1, parseInt(page) || 1);
@@ -865,22 +1052,12 @@ exports.getAllApplications = async (req, res) => {
       pipeline.push({ $match: additionalMatch });
     }
 
-    // Count total
-    const countPipeline = [...pipeline, { $count: 'total' }];
-    const countResult = await Application.aggregate(countPipeline);
-    const total = countResult[0]?.total || 0;
-
-    // Add sorting and pagination
-    pipeline.push(
-      { $sort: { createdAt: -1 } },
-      { $skip: skip },
-      { $limit: limitNum }
-    );
-
-    const applications = await Application.aggregate(pipeline);
+    const { applications, total } = await listScoredApplications(pipeline, matchOptions, { skip, limit: limitNum });
 
     res.json({
       applications,
+      sort: matchOptions.sort,
+      minScore: matchOptions.minScore,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -896,11 +1073,7 @@ exports.getAllApplications = async (req, res) => {
 
 exports.getProfile = async (req, res) => {
   try {
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     res.json({ profile: buildCompanyProfileResponse(company) });
   } catch (error) {
@@ -912,11 +1085,7 @@ exports.getProfile = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     const parsed = companyProfileSchema.parse(req.body);
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const previousVerificationValues = COMPANY_REVERIFICATION_FIELDS.reduce((accumulator, field) => {
       accumulator[field] = company[field] ?? null;
@@ -971,11 +1140,7 @@ exports.updateProfile = async (req, res) => {
 
 exports.uploadLogo = async (req, res) => {
   try {
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     if (!req.file) {
       return res.status(400).json({ error: 'Logo file is required' });
@@ -1027,61 +1192,139 @@ exports.getPublicProfile = async (req, res) => {
   }
 };
 
-exports.updateApplication = async (req, res) => {
-  try {
-    const { appId } = req.params;
-    const { status, rejectionReason, interviewDate, interviewTimeZone, interviewNotes, offerDetails } = req.body;
+const normalizeOptionalText = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
 
-    if (!['interview_scheduled', 'offer_extended', 'hired', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: "Status must be 'interview_scheduled', 'offer_extended', 'hired', or 'rejected'" });
-    }
+  if (typeof value !== 'string') {
+    return null;
+  }
 
-    const normalizeOptionalText = (value) => {
-      if (value === undefined || value === null) {
-        return null;
-      }
+  const trimmed = value.trim();
+  return trimmed.length ? trimmed : null;
+};
 
-      if (typeof value !== 'string') {
-        return null;
-      }
+// Validate the status change payload shared by single and bulk updates
+const parseApplicationStatusUpdate = (body = {}) => {
+  const { status, rejectionReason } = body;
 
-      const trimmed = value.trim();
-      return trimmed.length ? trimmed : null;
-    };
+  if (!COMPANY_TARGET_STATUSES.includes(status)) {
+    return { update: null, error: "Status must be 'interview_scheduled', 'offer_extended', 'hired', or 'rejected'" };
+  }
 
-    const normalizedInterviewNotes = normalizeOptionalText(interviewNotes);
-    const normalizedOfferDetails = normalizeOptionalText(offerDetails);
+  if (status === 'offer_extended') {
+    return { update: null, error: 'Offers need salary, start date and expiry. Use POST /applications/:appId/offer instead' };
+  }
 
-    if (interviewNotes !== undefined && typeof interviewNotes !== 'string') {
-      return res.status(400).json({ error: 'interviewNotes must be a string' });
-    }
+  if (status === 'interview_scheduled') {
+    return { update: null, error: 'Interviews are scheduled as rounds. Use POST /applications/:appId/interviews instead' };
+  }
 
-    if (offerDetails !== undefined && typeof offerDetails !== 'string') {
-      return res.status(400).json({ error: 'offerDetails must be a string' });
-    }
+  return {
+    update: {
+      status,
+      rejectionReason: normalizeOptionalText(rejectionReason)
+    },
+    error: null
+  };
+};
+
+/**
+ * Structured offers move to hired only when the student accepts them.
+ * Legacy free-text offers (no `offer` sub-document) can still be closed out by the company.
+ */
+const getHireBlockedMessage = (application, update) => {
+  if (update.status === 'hired' && application.offer) {
+    return 'The candidate must accept the offer before they can be marked as hired';
+  }
+
+  return null;
+};
 
-    if (interviewTimeZone !== undefined && interviewTimeZone !== null && typeof interviewTimeZone !== 'string') {
-      return res.status(400).json({ error: 'interviewTimeZone must be a string' });
+const REJECTED_INTERVIEW_REASON = 'Application was not taken forward';
+
+const applyApplicationStatusUpdate = (application, update, actorId) => {
+  recordStatusChange(application, {
+    toStatus: update.status,
+    actorId,
+    actorType: 'company',
+    reason: update.status === 'rejected' ? update.rejectionReason : null
+  });
+
+  application.status = update.status;
+  application.reviewedAt = new Date();
+
+  if (update.status === 'rejected') {
+    application.rejectionReason = update.rejectionReason;
+    application.rejectionSource = 'company';
+
+    if (application.offer?.status === 'pending') {
+      application.offer.status = 'rescinded';
+      application.offer.respondedAt = new Date();
     }
+  } else {
+    application.rejectionReason = null;
+    application.rejectionSource = null;
+  }
+};
 
-    const { utcDate: normalizedInterviewDate, error: interviewDateError } = convertInterviewDateToUtc({
-      interviewDateInput: interviewDate,
-      interviewTimeZone
-    });
+/**
+ * Fire-and-forget student notifications for a company status change.
+ * Expects studentId and jobPostingId to be populated.
+ */
+const notifyApplicationStatusChange = (application, companyName) => {
+  const { status } = application;
+  const studentUserId = application.studentId.userId;
+  const jobTitle = application.jobPostingId.title;
+
+  if (status === 'rejected') {
+    notificationService
+      .notifyApplicationRejected(studentUserId, {
+        jobTitle,
+        companyName
+      })
+      .catch((err) => console.error('Notification error (company rejected):', err));
+  }
 
-    if (interviewDateError) {
-      return res.status(400).json({ error: interviewDateError });
+  if (status === 'hired') {
+    emailService
+      .sendApplicationStatusEmail(
+        application.studentId.email,
+        {
+          status: 'hired',
+          jobTitle,
+          companyName,
+          studentName: application.studentId.fullName
+        },
+        { userId: studentUserId }
+      )
+      .catch((error) => console.error('Failed to send application hired email', error));
+
+    notificationService
+      .notifyApplicationHired(studentUserId, {
+        jobTitle,
+        companyName
+      })
+      .catch((err) => console.error('Notification error (hired):', err));
+  }
+};
+
+exports.updateApplication = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    const { update, error: updateError } = parseApplicationStatusUpdate(req.body);
+
+    if (updateError) {
+      return res.status(400).json({ error: updateError });
     }
 
     if (!mongoose.Types.ObjectId.isValid(appId)) {
       return res.status(400).json({ error: 'Invalid application ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { company } = req;
 
     const application = await Application.findById(appId).populate('jobPostingId');
 
@@ -1093,55 +1336,28 @@ exports.updateApplication = async (req, res) => {
       return res.status(403).json({ error: 'You can only manage applications for your own jobs' });
     }
 
-    const allowedTransitions = {
-      reviewed: ['interview_scheduled', 'rejected'],
-      interview_scheduled: ['offer_extended', 'rejected'],
-      offer_extended: ['hired', 'rejected']
-    };
+    const transition = validateCompanyTransition(application.status, update.status);
 
-    const allowedNextStatuses = allowedTransitions[application.status] || [];
+    if (!transition.allowed) {
+      return res.status(400).json({ error: transition.message });
+    }
 
-    if (!allowedNextStatuses.includes(status)) {
-      if (application.status === 'pending') {
-        return res.status(400).json({ error: 'Can only hire/reject applications that have been reviewed by admin' });
-      }
-      if (['hired', 'rejected'].includes(application.status)) {
-        return res.status(400).json({ error: 'This application has already been processed' });
-      }
-      if (application.status === 'withdrawn') {
-        return res.status(400).json({ error: 'Cannot process withdrawn applications' });
-      }
+    const hireBlockedMessage = getHireBlockedMessage(application, update);
 
-      return res.status(400).json({ error: `Invalid transition from ${application.status} to ${status}` });
+    if (hireBlockedMessage) {
+      return res.status(400).json({ error: hireBlockedMessage });
     }
 
     // Update application status
-    application.status = status;
-    application.reviewedAt = new Date();
-
-    if (status === 'interview_scheduled') {
-      application.interviewDate = normalizedInterviewDate;
-      application.interviewNotes = normalizedInterviewNotes;
-      application.offerDetails = null;
-      application.rejectionReason = null;
-      application.rejectionSource = null;
-    } else if (status === 'offer_extended') {
-      application.offerDetails = normalizedOfferDetails;
-      application.rejectionReason = null;
-      application.rejectionSource = null;
-    } else if (status === 'rejected') {
-      application.rejectionReason = (typeof rejectionReason === 'string' && rejectionReason.trim().length > 0)
-        ? rejectionReason.trim()
-        : null;
-      application.rejectionSource = 'company';
-    } else {
-      application.rejectionReason = null;
-      application.rejectionSource = null;
-    }
+    applyApplicationStatusUpdate(application, update, req.user.userId);
     await application.save();
 
+    if (update.status === 'rejected') {
+      await cancelUpcomingInterviews([application._id], { reason: REJECTED_INTERVIEW_REASON, changedBy: req.user.userId });
+    }
+
     // If hired, update student's isHired flag
-    if (status === 'hired') {
+    if (update.status === 'hired') {
       await Student.findByIdAndUpdate(
         application.studentId,
         { isHired: true }
@@ -1149,60 +1365,119 @@ exports.updateApplication = async (req, res) => {
     }
 
     const updatedApp = await Application.findById(appId)
+      .select('-statusHistory')
       .populate('studentId', 'fullName email profileLink isHired userId')
       .populate('jobPostingId', 'title');
 
     res.json(updatedApp);
 
-    if (status === 'interview_scheduled') {
-      notificationService
-        .notifyApplicationInterviewScheduled(updatedApp.studentId.userId, {
-          jobTitle: updatedApp.jobPostingId.title,
-          companyName: company.name,
-          interviewDate: updatedApp.interviewDate
-        })
-        .catch((err) => console.error('Notification error (interview scheduled):', err));
+    notifyApplicationStatusChange(updatedApp, company.name);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const MAX_BULK_APPLICATION_UPDATES = 200;
+
+exports.bulkUpdateApplications = async (req, res) => {
+  try {
+    const { applicationIds } = req.body || {};
+
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+      return res.status(400).json({ error: 'applicationIds must be a non-empty array' });
     }
 
-    if (status === 'offer_extended') {
-      notificationService
-        .notifyApplicationOfferExtended(updatedApp.studentId.userId, {
-          jobTitle: updatedApp.jobPostingId.title,
-          companyName: company.name
-        })
-        .catch((err) => console.error('Notification error (offer extended):', err));
+    const uniqueIds = [...new Set(applicationIds.map((id) => String(id)))];
+
+    if (uniqueIds.length > MAX_BULK_APPLICATION_UPDATES) {
+      return res.status(400).json({ error: `You can update at most ${MAX_BULK_APPLICATION_UPDATES} applications at once` });
     }
 
-    if (status === 'rejected') {
-      notificationService
-        .notifyApplicationRejected(updatedApp.studentId.userId, {
-          jobTitle: updatedApp.jobPostingId.title,
-          companyName: company.name
-        })
-        .catch((err) => console.error('Notification error (company rejected):', err));
-    }
-
-    if (status === 'hired') {
-      emailService
-        .sendApplicationStatusEmail(
-          updatedApp.studentId.email,
-          {
-            status: 'hired',
-            jobTitle: updatedApp.jobPostingId.title,
-            companyName: company.name,
-            studentName: updatedApp.studentId.fullName
-          },
-          { userId: updatedApp.studentId.userId }
-        )
-        .catch((error) => console.error('Failed to send application hired email', error));
+    const { update, error: updateError } = parseApplicationStatusUpdate(req.body);
 
-      notificationService
-        .notifyApplicationHired(updatedApp.studentId.userId, {
-          jobTitle: updatedApp.jobPostingId.title,
-          companyName: company.name
-        })
-        .catch((err) => console.error('Notification error (hired):', err));
+    if (updateError) {
+      return res.status(400).json({ error: updateError });
     }
+
+    const { company } = req;
+
+    const validIds = uniqueIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+    const applications = await Application.find({ _id: { $in: validIds } })
+      .populate('jobPostingId', 'companyId title')
+      .populate('studentId', 'fullName email profileLink isHired userId');
+    const applicationMap = new Map(applications.map((app) => [app._id.toString(), app]));
+
+    const results = [];
+    const updatedApplications = [];
+
+    for (const appId of uniqueIds) {
+      if (!mongoose.Types.ObjectId.isValid(appId)) {
+        results.push({ applicationId: appId, success: false, error: 'Invalid application ID format' });
+        continue;
+      }
+
+      const application = applicationMap.get(appId);
+
+      if (!application || !application.jobPostingId) {
+        results.push({ applicationId: appId, success: false, error: 'Application not found' });
+        continue;
+      }
+
+      if (!application.jobPostingId.companyId.equals(company._id)) {
+        results.push({ applicationId: appId, success: false, error: 'You can only manage applications for your own jobs' });
+        continue;
+      }
+
+      const previousStatus = application.status;
+      const transition = validateCompanyTransition(previousStatus, update.status);
+
+      if (!transition.allowed) {
+        results.push({ applicationId: appId, success: false, status: previousStatus, error: transition.message });
+        continue;
+      }
+
+      const hireBlockedMessage = getHireBlockedMessage(application, update);
+
+      if (hireBlockedMessage) {
+        results.push({ applicationId: appId, success: false, status: previousStatus, error: hireBlockedMessage });
+        continue;
+      }
+
+      try {
+        applyApplicationStatusUpdate(application, update, req.user.userId);
+        await application.save();
+
+        if (update.status === 'rejected') {
+          await cancelUpcomingInterviews([application._id], { reason: REJECTED_INTERVIEW_REASON, changedBy: req.user.userId });
+        }
+
+        if (update.status === 'hired') {
+          await Student.findByIdAndUpdate(application.studentId._id, { isHired: true });
+        }
+
+        updatedApplications.push(application);
+        results.push({ applicationId: appId, success: true, previousStatus, status: application.status });
+      } catch (itemError) {
+        console.error('Bulk application update failed', { applicationId: appId, error: itemError.message });
+        results.push({ applicationId: appId, success: false, status: previousStatus, error: 'Failed to update application' });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      status: update.status,
+      results,
+      summary: {
+        requested: uniqueIds.length,
+        succeeded,
+        failed: uniqueIds.length - succeeded
+      }
+    });
+
+    updatedApplications.forEach((application) => notifyApplicationStatusChange(application, company.name));
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
@@ -1212,29 +1487,33 @@ exports.updateApplication = async (req, res) => {
 exports.getStudentProfile = async (req, res) => {
   try {
     const { studentId } = req.params;
+    const { applicationId } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(studentId)) {
       return res.status(400).json({ error: 'Invalid student ID format' });
     }
 
-    const company = await Company.findOne({ userId: req.user.userId });
-
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
+    if (applicationId !== undefined && !mongoose.Types.ObjectId.isValid(applicationId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
     }
 
+    const { company } = req;
+
     // Get all job IDs for this company
     const companyJobIds = await JobPosting.find({ companyId: company._id }).distinct('_id');
 
-    // Check if student has an approved application for any of the company's jobs
-    const hasApprovedApplication = await Application.exists({
-      studentId,
-      jobPostingId: { $in: companyJobIds },
-      status: { $in: ['reviewed', 'hired'] }
-    });
+    // Access comes from an approved application or an accepted talent-directory contact request
+    const [hasApprovedApplication, hasAcceptedContactRequest] = await Promise.all([
+      Application.exists({
+        studentId,
+        jobPostingId: { $in: companyJobIds },
+        status: { $in: ['reviewed', 'hired'] }
+      }),
+      hasAcceptedContact(company._id, studentId)
+    ]);
 
-    if (!hasApprovedApplication) {
-      return res.status(403).json({ error: 'You can only view profiles of students with approved applications to your jobs' });
+    if (!hasApprovedApplication && !hasAcceptedContactRequest) {
+      return res.status(403).json({ error: 'You can only view profiles of students with approved applications to your jobs or who accepted your contact request' });
     }
 
     const student = await Student.findById(studentId).select(
@@ -1245,10 +1524,36 @@ exports.getStudentProfile = async (req, res) => {
       return res.status(404).json({ error: 'Student not found' });
     }
 
+    // Show the resume the student actually sent: the requested application, else their latest one to this company
+    const submittedApplication = await Application.findOne({
+      studentId,
+      jobPostingId: { $in: companyJobIds },
+      ...(applicationId ? { _id: applicationId } : {})
+    })
+      .sort({ createdAt: -1 })
+      .populate('resumeVersionId', 'name');
+
+    if (applicationId && !submittedApplication) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Each resume/video hand-out counts against the student's plan quota
+    const quotaPeriod = await getMediaQuotaPeriod(student._id);
+    const hasResume = Boolean(submittedApplication?.resumeKey || student.resumeUrl);
+
+    const [resumeAccess, videoAccess] = await Promise.all([
+      hasResume
+        ? meterMediaAccess({ studentId: student._id, companyId: company._id, mediaType: 'resume', period: quotaPeriod })
+        : null,
+      student.introVideoUrl
+        ? meterMediaAccess({ studentId: student._id, companyId: company._id, mediaType: 'video', period: quotaPeriod })
+        : null
+    ]);
+
     // Generate presigned URLs for media files
-    const [resumeUrl, introVideoUrl] = await Promise.all([
-      student.resumeUrl ? getPresignedUrl(student.resumeUrl) : null,
-      student.introVideoUrl ? getPresignedUrl(student.introVideoUrl) : null
+    const [submittedResume, introVideoUrl] = await Promise.all([
+      formatSubmittedResume(submittedApplication, student, { includeUrl: resumeAccess?.allowed !== false }),
+      videoAccess?.allowed ? getPresignedUrl(student.introVideoUrl) : null
     ]);
 
     res.json({
@@ -1262,8 +1567,13 @@ exports.getStudentProfile = async (req, res) => {
       skills: student.skills || [],
       education: student.education || [],
       experience: student.experience || [],
-      resumeUrl,
+      resumeUrl: submittedResume?.url || null,
+      submittedResume,
       introVideoUrl,
+      mediaQuota: {
+        resume: resumeAccess && !resumeAccess.allowed ? buildQuotaExhaustedError('resume', resumeAccess) : null,
+        video: videoAccess && !videoAccess.allowed ? buildQuotaExhaustedError('video', videoAccess) : null
+      },
       isHired: student.isHired
     });
   } catch (error) {
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const CompanyMember = require('../models/CompanyMember');
+const { inviteCompanyMemberSchema, updateCompanyMemberSchema } = require('../utils/validation');
+const {
+  INVITE_EXPIRY_DAYS,
+  INVITE_ROLE_LABELS,
+  ensureOwnerMembership,
+  isInviteEmailInUse,
+  formatCompanyMember
+} = require('../services/companyTeamService');
+const { sendCompanyInviteEmail } = require('../services/emailService');
+
+const MAX_TEAM_MEMBERS = 25;
+
+const trimTrailingSlash = (value = '') => value.replace(/\/$/, '');
+const getFrontendBaseUrl = () => {
+  const configuredBase = process.env.FRONTEND_URL || process.env.FRONTEND_BASE_URL || process.env.APP_BASE_URL || 'http://localhost:3000';
+  return trimTrailingSlash(String(configuredBase).trim());
+};
+
+// The user who registered the company; always an owner and never removable
+const isPrimaryOwner = (company, member) => Boolean(member.userId && company.userId.equals(member.userId));
+
+const loadTeamMember = async (req, res) => {
+  const { memberId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(memberId)) {
+    res.status(400).json({ error: 'Invalid member ID format' });
+    return null;
+  }
+
+  const member = await CompanyMember.findOne({
+    _id: memberId,
+    companyId: req.company._id,
+    status: { $ne: 'removed' }
+  });
+
+  if (!member) {
+    res.status(404).json({ error: 'Team member not found' });
+    return null;
+  }
+
+  return member;
+};
+
+exports.getTeam = async (req, res) => {
+  try {
+    const { company } = req;
+
+    await ensureOwnerMembership(company);
+
+    const members = await CompanyMember.find({ companyId: company._id, status: { $ne: 'removed' } })
+      .populate('userId', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      role: req.companyMember.role,
+      members: members.map((member) => formatCompanyMember(member, company))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.inviteMember = async (req, res) => {
+  try {
+    const { email, role } = inviteCompanyMemberSchema.parse(req.body || {});
+    const { company } = req;
+
+    let member = await CompanyMember.findOne({ companyId: company._id, email });
+
+    if (member?.status === 'active') {
+      return res.status(409).json({ error: 'This person is already on your team' });
+    }
+
+    if (await isInviteEmailInUse(email, company._id)) {
+      return res.status(409).json({ error: 'This email is already registered with another account' });
+    }
+
+    if (!member || member.status === 'removed') {
+      const teamSize = await CompanyMember.countDocuments({ companyId: company._id, status: { $ne: 'removed' } });
+      if (teamSize >= MAX_TEAM_MEMBERS) {
+        return res.status(400).json({ error: `Your team can have at most ${MAX_TEAM_MEMBERS} members` });
+      }
+    }
+
+    // Re-inviting a pending or removed member reuses their record with a fresh token
+    if (!member) {
+      member = new CompanyMember({ companyId: company._id, email });
+    }
+
+    member.role = role;
+    member.status = 'invited';
+    member.invitedBy = req.user.userId;
+    member.inviteToken = crypto.randomBytes(32).toString('hex');
+    member.inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    member.removedAt = null;
+
+    await member.save();
+
+    res.status(201).json(formatCompanyMember(member, company));
+
+    User.findById(req.user.userId).select('username')
+      .then((inviter) => sendCompanyInviteEmail(email, {
+        companyName: company.name,
+        inviterName: inviter?.username,
+        roleLabel: INVITE_ROLE_LABELS[role],
+        expiresInDays: INVITE_EXPIRY_DAYS,
+        inviteUrl: `${getFrontendBaseUrl()}/company-invite?token=${member.inviteToken}`
+      }))
+      .catch((err) => console.error('Failed to send company invite email:', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.updateMember = async (req, res) => {
+  try {
+    const { role } = updateCompanyMemberSchema.parse(req.body || {});
+    const { company } = req;
+
+    const member = await loadTeamMember(req, res);
+    if (!member) {
+      return;
+    }
+
+    if (isPrimaryOwner(company, member) && role !== 'owner') {
+      return res.status(400).json({ error: 'The primary owner must remain an owner' });
+    }
+
+    member.role = role;
+    await member.save();
+
+    res.json(formatCompanyMember(member, company));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.removeMember = async (req, res) => {
+  try {
+    const { company } = req;
+
+    const member = await loadTeamMember(req, res);
+    if (!member) {
+      return;
+    }
+
+    if (isPrimaryOwner(company, member)) {
+      return res.status(400).json({ error: 'The primary owner cannot be removed' });
+    }
+
+    if (member._id.toString() === req.companyMember.id) {
+      return res.status(400).json({ error: 'You cannot remove yourself from the team' });
+    }
+
+    member.status = 'removed';
+    member.removedAt = new Date();
+    member.inviteToken = null;
+    member.inviteExpiresAt = null;
+    await member.save();
+
+    res.json({ message: 'Team member removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
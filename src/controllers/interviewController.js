@@ -0,0 +1,751 @@
+const mongoose = require('mongoose');
+
+const Company = require('../models/Company');
+const Student = require('../models/Student');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const JobPosting = require('../models/JobPosting');
+const {
+  scheduleInterviewSchema,
+  rescheduleInterviewSchema,
+  cancelInterviewSchema,
+  createInterviewSlotsSchema
+} = require('../utils/validation');
+const { validateCompanyTransition } = require('../services/applicationService');
+const notificationService = require('../services/notificationService');
+const {
+  formatInterview,
+  formatInterviewSlot,
+  syncApplicationInterviewDate,
+  createInterviewRound,
+  releaseInterviewSlot,
+  sendInterviewUpdate
+} = require('../services/interviewService');
+const { convertInterviewDateToUtc } = require('../utils/dateTime');
+
+const resolveInterviewTime = (interviewDate, interviewTimeZone) => {
+  const { utcDate, error } = convertInterviewDateToUtc({ interviewDateInput: interviewDate, interviewTimeZone });
+
+  if (error) {
+    return { utcDate: null, error };
+  }
+
+  if (!utcDate || utcDate <= new Date()) {
+    return { utcDate: null, error: 'Interview must be scheduled in the future' };
+  }
+
+  return { utcDate, error: null };
+};
+
+const loadCompanyInterview = async (req, res) => {
+  const { interviewId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(interviewId)) {
+    res.status(400).json({ error: 'Invalid interview ID format' });
+    return null;
+  }
+
+  const { company } = req;
+
+  const interview = await Interview.findById(interviewId);
+
+  if (!interview) {
+    res.status(404).json({ error: 'Interview not found' });
+    return null;
+  }
+
+  if (!interview.companyId.equals(company._id)) {
+    res.status(403).json({ error: 'You can only manage interviews for your own jobs' });
+    return null;
+  }
+
+  return { company, interview };
+};
+
+const loadInterviewContext = async (interview) => {
+  const [student, application] = await Promise.all([
+    Student.findById(interview.studentId).select('fullName email userId'),
+    Application.findById(interview.applicationId).populate('jobPostingId', 'title')
+  ]);
+
+  return { student, jobTitle: application?.jobPostingId?.title || 'the role' };
+};
+
+// Applications that can take (another) interview round
+const SLOT_ELIGIBLE_STATUSES = ['reviewed', 'interview_scheduled'];
+
+const hasUpcomingInterview = (applicationId) =>
+  Interview.exists({ applicationId, status: 'scheduled', scheduledAt: { $gt: new Date() } });
+
+/**
+ * Convert the requested start times into UTC slot documents.
+ * Returns { slots, error } — error is a client-facing message.
+ */
+const buildSlotDocuments = (parsed, { company, jobPostingId, applicationId, createdBy }) => {
+  const timeZone = parsed.interviewTimeZone?.trim() || 'UTC';
+  const seen = new Set();
+  const slots = [];
+
+  for (const startTime of parsed.startTimes) {
+    const { utcDate, error } = resolveInterviewTime(startTime, parsed.interviewTimeZone);
+
+    if (error) {
+      return { slots: null, error: `${startTime}: ${error}` };
+    }
+
+    const key = utcDate.toISOString();
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    slots.push({
+      companyId: company._id,
+      jobPostingId,
+      applicationId,
+      startsAt: utcDate,
+      timeZone,
+      durationMinutes: parsed.durationMinutes,
+      title: parsed.title || null,
+      mode: parsed.mode,
+      location: parsed.location || null,
+      meetingLink: parsed.meetingLink || null,
+      interviewers: parsed.interviewers || [],
+      notes: parsed.notes || null,
+      createdBy
+    });
+  }
+
+  return { slots: slots.sort((a, b) => a.startsAt - b.startsAt), error: null };
+};
+
+// ─── Company ──────────────────────────────────────────────────────────────────
+
+exports.getApplicationInterviews = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const { company } = req;
+
+    const application = await Application.findById(appId).populate('jobPostingId', 'companyId');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.jobPostingId?.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage applications for your own jobs' });
+    }
+
+    const interviews = await Interview.find({ applicationId: appId }).sort({ round: 1 });
+
+    res.json({ interviews: interviews.map(formatInterview) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.scheduleInterview = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const parsed = scheduleInterviewSchema.parse(req.body);
+
+    const { utcDate, error: dateError } = resolveInterviewTime(parsed.interviewDate, parsed.interviewTimeZone);
+
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const { company } = req;
+
+    const application = await Application.findById(appId).populate('jobPostingId', 'companyId title');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.jobPostingId?.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage applications for your own jobs' });
+    }
+
+    // Further rounds can be added while the application is in the interview stage
+    if (application.status !== 'interview_scheduled') {
+      const transition = validateCompanyTransition(application.status, 'interview_scheduled');
+      if (!transition.allowed) {
+        return res.status(400).json({ error: transition.message });
+      }
+    }
+
+    const interview = await createInterviewRound(application, company, {
+      title: parsed.title,
+      scheduledAt: utcDate,
+      timeZone: parsed.interviewTimeZone?.trim() || 'UTC',
+      durationMinutes: parsed.durationMinutes,
+      mode: parsed.mode,
+      location: parsed.location,
+      meetingLink: parsed.meetingLink,
+      interviewers: parsed.interviewers,
+      notes: parsed.notes
+    }, req.user.userId);
+
+    res.status(201).json(formatInterview(interview));
+
+    loadInterviewContext(interview)
+      .then(({ student, jobTitle }) => sendInterviewUpdate(interview, 'scheduled', { student, company, jobTitle }))
+      .catch((err) => console.error('Interview notification error (scheduled):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.rescheduleInterview = async (req, res) => {
+  try {
+    const parsed = rescheduleInterviewSchema.parse(req.body);
+
+    const loaded = await loadCompanyInterview(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { company, interview } = loaded;
+
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ error: `Cannot reschedule a ${interview.status} interview` });
+    }
+
+    const timeZone = parsed.interviewTimeZone?.trim() || interview.timeZone;
+    const { utcDate, error: dateError } = resolveInterviewTime(parsed.interviewDate, timeZone);
+
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const nextMode = parsed.mode || interview.mode;
+    const nextLocation = parsed.location !== undefined ? parsed.location || null : interview.location;
+    const nextMeetingLink = parsed.meetingLink !== undefined ? parsed.meetingLink || null : interview.meetingLink;
+
+    if (nextMode === 'video' && !nextMeetingLink) {
+      return res.status(400).json({ error: 'Meeting link is required for video interviews' });
+    }
+
+    if (nextMode === 'onsite' && !nextLocation) {
+      return res.status(400).json({ error: 'Location is required for onsite interviews' });
+    }
+
+    const previousScheduledAt = interview.scheduledAt;
+
+    interview.scheduledAt = utcDate;
+    interview.timeZone = timeZone;
+    interview.mode = nextMode;
+    interview.location = nextLocation;
+    interview.meetingLink = nextMeetingLink;
+    if (parsed.title !== undefined) interview.title = parsed.title || null;
+    if (parsed.durationMinutes !== undefined) interview.durationMinutes = parsed.durationMinutes;
+    if (parsed.interviewers !== undefined) interview.interviewers = parsed.interviewers;
+    if (parsed.notes !== undefined) interview.notes = parsed.notes || null;
+    interview.sequence += 1;
+    interview.history.push({
+      action: 'rescheduled',
+      scheduledAt: utcDate,
+      previousScheduledAt,
+      reason: parsed.reason || null,
+      changedBy: req.user.userId
+    });
+
+    await interview.save();
+    await syncApplicationInterviewDate(interview.applicationId);
+
+    res.json(formatInterview(interview));
+
+    loadInterviewContext(interview)
+      .then(({ student, jobTitle }) => sendInterviewUpdate(interview, 'rescheduled', {
+        student,
+        company,
+        jobTitle,
+        previousScheduledAt,
+        reason: parsed.reason || null
+      }))
+      .catch((err) => console.error('Interview notification error (rescheduled):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.cancelInterview = async (req, res) => {
+  try {
+    const parsed = cancelInterviewSchema.parse(req.body || {});
+
+    const loaded = await loadCompanyInterview(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { company, interview } = loaded;
+
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ error: `Cannot cancel a ${interview.status} interview` });
+    }
+
+    interview.status = 'cancelled';
+    interview.sequence += 1;
+    interview.history.push({
+      action: 'cancelled',
+      scheduledAt: interview.scheduledAt,
+      reason: parsed.reason || null,
+      changedBy: req.user.userId
+    });
+
+    await interview.save();
+    await Promise.all([
+      syncApplicationInterviewDate(interview.applicationId),
+      releaseInterviewSlot(interview._id)
+    ]);
+
+    res.json(formatInterview(interview));
+
+    loadInterviewContext(interview)
+      .then(({ student, jobTitle }) => sendInterviewUpdate(interview, 'cancelled', {
+        student,
+        company,
+        jobTitle,
+        reason: parsed.reason || null
+      }))
+      .catch((err) => console.error('Interview notification error (cancelled):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ─── Company: interview slots ─────────────────────────────────────────────────
+
+exports.publishApplicationSlots = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const parsed = createInterviewSlotsSchema.parse(req.body);
+
+    const { company } = req;
+
+    const application = await Application.findById(appId)
+      .populate('jobPostingId', 'companyId title')
+      .populate('studentId', 'userId');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.jobPostingId?.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage applications for your own jobs' });
+    }
+
+    if (!SLOT_ELIGIBLE_STATUSES.includes(application.status)) {
+      const transition = validateCompanyTransition(application.status, 'interview_scheduled');
+      return res.status(400).json({ error: transition.message });
+    }
+
+    const { slots, error: slotError } = buildSlotDocuments(parsed, {
+      company,
+      jobPostingId: application.jobPostingId._id,
+      applicationId: application._id,
+      createdBy: req.user.userId
+    });
+
+    if (slotError) {
+      return res.status(400).json({ error: slotError });
+    }
+
+    const created = await InterviewSlot.insertMany(slots);
+
+    res.status(201).json({ slots: created.map(formatInterviewSlot) });
+
+    notificationService
+      .notifyInterviewSlotsAvailable(application.studentId?.userId, {
+        jobTitle: application.jobPostingId.title,
+        companyName: company.name
+      })
+      .catch((err) => console.error('Notification error (interview slots available):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.publishJobSlots = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const parsed = createInterviewSlotsSchema.parse(req.body);
+
+    const { company } = req;
+
+    const job = await JobPosting.findById(jobId).select('companyId title');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!job.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage your own job postings' });
+    }
+
+    const { slots, error: slotError } = buildSlotDocuments(parsed, {
+      company,
+      jobPostingId: job._id,
+      applicationId: null,
+      createdBy: req.user.userId
+    });
+
+    if (slotError) {
+      return res.status(400).json({ error: slotError });
+    }
+
+    const created = await InterviewSlot.insertMany(slots);
+
+    res.status(201).json({ slots: created.map(formatInterviewSlot) });
+
+    // Let every applicant who can currently book know that times are open
+    Application.find({ jobPostingId: job._id, status: { $in: SLOT_ELIGIBLE_STATUSES } })
+      .populate('studentId', 'userId')
+      .then((applications) => Promise.all(
+        applications.map((application) =>
+          notificationService.notifyInterviewSlotsAvailable(application.studentId?.userId, {
+            jobTitle: job.title,
+            companyName: company.name
+          })
+        )
+      ))
+      .catch((err) => console.error('Notification error (job interview slots available):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getJobSlots = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { status } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    if (status && !InterviewSlot.INTERVIEW_SLOT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${InterviewSlot.INTERVIEW_SLOT_STATUSES.join(', ')}` });
+    }
+
+    const { company } = req;
+
+    const job = await JobPosting.findById(jobId).select('companyId');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!job.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage your own job postings' });
+    }
+
+    const query = { jobPostingId: jobId };
+    if (status) {
+      query.status = status;
+    }
+
+    const slots = await InterviewSlot.find(query).sort({ startsAt: 1 });
+
+    res.json({ slots: slots.map(formatInterviewSlot) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.cancelSlot = async (req, res) => {
+  try {
+    const { slotId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(slotId)) {
+      return res.status(400).json({ error: 'Invalid slot ID format' });
+    }
+
+    const { company } = req;
+
+    const slot = await InterviewSlot.findById(slotId);
+
+    if (!slot) {
+      return res.status(404).json({ error: 'Interview slot not found' });
+    }
+
+    if (!slot.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage interview slots for your own jobs' });
+    }
+
+    // Conditional update so a booking that lands first wins
+    const cancelled = await InterviewSlot.findOneAndUpdate(
+      { _id: slotId, status: 'open' },
+      { $set: { status: 'cancelled' } },
+      { returnDocument: 'after' }
+    );
+
+    if (!cancelled) {
+      return res.status(400).json({
+        error: slot.status === 'cancelled'
+          ? 'This slot is already cancelled'
+          : 'This slot has been booked. Cancel the interview instead.'
+      });
+    }
+
+    res.json(formatInterviewSlot(cancelled));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ─── Student ──────────────────────────────────────────────────────────────────
+
+exports.getMyApplicationInterviews = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const application = await Application.findOne({ _id: appId, studentId: student._id }).select('_id');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const interviews = await Interview.find({ applicationId: appId }).sort({ round: 1 });
+
+    res.json({
+      interviews: interviews.map((interview) => {
+        // History records which company user made each change; students don't need that
+        const { history, ...rest } = formatInterview(interview);
+        return {
+          ...rest,
+          history: history.map(({ action, scheduledAt, previousScheduledAt, reason, changedAt }) => ({
+            action,
+            scheduledAt,
+            previousScheduledAt,
+            reason,
+            changedAt
+          }))
+        };
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+
+const loadStudentApplication = async (req, res) => {
+  const { appId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(appId)) {
+    res.status(400).json({ error: 'Invalid application ID format' });
+    return null;
+  }
+
+  const student = await Student.findOne({ userId: req.user.userId });
+
+  if (!student) {
+    res.status(404).json({ error: 'Student not found' });
+    return null;
+  }
+
+  const application = await Application.findOne({ _id: appId, studentId: student._id })
+    .populate('jobPostingId', 'companyId title');
+
+  if (!application) {
+    res.status(404).json({ error: 'Application not found' });
+    return null;
+  }
+
+  return { student, application };
+};
+
+exports.getAvailableSlots = async (req, res) => {
+  try {
+    const loaded = await loadStudentApplication(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { application } = loaded;
+
+    if (!SLOT_ELIGIBLE_STATUSES.includes(application.status) || !application.jobPostingId) {
+      return res.json({ slots: [], canBook: false });
+    }
+
+    const [slots, upcomingInterview] = await Promise.all([
+      InterviewSlot.find({
+        jobPostingId: application.jobPostingId._id,
+        status: 'open',
+        startsAt: { $gt: new Date() },
+        $or: [{ applicationId: null }, { applicationId: application._id }]
+      }).sort({ startsAt: 1 }),
+      hasUpcomingInterview(application._id)
+    ]);
+
+    res.json({
+      slots: slots.map((slot) => {
+        const { bookedByApplicationId, bookedAt, interviewId, ...rest } = formatInterviewSlot(slot);
+        return rest;
+      }),
+      canBook: !upcomingInterview
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.bookSlot = async (req, res) => {
+  try {
+    const { slotId } = req.body || {};
+
+    if (!slotId || !mongoose.Types.ObjectId.isValid(slotId)) {
+      return res.status(400).json({ error: 'A valid slotId is required' });
+    }
+
+    const loaded = await loadStudentApplication(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { student, application } = loaded;
+
+    if (!SLOT_ELIGIBLE_STATUSES.includes(application.status) || !application.jobPostingId) {
+      return res.status(400).json({ error: 'Interview slots are not available for this application' });
+    }
+
+    if (await hasUpcomingInterview(application._id)) {
+      return res.status(409).json({ error: 'You already have an upcoming interview for this application' });
+    }
+
+    // Claim the slot atomically — only one candidate can flip it from open to booked
+    const slot = await InterviewSlot.findOneAndUpdate(
+      {
+        _id: slotId,
+        jobPostingId: application.jobPostingId._id,
+        status: 'open',
+        startsAt: { $gt: new Date() },
+        $or: [{ applicationId: null }, { applicationId: application._id }]
+      },
+      {
+        $set: {
+          status: 'booked',
+          bookedByApplicationId: application._id,
+          bookedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!slot) {
+      return res.status(409).json({ error: 'This slot is no longer available. Please choose another time.' });
+    }
+
+    const company = await Company.findById(slot.companyId);
+
+    let interview;
+    try {
+      interview = await createInterviewRound(application, company, {
+        title: slot.title,
+        scheduledAt: slot.startsAt,
+        timeZone: slot.timeZone,
+        durationMinutes: slot.durationMinutes,
+        mode: slot.mode,
+        location: slot.location,
+        meetingLink: slot.meetingLink,
+        interviewers: slot.interviewers,
+        notes: slot.notes
+      }, req.user.userId, 'student');
+    } catch (bookingError) {
+      // Release the slot so someone else can take it
+      await InterviewSlot.updateOne(
+        { _id: slot._id, bookedByApplicationId: application._id },
+        { $set: { status: 'open', bookedByApplicationId: null, bookedAt: null } }
+      );
+      throw bookingError;
+    }
+
+    slot.interviewId = interview._id;
+    await slot.save();
+
+    res.status(201).json({
+      slot: formatInterviewSlot(slot),
+      interview: formatInterview(interview)
+    });
+
+    sendInterviewUpdate(interview, 'scheduled', {
+      student,
+      company,
+      jobTitle: application.jobPostingId.title
+    });
+
+    notificationService
+      .notifyInterviewSlotBooked(company, {
+        jobTitle: application.jobPostingId.title,
+        studentName: student.fullName,
+        interviewDate: slot.startsAt
+      })
+      .catch((err) => console.error('Notification error (interview slot booked):', err));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+
+const JobPosting = require('../models/JobPosting');
+const JobTemplate = require('../models/JobTemplate');
+const ZoneCountry = require('../models/ZoneCountry');
+const { createJobTemplateSchema, updateJobTemplateSchema } = require('../utils/validation');
+const { normalizeScreeningQuestions } = require('../services/screeningService');
+const { JOB_CONTENT_FIELDS, pickJobContent, formatJobTemplate } = require('../services/jobTemplateService');
+const { withSalaryRange } = require('../services/salaryService');
+
+const MAX_JOB_TEMPLATES = 50;
+
+// Returns an error message for an unusable countryId, or null
+const validateCountryId = async (countryId) => {
+  if (!countryId) {
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(countryId)) {
+    return 'Invalid country ID format';
+  }
+  const country = await ZoneCountry.findById(countryId);
+  return country ? null : 'Country not found';
+};
+
+// Only fields the client actually sent; screening questions are normalised like job postings
+const pickProvidedContent = (parsed) => {
+  const content = {};
+
+  JOB_CONTENT_FIELDS.forEach((field) => {
+    if (parsed[field] !== undefined) {
+      content[field] = parsed[field];
+    }
+  });
+
+  if (parsed.screeningQuestions !== undefined) {
+    content.screeningQuestions = normalizeScreeningQuestions(parsed.screeningQuestions);
+  }
+
+  return content;
+};
+
+const loadCompanyTemplate = async (req, res, company) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    res.status(400).json({ error: 'Invalid template ID format' });
+    return null;
+  }
+
+  const template = await JobTemplate.findOne({ _id: templateId, companyId: company._id });
+
+  if (!template) {
+    res.status(404).json({ error: 'Template not found' });
+    return null;
+  }
+
+  return template;
+};
+
+exports.getJobTemplates = async (req, res) => {
+  try {
+    const { company } = req;
+
+    const templates = await JobTemplate.find({ companyId: company._id }).sort({ updatedAt: -1 });
+
+    res.json({ templates: templates.map(formatJobTemplate) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.createJobTemplate = async (req, res) => {
+  try {
+    const parsed = createJobTemplateSchema.parse(req.body || {});
+
+    const { company } = req;
+
+    const templateCount = await JobTemplate.countDocuments({ companyId: company._id });
+    if (templateCount >= MAX_JOB_TEMPLATES) {
+      return res.status(400).json({ error: `You can keep at most ${MAX_JOB_TEMPLATES} job templates` });
+    }
+
+    // "Save as template": start from an existing job, then apply any fields sent alongside it
+    let baseContent = {};
+    if (parsed.jobId) {
+      if (!mongoose.Types.ObjectId.isValid(parsed.jobId)) {
+        return res.status(400).json({ error: 'Invalid job ID format' });
+      }
+
+      const job = await JobPosting.findOne({ _id: parsed.jobId, companyId: company._id });
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      baseContent = pickJobContent(job);
+    }
+
+    const content = { ...baseContent, ...withSalaryRange(pickProvidedContent(parsed)) };
+
+    const countryError = await validateCountryId(content.countryId);
+    if (countryError) {
+      return res.status(400).json({ error: countryError });
+    }
+
+    const template = await JobTemplate.create({
+      companyId: company._id,
+      name: parsed.name,
+      ...content
+    });
+
+    res.status(201).json(formatJobTemplate(template));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have a template with this name' });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getJobTemplate = async (req, res) => {
+  try {
+    const { company } = req;
+
+    const template = await loadCompanyTemplate(req, res, company);
+    if (!template) {
+      return;
+    }
+
+    res.json(formatJobTemplate(template));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.updateJobTemplate = async (req, res) => {
+  try {
+    const parsed = updateJobTemplateSchema.parse(req.body || {});
+
+    const { company } = req;
+
+    const template = await loadCompanyTemplate(req, res, company);
+    if (!template) {
+      return;
+    }
+
+    const content = withSalaryRange(pickProvidedContent(parsed));
+
+    const countryError = await validateCountryId(content.countryId);
+    if (countryError) {
+      return res.status(400).json({ error: countryError });
+    }
+
+    if (parsed.name !== undefined) {
+      template.name = parsed.name;
+    }
+    Object.assign(template, content);
+    template.updatedAt = new Date();
+
+    await template.save();
+
+    res.json(formatJobTemplate(template));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have a template with this name' });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.deleteJobTemplate = async (req, res) => {
+  try {
+    const { company } = req;
+
+    const template = await loadCompanyTemplate(req, res, company);
+    if (!template) {
+      return;
+    }
+
+    await template.deleteOne();
+
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.createJobFromTemplate = async (req, res) => {
+  try {
+    const { company } = req;
+
+    const template = await loadCompanyTemplate(req, res, company);
+    if (!template) {
+      return;
+    }
+
+    // New jobs from a template always start as drafts so the company can set the deadline
+    const job = await JobPosting.create({
+      companyId: company._id,
+      ...pickJobContent(template),
+      deadline: null,
+      status: 'draft'
+    });
+
+    res.status(201).json(job);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,88 @@
+const Student = require('../models/Student');
+const ResumeVersion = require('../models/ResumeVersion');
+const Application = require('../models/Application');
+const JobPosting = require('../models/JobPosting');
+const { getPresignedUrl } = require('../services/mediaService');
+const { resolveCompanyMembership } = require('../services/companyTeamService');
+
+// Logos appear on public job listings, so anyone may sign them
+const PUBLIC_KEY_PREFIXES = ['company-logos/'];
+
+const isStudentMediaKey = async (userId, key) => {
+  const student = await Student.findOne({ userId }).select('resumeUrl introVideoUrl');
+
+  if (!student) {
+    return false;
+  }
+
+  if (student.resumeUrl === key || student.introVideoUrl === key) {
+    return true;
+  }
+
+  const [versionExists, applicationExists] = await Promise.all([
+    ResumeVersion.exists({ studentId: student._id, key }),
+    Application.exists({ studentId: student._id, $or: [{ resumeKey: key }, { 'offer.letterKey': key }] })
+  ]);
+
+  return Boolean(versionExists || applicationExists);
+};
+
+// Student resumes and videos are metered, so companies only get them through
+// GET /company/students/:studentId; here they may sign their own offer letters
+const isCompanyMediaKey = async (userId, key) => {
+  const membership = await resolveCompanyMembership(userId);
+
+  if (!membership) {
+    return false;
+  }
+
+  const jobIds = await JobPosting.find({ companyId: membership.company._id }).distinct('_id');
+
+  return Boolean(await Application.exists({ jobPostingId: { $in: jobIds }, 'offer.letterKey': key }));
+};
+
+const canSignKey = async (user, key) => {
+  if (PUBLIC_KEY_PREFIXES.some((prefix) => key.startsWith(prefix))) {
+    return true;
+  }
+
+  if (!user) {
+    return false;
+  }
+
+  if (user.userType === 'admin') {
+    return true;
+  }
+
+  if (user.userType === 'student') {
+    return isStudentMediaKey(user.userId, key);
+  }
+
+  if (user.userType === 'company') {
+    return isCompanyMediaKey(user.userId, key);
+  }
+
+  return false;
+};
+
+exports.getMediaUrl = async (req, res) => {
+  try {
+    const { key } = req.query;
+
+    if (!key || typeof key !== 'string') {
+      return res.status(400).json({ error: 'Key is required' });
+    }
+
+    if (!(await canSignKey(req.user, key))) {
+      return req.user
+        ? res.status(403).json({ error: 'You do not have access to this file' })
+        : res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const url = await getPresignedUrl(key);
+    res.json({ url });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to generate URL' });
+  }
+};
@@ -0,0 +1,401 @@
+const mongoose = require('mongoose');
+
+const Student = require('../models/Student');
+const Application = require('../models/Application');
+const { extendOfferSchema, declineOfferSchema } = require('../utils/validation');
+const {
+  validateCompanyTransition,
+  buildStatusHistoryEntry
+} = require('../services/applicationService');
+const { uploadOfferLetter } = require('../services/mediaService');
+const { formatOffer, isOfferExpired, lapseOffer } = require('../services/offerService');
+const notificationService = require('../services/notificationService');
+const emailService = require('../services/emailService');
+
+const loadStudentApplication = async (req, res) => {
+  const { appId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(appId)) {
+    res.status(400).json({ error: 'Invalid application ID format' });
+    return null;
+  }
+
+  const student = await Student.findOne({ userId: req.user.userId });
+
+  if (!student) {
+    res.status(404).json({ error: 'Student not found' });
+    return null;
+  }
+
+  const application = await Application.findOne({ _id: appId, studentId: student._id })
+    .populate({
+      path: 'jobPostingId',
+      select: 'title companyId',
+      populate: { path: 'companyId', select: 'name userId' }
+    });
+
+  if (!application) {
+    res.status(404).json({ error: 'Application not found' });
+    return null;
+  }
+
+  return { student, application };
+};
+
+/**
+ * Shared guard for accept/decline. Lapses an offer that expired before the
+ * scheduler got to it. Returns an error message, or null if the student can respond.
+ */
+const getOfferResponseError = async (application) => {
+  if (application.status !== 'offer_extended' || !application.offer) {
+    return 'There is no open offer for this application';
+  }
+
+  if (application.offer.status !== 'pending') {
+    return `This offer has already been ${application.offer.status}`;
+  }
+
+  if (isOfferExpired(application.offer)) {
+    await lapseOffer(application._id);
+    return 'This offer has expired';
+  }
+
+  return null;
+};
+
+// ─── Company ──────────────────────────────────────────────────────────────────
+
+exports.extendOffer = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const parsed = extendOfferSchema.parse(req.body || {});
+
+    const { company } = req;
+
+    const application = await Application.findById(appId)
+      .populate('jobPostingId', 'companyId title')
+      .populate('studentId', 'fullName userId isHired');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.jobPostingId?.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage applications for your own jobs' });
+    }
+
+    // A pending offer can be revised; otherwise this is the interview → offer transition
+    const isRevision = application.status === 'offer_extended'
+      && (!application.offer || application.offer.status === 'pending');
+
+    if (!isRevision) {
+      const transition = validateCompanyTransition(application.status, 'offer_extended');
+
+      if (!transition.allowed) {
+        return res.status(400).json({ error: transition.message });
+      }
+    }
+
+    if (application.studentId?.isHired) {
+      return res.status(400).json({ error: 'This candidate has already accepted another offer' });
+    }
+
+    let letterKey = isRevision ? application.offer?.letterKey || null : null;
+    if (req.file) {
+      letterKey = await uploadOfferLetter(req.file, application._id.toString());
+    }
+
+    const now = new Date();
+
+    // Conditional update so a student accept/decline or a lapse that lands
+    // while the offer is being written isn't overwritten
+    const filter = { _id: application._id, status: application.status };
+
+    if (isRevision) {
+      if (application.offer) {
+        filter['offer.status'] = 'pending';
+      } else {
+        filter.offer = null;
+      }
+    }
+
+    const update = {
+      $set: {
+        status: 'offer_extended',
+        reviewedAt: now,
+        offerDetails: parsed.offerDetails || null,
+        rejectionReason: null,
+        rejectionSource: null,
+        offer: {
+          salary: parsed.salary,
+          currency: parsed.currency,
+          startDate: new Date(parsed.startDate),
+          expiresAt: new Date(parsed.expiresAt),
+          letterKey,
+          status: 'pending',
+          extendedAt: now
+        }
+      }
+    };
+
+    if (!isRevision) {
+      update.$push = {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: application.status,
+          toStatus: 'offer_extended',
+          actorId: req.user.userId,
+          actorType: 'company',
+          changedAt: now
+        })
+      };
+    }
+
+    const extended = await Application.findOneAndUpdate(filter, update, { returnDocument: 'after' });
+
+    if (!extended) {
+      return res.status(409).json({ error: 'This application changed while the offer was being saved. Reload and try again' });
+    }
+
+    res.status(isRevision ? 200 : 201).json({ offer: await formatOffer(extended) });
+
+    notificationService
+      .notifyApplicationOfferExtended(application.studentId?.userId, {
+        jobTitle: application.jobPostingId.title,
+        companyName: company.name,
+        expiresAt: extended.offer.expiresAt
+      })
+      .catch((err) => console.error('Notification error (offer extended):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    const clientErrorIndicators = ['offer letter', 'pdf', 'file buffer'];
+
+    if (error.message && clientErrorIndicators.some((indicator) => error.message.toLowerCase().includes(indicator))) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getApplicationOffer = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const { company } = req;
+
+    const application = await Application.findById(appId).populate('jobPostingId', 'companyId');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.jobPostingId?.companyId.equals(company._id)) {
+      return res.status(403).json({ error: 'You can only manage applications for your own jobs' });
+    }
+
+    if (!application.offer) {
+      return res.status(404).json({ error: 'No offer has been extended for this application' });
+    }
+
+    res.json({ offer: await formatOffer(application) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ─── Student ──────────────────────────────────────────────────────────────────
+
+exports.getMyOffer = async (req, res) => {
+  try {
+    const loaded = await loadStudentApplication(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { application } = loaded;
+
+    if (!application.offer) {
+      return res.status(404).json({ error: 'No offer has been extended for this application' });
+    }
+
+    res.json({
+      offer: await formatOffer(application),
+      jobTitle: application.jobPostingId?.title || null,
+      companyName: application.jobPostingId?.companyId?.name || null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.acceptOffer = async (req, res) => {
+  try {
+    const loaded = await loadStudentApplication(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { student, application } = loaded;
+
+    const responseError = await getOfferResponseError(application);
+    if (responseError) {
+      return res.status(400).json({ error: responseError });
+    }
+
+    if (student.isHired) {
+      return res.status(400).json({ error: 'You have already accepted another offer' });
+    }
+
+    const now = new Date();
+
+    // Conditional update so a concurrent lapse or company rescind wins cleanly
+    const accepted = await Application.findOneAndUpdate(
+      {
+        _id: application._id,
+        status: 'offer_extended',
+        'offer.status': 'pending',
+        'offer.expiresAt': { $gt: now }
+      },
+      {
+        $set: {
+          status: 'hired',
+          reviewedAt: now,
+          'offer.status': 'accepted',
+          'offer.respondedAt': now
+        },
+        $push: {
+          statusHistory: buildStatusHistoryEntry({
+            fromStatus: 'offer_extended',
+            toStatus: 'hired',
+            actorId: req.user.userId,
+            actorType: 'student',
+            reason: 'Offer accepted',
+            changedAt: now
+          })
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!accepted) {
+      return res.status(409).json({ error: 'This offer is no longer open' });
+    }
+
+    await Student.findByIdAndUpdate(student._id, { isHired: true });
+
+    const jobTitle = application.jobPostingId?.title || 'Job Posting';
+    const company = application.jobPostingId?.companyId;
+
+    res.json({ status: accepted.status, offer: await formatOffer(accepted) });
+
+    emailService
+      .sendApplicationStatusEmail(
+        student.email,
+        {
+          status: 'hired',
+          jobTitle,
+          companyName: company?.name,
+          studentName: student.fullName
+        },
+        { userId: student.userId }
+      )
+      .catch((error) => console.error('Failed to send application hired email', error));
+
+    notificationService
+      .notifyOfferResponded(company, {
+        jobTitle,
+        studentName: student.fullName,
+        accepted: true
+      })
+      .catch((err) => console.error('Notification error (offer accepted):', err));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.declineOffer = async (req, res) => {
+  try {
+    const { reason } = declineOfferSchema.parse(req.body || {});
+
+    const loaded = await loadStudentApplication(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { student, application } = loaded;
+
+    const responseError = await getOfferResponseError(application);
+    if (responseError) {
+      return res.status(400).json({ error: responseError });
+    }
+
+    const now = new Date();
+
+    const declined = await Application.findOneAndUpdate(
+      {
+        _id: application._id,
+        status: 'offer_extended',
+        'offer.status': 'pending'
+      },
+      {
+        $set: {
+          status: 'rejected',
+          rejectionSource: 'student',
+          rejectionReason: reason || null,
+          reviewedAt: now,
+          'offer.status': 'declined',
+          'offer.declineReason': reason || null,
+          'offer.respondedAt': now
+        },
+        $push: {
+          statusHistory: buildStatusHistoryEntry({
+            fromStatus: 'offer_extended',
+            toStatus: 'rejected',
+            actorId: req.user.userId,
+            actorType: 'student',
+            reason: reason ? `Offer declined: ${reason}` : 'Offer declined',
+            changedAt: now
+          })
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!declined) {
+      return res.status(409).json({ error: 'This offer is no longer open' });
+    }
+
+    res.json({ status: declined.status, offer: await formatOffer(declined) });
+
+    notificationService
+      .notifyOfferResponded(application.jobPostingId?.companyId, {
+        jobTitle: application.jobPostingId?.title || 'Job Posting',
+        studentName: student.fullName,
+        accepted: false
+      })
+      .catch((err) => console.error('Notification error (offer declined):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -12,6 +12,7 @@ const {
   RAZORPAY_CONFIG_ERROR_CODES
 } = require('../services/razorpayService');
 const { createOrUpgradeSubscriptionForStudent } = require('./subscriptionController');
+const { getClientIp } = require('../utils/clientIp');
 
 const SUPPORTED_CHECKOUT_CURRENCIES = new Set(['INR', 'USD']);
 const COUNTRY_HEADER_KEYS = ['cf-ipcountry', 'x-vercel-ip-country', 'x-country-code'];
@@ -58,22 +59,6 @@ const mergeGatewayResponse = (currentValue, patch) => {
   };
 };
 
-const getClientIp = (req) => {
-  const forwardedFor = req.headers['x-forwarded-for'];
-
-  if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
-    return forwardedFor.split(',')[0].trim();
-  }
-
-  const realIp = req.headers['x-real-ip'];
-
-  if (typeof realIp === 'string' && realIp.trim()) {
-    return realIp.trim();
-  }
-
-  return req.socket?.remoteAddress || null;
-};
-
 const normalizeCountryCode = (value) => {
   if (!value || typeof value !== 'string') {
     return null;
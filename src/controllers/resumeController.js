@@ -0,0 +1,137 @@
+const Student = require('../models/Student');
+const { uploadResumeVersionSchema, updateResumeVersionSchema } = require('../utils/validation');
+const {
+  MAX_RESUME_VERSIONS,
+  formatResumeVersion,
+  ensureLegacyResumeVersion,
+  getActiveResumeVersions,
+  findActiveResumeVersion,
+  setDefaultResumeVersion,
+  addResumeVersion,
+  deleteResumeVersion
+} = require('../services/resumeService');
+
+const loadStudent = async (req, res) => {
+  const student = await Student.findOne({ userId: req.user.userId });
+
+  if (!student) {
+    res.status(404).json({ error: 'Student not found' });
+    return null;
+  }
+
+  return student;
+};
+
+const handleResumeError = (error, res) => {
+  if (error.name === 'ZodError') {
+    return res.status(400).json({ error: error.issues[0].message });
+  }
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const clientErrorIndicators = ['resume', 'pdf', 'file buffer'];
+
+  if (error.message && clientErrorIndicators.some((indicator) => error.message.toLowerCase().includes(indicator))) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  console.error(error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+exports.getResumes = async (req, res) => {
+  try {
+    const student = await loadStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    await ensureLegacyResumeVersion(student);
+
+    const versions = await getActiveResumeVersions(student._id);
+
+    res.json({
+      resumes: await Promise.all(versions.map(formatResumeVersion)),
+      limit: MAX_RESUME_VERSIONS
+    });
+  } catch (error) {
+    handleResumeError(error, res);
+  }
+};
+
+exports.uploadResume = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Resume file is required' });
+    }
+
+    const parsed = uploadResumeVersionSchema.parse(req.body || {});
+
+    const student = await loadStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    const version = await addResumeVersion(student, req.file, {
+      name: parsed.name,
+      makeDefault: parsed.isDefault === true
+    });
+
+    res.status(201).json(await formatResumeVersion(version));
+  } catch (error) {
+    handleResumeError(error, res);
+  }
+};
+
+exports.updateResume = async (req, res) => {
+  try {
+    const parsed = updateResumeVersionSchema.parse(req.body || {});
+
+    const student = await loadStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    const version = await findActiveResumeVersion(student._id, req.params.resumeId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    if (parsed.name !== undefined) {
+      version.name = parsed.name;
+      await version.save();
+    }
+
+    if (parsed.isDefault && !version.isDefault) {
+      await setDefaultResumeVersion(student._id, version);
+    }
+
+    res.json(await formatResumeVersion(version));
+  } catch (error) {
+    handleResumeError(error, res);
+  }
+};
+
+exports.deleteResume = async (req, res) => {
+  try {
+    const student = await loadStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    const version = await findActiveResumeVersion(student._id, req.params.resumeId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    await deleteResumeVersion(student._id, version);
+
+    res.json({ message: 'Resume deleted' });
+  } catch (error) {
+    handleResumeError(error, res);
+  }
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const Student = require('../models/Student');
+const SavedSearch = require('../models/SavedSearch');
+const ZoneCountry = require('../models/ZoneCountry');
+const { createSavedSearchSchema, updateSavedSearchSchema } = require('../utils/validation');
+const { formatSavedSearch, normalizeQuery } = require('../services/savedSearchService');
+
+const MAX_SAVED_SEARCHES_PER_STUDENT = 20;
+
+const countryExists = async (countryId) => {
+  if (!countryId) {
+    return true;
+  }
+  return Boolean(await ZoneCountry.exists({ _id: countryId }));
+};
+
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const savedSearches = await SavedSearch.find({ studentId: student._id }).sort({ createdAt: -1 });
+
+    res.json({ savedSearches: savedSearches.map(formatSavedSearch) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const parsed = createSavedSearchSchema.parse(req.body);
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const existingCount = await SavedSearch.countDocuments({ studentId: student._id });
+
+    if (existingCount >= MAX_SAVED_SEARCHES_PER_STUDENT) {
+      return res.status(400).json({
+        error: `You can save up to ${MAX_SAVED_SEARCHES_PER_STUDENT} searches. Delete one to add another.`
+      });
+    }
+
+    if (!(await countryExists(parsed.query.countryId))) {
+      return res.status(404).json({ error: 'Country not found' });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      studentId: student._id,
+      name: parsed.name,
+      query: normalizeQuery(parsed.query),
+      frequency: parsed.frequency || 'instant'
+    });
+
+    res.status(201).json(formatSavedSearch(savedSearch));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const { searchId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(searchId)) {
+      return res.status(400).json({ error: 'Invalid saved search ID format' });
+    }
+
+    const parsed = updateSavedSearchSchema.parse(req.body);
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: searchId, studentId: student._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    if (parsed.query) {
+      if (!(await countryExists(parsed.query.countryId))) {
+        return res.status(404).json({ error: 'Country not found' });
+      }
+      savedSearch.query = normalizeQuery(parsed.query);
+      // Queued matches were for the old criteria
+      savedSearch.pendingJobIds = [];
+    }
+
+    if (parsed.name !== undefined) {
+      savedSearch.name = parsed.name;
+    }
+
+    if (parsed.frequency !== undefined) {
+      savedSearch.frequency = parsed.frequency;
+    }
+
+    if (parsed.isActive !== undefined) {
+      savedSearch.isActive = parsed.isActive;
+    }
+
+    await savedSearch.save();
+
+    res.json(formatSavedSearch(savedSearch));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const { searchId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(searchId)) {
+      return res.status(400).json({ error: 'Invalid saved search ID format' });
+    }
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const deleted = await SavedSearch.findOneAndDelete({ _id: searchId, studentId: student._id });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
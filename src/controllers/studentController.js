@@ -7,13 +7,34 @@ const Application = require('../models/Application');
 const ActiveSubscription = require('../models/ActiveSubscription');
 const AvailableService = require('../models/AvailableService');
 const Zone = require('../models/Zone');
+const PayPerJobPurchase = require('../models/PayPerJobPurchase');
+const SavedJob = require('../models/SavedJob');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
 const { STUDENT_APPLICATION_STATUS_MAP } = require('../constants');
-const { getApplicationLimit } = require('../services/subscriptionService');
-const { getSubscriptionUsage, incrementApplicationCount, decrementApplicationCount } = require('../services/applicationService');
-const { uploadStudentResume } = require('../services/mediaService');
+const { getApplicationLimit, checkSubscriptionStatus } = require('../services/subscriptionService');
+const {
+  getSubscriptionUsage,
+  incrementApplicationCount,
+  decrementApplicationCount,
+  buildStatusHistoryEntry,
+  recordStatusChange,
+  formatStudentTimeline
+} = require('../services/applicationService');
+const { applyToJobSchema } = require('../utils/validation');
+const { uploadStudentResume, deleteMediaObject } = require('../services/mediaService');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
-const { canAccessJob, getUnlockOptions, getQuotaUnlockOptions } = require('../services/zoneAccessService');
+const { canAccessJob, getAccessibleZones, getUnlockOptions, getQuotaUnlockOptions } = require('../services/zoneAccessService');
+const { parseJobSearchFilters, searchJobs } = require('../services/jobSearchService');
+const { formatQuestionsForStudent, evaluateScreeningAnswers } = require('../services/screeningService');
+const { addResumeVersion, resolveApplicationResume } = require('../services/resumeService');
+const { getMediaUsage } = require('../services/mediaQuotaService');
+const { getSubscriptionPerks } = require('../services/perkService');
+const { getRecommendedJobs } = require('../services/recommendationService');
+const { formatSalaryForStudent } = require('../services/salaryService');
+const { refreshApplicationMatchScores } = require('../services/matchScoreService');
+
+const SCREENING_KNOCKOUT_REASON = 'Screening answers did not meet the job requirements';
 
 // Check if email is taken by another user (excluding current student)
 const isEmailTakenByOther = async (email, currentStudentId) => {
@@ -36,8 +57,6 @@ const isEmailTakenByOther = async (email, currentStudentId) => {
   return false;
 };
 
-const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
 const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 
 const isValidUrl = (value) => {
@@ -106,6 +125,7 @@ const buildProfileResponse = (student) => ({
   experience: student.experience || [],
   resumeUrl: student.resumeUrl || null,
   introVideoUrl: student.introVideoUrl || '',
+  isDiscoverable: Boolean(student.isDiscoverable),
   isHired: student.isHired
 });
 
@@ -146,9 +166,35 @@ const getStudentFacingStatusPayload = (application) => {
       };
     }
 
+    if (application.rejectionSource === 'student') {
+      return STUDENT_APPLICATION_STATUS_MAP.offer_declined;
+    }
+
+    if (application.rejectionSource === 'system') {
+      return STUDENT_APPLICATION_STATUS_MAP.offer_lapsed;
+    }
+
+    if (application.rejectionSource === 'screening') {
+      return STUDENT_APPLICATION_STATUS_MAP.rejected_screening;
+    }
+
     return STUDENT_APPLICATION_STATUS_MAP.rejected_admin;
   }
 
+  if (application.status === 'offer_extended' && application.offer?.status === 'pending') {
+    const basePayload = STUDENT_APPLICATION_STATUS_MAP.offer_extended;
+    const formattedExpiry = formatInterviewDateTime(application.offer.expiresAt);
+
+    if (!formattedExpiry) {
+      return basePayload;
+    }
+
+    return {
+      ...basePayload,
+      statusMessage: `You have received an offer. Please accept or decline it before ${formattedExpiry}.`
+    };
+  }
+
   if (application.status === 'interview_scheduled') {
     const basePayload = STUDENT_APPLICATION_STATUS_MAP.interview_scheduled || {
       studentFacingStatus: 'Interview Scheduled',
@@ -238,12 +284,21 @@ exports.getDashboard = async (req, res) => {
     const applicationLimit = await getApplicationLimit(student._id);
     const hasUnlimitedApplications = applicationLimit === Infinity;
 
+    // How many companies have opened the resume / intro video under the current plan
+    const [{ resumeDownloads, videoViews }, { subscription }] = await Promise.all([
+      getMediaUsage(student._id),
+      checkSubscriptionStatus(student._id)
+    ]);
+
     res.json({
       applicationsUsed,
       applicationLimit: hasUnlimitedApplications ? null : applicationLimit,
       hasUnlimitedApplications,
       subscriptionTier: student.subscriptionTier,
       pendingApplications,
+      resumeDownloads,
+      videoViews,
+      perks: getSubscriptionPerks(subscription),
       isHired: student.isHired
     });
   } catch (error) {
@@ -305,69 +360,128 @@ const getCurrentPlanDetails = async (student) => {
 };
 
 
-exports.getJobs = async (req, res) => {
-  try {
-    const { search, location, jobType, page = 1, limit = 10 } = req.query;
+/**
+ * Add zone lock, application and bookmark state to job list items.
+ * Items must carry `id` and `zoneId`; all lookups are batched per call.
+ */
+const annotateJobsForStudent = async (studentId, jobs) => {
+  // Batch fetch: get student's accessible zones once
+  const accessibleZones = await getAccessibleZones(studentId);
+
+  // Batch fetch: get all pay-per-job purchases for this student
+  const paidJobIds = await PayPerJobPurchase.find({
+    studentId,
+    status: 'completed'
+  }).distinct('jobPostingId');
+  const paidJobIdSet = new Set(paidJobIds.map(id => id.toString()));
+
+  // Batch fetch: get all applications with status for this student
+  const applications = await Application.find({
+    studentId
+  }).select('jobPostingId status').lean();
+  const applicationMap = new Map(
+    applications.map(app => [app.jobPostingId.toString(), app.status])
+  );
+
+  // Batch fetch: bookmarked jobs
+  const savedJobIds = await SavedJob.find({ studentId }).distinct('jobPostingId');
+  const savedJobIdSet = new Set(savedJobIds.map(id => id.toString()));
+
+  // Batch fetch: all zones for zoneLockReason
+  const allZones = await Zone.find().select('name').lean();
+  const zoneMap = new Map(allZones.map(z => [z._id.toString(), z.name]));
+
+  // Check each job against cached data (no additional queries)
+  return jobs.map(item => {
+    const jobIdStr = item.id.toString();
+    const job = { ...item, isSaved: savedJobIdSet.has(jobIdStr) };
+    const applicationStatus = applicationMap.get(jobIdStr) || null;
+    const hasApplied = applicationStatus !== null;
+
+    // If already applied, not locked (they already have access)
+    if (hasApplied) {
+      return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'applied', hasApplied: true, applicationStatus };
+    }
 
-    const query = { status: 'approved' };
+    // If pay-per-job purchased, not locked
+    if (paidJobIdSet.has(jobIdStr)) {
+      return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'pay-per-job', hasApplied: false, applicationStatus: null };
+    }
 
-    if (search) {
-      const escapedSearch = escapeRegex(search);
-      query.$or = [
-        { title: { $regex: escapedSearch, $options: 'i' } },
-        { description: { $regex: escapedSearch, $options: 'i' } }
-      ];
+    // If job has no countryId/zoneId, not locked
+    if (!job.zoneId) {
+      return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'no-zone-restriction', hasApplied: false, applicationStatus: null };
     }
 
-    if (location) {
-      const escapedLocation = escapeRegex(location);
-      query.location = { $regex: escapedLocation, $options: 'i' };
+    // If student has all zones access, not locked
+    if (accessibleZones.allZones) {
+      return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'all-zones', hasApplied: false, applicationStatus: null };
     }
 
-    if (jobType) {
-      query.jobType = jobType;
+    // Check if job's zone is in student's accessible zones
+    const jobZoneId = job.zoneId?.toString();
+    const hasAccess = jobZoneId && accessibleZones.zoneIds.some(
+      zId => zId.toString() === jobZoneId
+    );
+
+    if (hasAccess) {
+      return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'subscription', hasApplied: false, applicationStatus: null };
+    }
+
+    // Locked - include zone info
+    return {
+      ...job,
+      isZoneLocked: true,
+      zoneLockReason: {
+        zoneId: jobZoneId,
+        zoneName: zoneMap.get(jobZoneId) || 'Unknown Zone'
+      },
+      accessSource: null,
+      hasApplied: false,
+      applicationStatus: null
+    };
+  });
+};
+
+exports.getJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const { filters, error: filterError } = parseJobSearchFilters(req.query);
+
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
 
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
     const skip = (pageNum - 1) * limitNum;
 
-    const [jobs, total] = await Promise.all([
-      JobPosting.find(query)
-        .populate('companyId', 'name logo industry size website')
-        .populate('countryId', 'zoneId countryName')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limitNum)
-        .select('-rejectionReason -approvedAt -status'),
-      JobPosting.countDocuments(query)
-    ]);
+    const { jobs, total, facets } = await searchJobs(filters, { skip, limit: limitNum });
 
-    const transformedJobs = jobs.map(job => {
-      const jobObj = job.toObject();
-      return {
-        id: jobObj._id,
-        title: jobObj.title,
-        description: jobObj.description,
-        requirements: jobObj.requirements,
-        location: jobObj.location,
-        jobType: jobObj.jobType,
-        salaryRange: jobObj.salaryRange,
-        deadline: jobObj.deadline,
-        createdAt: jobObj.createdAt,
-        countryId: jobObj.countryId?._id || null,
-        countryName: jobObj.countryId?.countryName || null,
-        zoneId: jobObj.countryId?.zoneId || null,
-        company: jobObj.companyId ? {
-          id: jobObj.companyId._id,
-          name: jobObj.companyId.name,
-          logo: jobObj.companyId.logo,
-          industry: jobObj.companyId.industry,
-          size: jobObj.companyId.size,
-          website: jobObj.companyId.website
-        } : null
-      };
-    });
+    const transformedJobs = jobs.map(jobObj => ({
+      id: jobObj._id,
+      title: jobObj.title,
+      description: jobObj.description,
+      requirements: jobObj.requirements,
+      location: jobObj.location,
+      jobType: jobObj.jobType,
+      ...formatSalaryForStudent(jobObj),
+      deadline: jobObj.deadline,
+      createdAt: jobObj.createdAt,
+      relevanceScore: jobObj.relevanceScore ?? null,
+      countryId: jobObj.country?._id || null,
+      countryName: jobObj.country?.countryName || null,
+      zoneId: jobObj.country?.zoneId || null,
+      company: jobObj.company ? {
+        id: jobObj.company._id,
+        name: jobObj.company.name,
+        logo: jobObj.company.logo,
+        industry: jobObj.company.industry,
+        size: jobObj.company.size,
+        website: jobObj.company.website
+      } : null
+    }));
 
     // After transformedJobs is created, add zone lock status
     let jobsWithZoneStatus = transformedJobs;
@@ -376,79 +490,7 @@ exports.getJobs = async (req, res) => {
       try {
         const student = await Student.findOne({ userId: req.user.userId });
         if (student) {
-          // Batch fetch: get student's accessible zones once
-          const { getAccessibleZones } = require('../services/zoneAccessService');
-          const accessibleZones = await getAccessibleZones(student._id);
-
-          // Batch fetch: get all pay-per-job purchases for this student
-          const PayPerJobPurchase = require('../models/PayPerJobPurchase');
-          const paidJobIds = await PayPerJobPurchase.find({
-            studentId: student._id,
-            status: 'completed'
-          }).distinct('jobPostingId');
-          const paidJobIdSet = new Set(paidJobIds.map(id => id.toString()));
-
-          // Batch fetch: get all applications with status for this student
-          const applications = await Application.find({
-            studentId: student._id
-          }).select('jobPostingId status').lean();
-          const applicationMap = new Map(
-            applications.map(app => [app.jobPostingId.toString(), app.status])
-          );
-
-          // Batch fetch: all zones for zoneLockReason
-          const allZones = await Zone.find().select('name').lean();
-          const zoneMap = new Map(allZones.map(z => [z._id.toString(), z.name]));
-
-          // Check each job against cached data (no additional queries)
-          jobsWithZoneStatus = transformedJobs.map(job => {
-            const jobIdStr = job.id.toString();
-            const applicationStatus = applicationMap.get(jobIdStr) || null;
-            const hasApplied = applicationStatus !== null;
-
-            // If already applied, not locked (they already have access)
-            if (hasApplied) {
-              return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'applied', hasApplied: true, applicationStatus };
-            }
-
-            // If pay-per-job purchased, not locked
-            if (paidJobIdSet.has(jobIdStr)) {
-              return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'pay-per-job', hasApplied: false, applicationStatus: null };
-            }
-
-            // If job has no countryId/zoneId, not locked
-            if (!job.zoneId) {
-              return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'no-zone-restriction', hasApplied: false, applicationStatus: null };
-            }
-
-            // If student has all zones access, not locked
-            if (accessibleZones.allZones) {
-              return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'all-zones', hasApplied: false, applicationStatus: null };
-            }
-
-            // Check if job's zone is in student's accessible zones
-            const jobZoneId = job.zoneId?.toString();
-            const hasAccess = jobZoneId && accessibleZones.zoneIds.some(
-              zId => zId.toString() === jobZoneId
-            );
-
-            if (hasAccess) {
-              return { ...job, isZoneLocked: false, zoneLockReason: null, accessSource: 'subscription', hasApplied: false, applicationStatus: null };
-            }
-
-            // Locked - include zone info
-            return {
-              ...job,
-              isZoneLocked: true,
-              zoneLockReason: {
-                zoneId: jobZoneId,
-                zoneName: zoneMap.get(jobZoneId) || 'Unknown Zone'
-              },
-              accessSource: null,
-              hasApplied: false,
-              applicationStatus: null
-            };
-          });
+          jobsWithZoneStatus = await annotateJobsForStudent(student._id, transformedJobs);
         }
       } catch (zoneError) {
         console.error('Zone access check failed for job list:', zoneError);
@@ -458,6 +500,8 @@ exports.getJobs = async (req, res) => {
 
     res.json({
       jobs: jobsWithZoneStatus,
+      facets,
+      sort: filters.sort,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -485,20 +529,24 @@ exports.getJob = async (req, res) => {
     let isDescriptionLocked = false;
     let applicationsUsed = 0;
     let applicationLimit = null;
+    let isSaved = false;
 
     // Check if student has applied to this job
     if (req.user && req.user.userType === 'student') {
       student = await Student.findOne({ userId: req.user.userId });
       if (student) {
-        const [application, totalApplicationLimit, usage] = await Promise.all([
+        const [application, totalApplicationLimit, usage, savedJob] = await Promise.all([
           Application.findOne({
             studentId: student._id,
             jobPostingId: jobId
           }),
           getApplicationLimit(student._id),
-          getSubscriptionUsage(student._id)
+          getSubscriptionUsage(student._id),
+          SavedJob.exists({ studentId: student._id, jobPostingId: jobId })
         ]);
 
+        isSaved = Boolean(savedJob);
+
         applicationsUsed = usage.applicationsUsed;
         // Use getApplicationLimit which includes base + stacked + addon credits
         applicationLimit = totalApplicationLimit === Infinity ? null : totalApplicationLimit;
@@ -599,7 +647,7 @@ exports.getJob = async (req, res) => {
       requirements: isLocked ? null : jobObj.requirements,
       location: jobObj.location,
       jobType: jobObj.jobType,
-      salaryRange: jobObj.salaryRange,
+      ...formatSalaryForStudent(jobObj),
       deadline: jobObj.deadline,
       status: jobObj.status,
       createdAt: jobObj.createdAt,
@@ -627,8 +675,10 @@ exports.getJob = async (req, res) => {
       isZoneLocked,
       zoneLockReason,
       accessSource,
+      screeningQuestions: isLocked ? null : formatQuestionsForStudent(jobObj.screeningQuestions),
       hasApplied,
-      applicationStatus
+      applicationStatus,
+      isSaved
     });
   } catch (error) {
     console.error(error);
@@ -644,6 +694,8 @@ exports.applyToJob = async (req, res) => {
       return res.status(400).json({ error: 'Invalid job ID format' });
     }
 
+    const parsed = applyToJobSchema.parse(req.body || {});
+
     const student = await Student.findOne({ userId: req.user.userId });
 
     if (!student) {
@@ -665,11 +717,12 @@ exports.applyToJob = async (req, res) => {
     // Determine the authoritative applicationsUsed value:
     //   • Free-tier (with or without a subscription document): count raw Application
     //     documents because the subscription counter is never incremented for free users.
+    //     Screening knockouts are left out, as they never reach review.
     //   • Paid-tier: use the subscription's applicationsUsed counter, which is the source
     //     of truth and correctly excludes withdrawn applications.
     let applicationsUsed;
     if (student.subscriptionTier === 'free') {
-      applicationsUsed = await Application.countDocuments({ studentId: student._id });
+      applicationsUsed = await Application.countDocuments({ studentId: student._id, screeningKnockedOut: { $ne: true } });
     } else {
       applicationsUsed = usage.applicationsUsed;
     }
@@ -732,34 +785,122 @@ exports.applyToJob = async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
+    if (job.deadline && job.deadline <= new Date()) {
+      return res.status(400).json({
+        error: 'The application deadline for this job has passed.',
+        code: 'JOB_DEADLINE_PASSED',
+        deadline: job.deadline
+      });
+    }
+
+    const screening = evaluateScreeningAnswers(job.screeningQuestions, parsed.screeningAnswers);
+
+    if (screening.error) {
+      return res.status(400).json({ error: screening.error });
+    }
+
+    // A one-off upload tailored to this job wins; otherwise attach a library version
+    const resume = req.file
+      ? { resumeVersionId: null, resumeKey: await uploadStudentResume(req.file) }
+      : await resolveApplicationResume(student, parsed.resumeVersionId);
+
+    if (resume.error) {
+      return res.status(400).json({ error: resume.error });
+    }
+
+    // A knockout answer closes the application straight away; it never reaches admin review
+    const screeningFields = {
+      screeningAnswers: screening.answers,
+      screeningKnockedOut: screening.knockedOut,
+      status: screening.knockedOut ? 'rejected' : 'pending',
+      rejectionSource: screening.knockedOut ? 'screening' : null,
+      rejectionReason: screening.knockedOut ? SCREENING_KNOCKOUT_REASON : null
+    };
+
+    const knockoutHistory = screening.knockedOut
+      ? [buildStatusHistoryEntry({
+          fromStatus: 'pending',
+          toStatus: 'rejected',
+          actorType: 'system',
+          reason: SCREENING_KNOCKOUT_REASON
+        })]
+      : [];
+
     let application;
 
-    if (existingApp && existingApp.status === 'withdrawn') {
-      // Reapply by resetting the withdrawn application
-      application = await Application.findByIdAndUpdate(
-        existingApp._id,
-        {
-          $set: {
-            status: 'pending',
-            rejectionReason: null,
-            reviewedAt: null,
-            createdAt: new Date()
-          }
-        },
-        { returnDocument: 'after' }
-      );
-    } else {
-      application = await Application.create({
-        studentId: student._id,
-        jobPostingId: jobId,
-        status: 'pending'
-      });
+    try {
+      if (existingApp && existingApp.status === 'withdrawn') {
+        // Reapply by resetting the withdrawn application
+        application = await Application.findByIdAndUpdate(
+          existingApp._id,
+          {
+            $set: {
+              ...screeningFields,
+              coverLetter: parsed.coverLetter || null,
+              resumeKey: resume.resumeKey,
+              resumeVersionId: resume.resumeVersionId,
+              // The earlier candidacy's interview and offer don't carry over
+              interviewDate: null,
+              interviewNotes: null,
+              offerDetails: null,
+              offer: null,
+              reviewedAt: null,
+              createdAt: new Date()
+            },
+            $push: {
+              statusHistory: {
+                $each: [
+                  buildStatusHistoryEntry({
+                    fromStatus: 'withdrawn',
+                    toStatus: 'pending',
+                    actorId: req.user.userId,
+                    actorType: 'student',
+                    reason: 'Reapplied'
+                  }),
+                  ...knockoutHistory
+                ]
+              }
+            }
+          },
+          { returnDocument: 'after' }
+        );
+      } else {
+        application = await Application.create({
+          studentId: student._id,
+          jobPostingId: jobId,
+          ...screeningFields,
+          coverLetter: parsed.coverLetter || null,
+          resumeKey: resume.resumeKey,
+          resumeVersionId: resume.resumeVersionId,
+          statusHistory: [
+            buildStatusHistoryEntry({
+              toStatus: 'pending',
+              actorId: req.user.userId,
+              actorType: 'student'
+            }),
+            ...knockoutHistory
+          ]
+        });
+      }
+    } catch (writeError) {
+      // Don't leave a tailored upload behind for an application that was never saved
+      if (req.file) {
+        deleteMediaObject(resume.resumeKey)
+          .catch((error) => console.error('Failed to delete orphaned application resume', error));
+      }
+
+      throw writeError;
     }
 
-    // Increment application count on subscription
-    await incrementApplicationCount(student._id);
+    // Increment application count on subscription. A screening knockout never
+    // reaches review, so it doesn't use up the student's quota (free-tier counts
+    // skip knockouts too).
+    if (!screening.knockedOut) {
+      await incrementApplicationCount(student._id);
+    }
 
     const populatedApp = await Application.findById(application._id)
+      .select('-statusHistory')
       .populate({
         path: 'jobPostingId',
         select: 'title',
@@ -768,10 +909,40 @@ exports.applyToJob = async (req, res) => {
 
     res.status(201).json(populatedApp);
 
+    refreshApplicationMatchScores({ _id: application._id })
+      .catch((err) => console.error('Match score refresh error (applied):', err));
+
     const _jobTitle = populatedApp.jobPostingId.title;
     const _companyName = populatedApp.jobPostingId.companyId?.name;
     const _companyUserId = populatedApp.jobPostingId.companyId?.userId;
 
+    if (screening.knockedOut) {
+      notificationService
+        .notifyApplicationRejected(student.userId, {
+          jobTitle: _jobTitle,
+          companyName: _companyName,
+          reason: SCREENING_KNOCKOUT_REASON
+        })
+        .catch((err) => console.error('Notification error (screening knockout):', err));
+
+      emailService
+        .sendApplicationStatusEmail(
+          student.email,
+          {
+            status: 'rejected',
+            jobTitle: _jobTitle,
+            companyName: _companyName,
+            studentName: student.fullName
+          },
+          { userId: student.userId }
+        )
+        .catch((error) => {
+          console.error('Failed to send screening knockout email', error);
+        });
+
+      return;
+    }
+
     console.log("STEP A: About to call notifyApplicationSubmitted");
 
     notificationService
@@ -807,6 +978,16 @@ exports.applyToJob = async (req, res) => {
 
     return;
   } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    const clientErrorIndicators = ['resume', 'pdf', 'file buffer'];
+
+    if (error.message && clientErrorIndicators.some((indicator) => error.message.toLowerCase().includes(indicator))) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -821,6 +1002,7 @@ exports.getApplications = async (req, res) => {
     }
 
     const applications = await Application.find({ studentId: student._id })
+      .select('-statusHistory')
       .populate({
         path: 'jobPostingId',
         select: 'title location jobType',
@@ -829,12 +1011,38 @@ exports.getApplications = async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    // Latest withdrawal request per application, so the UI can show its state
+    const withdrawalRequests = await WithdrawalRequest.find({
+      applicationId: { $in: applications.map((application) => application._id) }
+    })
+      .sort({ createdAt: -1 })
+      .select('applicationId status reason adminNote createdAt reviewedAt')
+      .lean();
+    const withdrawalRequestMap = new Map();
+    withdrawalRequests.forEach((request) => {
+      const key = request.applicationId.toString();
+      if (!withdrawalRequestMap.has(key)) {
+        withdrawalRequestMap.set(key, request);
+      }
+    });
+
     const shapedApplications = applications.map((application) => {
       const { studentFacingStatus, statusMessage } = getStudentFacingStatusPayload(application);
+      const withdrawalRequest = withdrawalRequestMap.get(application._id.toString());
       const responseApplication = {
         ...application,
         studentFacingStatus,
-        statusMessage
+        statusMessage,
+        withdrawalRequest: withdrawalRequest
+          ? {
+              id: withdrawalRequest._id.toString(),
+              status: withdrawalRequest.status,
+              reason: withdrawalRequest.reason,
+              adminNote: withdrawalRequest.adminNote,
+              createdAt: withdrawalRequest.createdAt,
+              reviewedAt: withdrawalRequest.reviewedAt
+            }
+          : null
       };
 
       if (application.status === 'rejected' && application.rejectionSource !== 'company') {
@@ -851,6 +1059,42 @@ exports.getApplications = async (req, res) => {
   }
 };
 
+exports.getApplicationTimeline = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const application = await Application.findOne({ _id: appId, studentId: student._id })
+      .select('status rejectionSource rejectionReason interviewDate offer statusHistory')
+      .lean();
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { studentFacingStatus, statusMessage } = getStudentFacingStatusPayload(application);
+
+    res.json({
+      applicationId: application._id.toString(),
+      studentFacingStatus,
+      statusMessage,
+      timeline: formatStudentTimeline(application.statusHistory)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 exports.withdrawApplication = async (req, res) => {
   try {
     const { appId } = req.params;
@@ -877,8 +1121,11 @@ exports.withdrawApplication = async (req, res) => {
     }
 
     if (application.status !== 'pending') {
+      const requestMessage = 'Your application has been shortlisted. Submit a withdrawal request for admin approval instead';
       const messages = {
-        reviewed: 'Cannot withdraw after admin has approved your application',
+        reviewed: requestMessage,
+        interview_scheduled: requestMessage,
+        offer_extended: requestMessage,
         hired: 'Cannot withdraw after being hired',
         withdrawn: 'Application already withdrawn',
         rejected: 'Cannot withdraw a rejected application'
@@ -888,13 +1135,19 @@ exports.withdrawApplication = async (req, res) => {
       return res.status(400).json({ error: message });
     }
 
+    recordStatusChange(application, {
+      toStatus: 'withdrawn',
+      actorId: req.user.userId,
+      actorType: 'student'
+    });
     application.status = 'withdrawn';
     await application.save();
 
     // Give back the application quota on withdrawal
     await decrementApplicationCount(student._id);
 
-    res.json(application);
+    const { statusHistory, ...withdrawnApplication } = application.toObject();
+    res.json(withdrawnApplication);
 
     // Notify admins about the withdrawal (fire-and-forget, does not affect response).
     // Only reached on successful withdrawal — blocked requests return 400 above.
@@ -911,11 +1164,231 @@ exports.withdrawApplication = async (req, res) => {
   }
 };
 
+// ─── Saved Jobs ───────────────────────────────────────────────────────────────
+
+exports.saveJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const job = await JobPosting.findOne({ _id: jobId, status: 'approved' }).select('_id');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const existing = await SavedJob.findOne({ studentId: student._id, jobPostingId: jobId });
+
+    if (existing) {
+      return res.status(409).json({ error: 'Job already saved' });
+    }
+
+    const savedJob = await SavedJob.create({
+      studentId: student._id,
+      jobPostingId: jobId
+    });
+
+    res.status(201).json({
+      jobId: savedJob.jobPostingId.toString(),
+      isSaved: true,
+      savedAt: savedJob.createdAt
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Job already saved' });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.unsaveJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const deleted = await SavedJob.findOneAndDelete({ studentId: student._id, jobPostingId: jobId });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved job not found' });
+    }
+
+    res.json({ jobId, isSaved: false });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getSavedJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [savedJobs, total] = await Promise.all([
+      SavedJob.find({ studentId: student._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate({
+          path: 'jobPostingId',
+          select: '-rejectionReason -approvedAt',
+          populate: [
+            { path: 'companyId', select: 'name logo industry size website' },
+            { path: 'countryId', select: 'zoneId countryName' }
+          ]
+        })
+        .lean(),
+      SavedJob.countDocuments({ studentId: student._id })
+    ]);
+
+    // Jobs deleted after being bookmarked have nothing left to show
+    const transformedJobs = savedJobs
+      .filter((savedJob) => savedJob.jobPostingId)
+      .map((savedJob) => {
+        const jobObj = savedJob.jobPostingId;
+        return {
+          id: jobObj._id,
+          title: jobObj.title,
+          description: jobObj.description,
+          requirements: jobObj.requirements,
+          location: jobObj.location,
+          jobType: jobObj.jobType,
+          ...formatSalaryForStudent(jobObj),
+          deadline: jobObj.deadline,
+          status: jobObj.status,
+          isOpen: jobObj.status === 'approved' && (!jobObj.deadline || jobObj.deadline > new Date()),
+          createdAt: jobObj.createdAt,
+          savedAt: savedJob.createdAt,
+          countryId: jobObj.countryId?._id || null,
+          countryName: jobObj.countryId?.countryName || null,
+          zoneId: jobObj.countryId?.zoneId || null,
+          company: jobObj.companyId ? {
+            id: jobObj.companyId._id,
+            name: jobObj.companyId.name,
+            logo: jobObj.companyId.logo,
+            industry: jobObj.companyId.industry,
+            size: jobObj.companyId.size,
+            website: jobObj.companyId.website
+          } : null
+        };
+      });
+
+    const jobs = await annotateJobsForStudent(student._id, transformedJobs);
+
+    res.json({
+      jobs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getRecommendations = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const student = await Student.findOne({ userId: req.user.userId })
+      .select('skills experience location');
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const recommendations = await getRecommendedJobs(student);
+
+    const transformedJobs = recommendations.map(({ job: jobObj, score, reasons }) => ({
+      id: jobObj._id,
+      title: jobObj.title,
+      description: jobObj.description,
+      requirements: jobObj.requirements,
+      location: jobObj.location,
+      jobType: jobObj.jobType,
+      ...formatSalaryForStudent(jobObj),
+      deadline: jobObj.deadline,
+      createdAt: jobObj.createdAt,
+      countryId: jobObj.countryId?._id || null,
+      countryName: jobObj.countryId?.countryName || null,
+      zoneId: jobObj.countryId?.zoneId || null,
+      company: jobObj.companyId ? {
+        id: jobObj.companyId._id,
+        name: jobObj.companyId.name,
+        logo: jobObj.companyId.logo,
+        industry: jobObj.companyId.industry,
+        size: jobObj.companyId.size,
+        website: jobObj.companyId.website
+      } : null,
+      recommendationScore: score,
+      reasons
+    }));
+
+    // Jobs the student can already apply to come first; the sort is stable so score order holds within each group
+    const annotatedJobs = await annotateJobsForStudent(student._id, transformedJobs);
+    const rankedJobs = annotatedJobs
+      .map((job) => (job.accessSource === 'subscription'
+        ? { ...job, reasons: [...job.reasons, { type: 'zone', message: `In ${job.countryName || 'a zone'} covered by your plan` }] }
+        : job))
+      .sort((a, b) => Number(a.isZoneLocked) - Number(b.isZoneLocked));
+
+    res.json({
+      jobs: rankedJobs.slice(skip, skip + limitNum),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: rankedJobs.length,
+        totalPages: Math.ceil(rankedJobs.length / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 exports.getProfile = async (req, res) => {
   try {
     const student = await Student.findOne(
   { userId: req.user.userId },
-  'fullName email isDGShipping profileLink bio location availableFrom skills education experience resumeUrl introVideoUrl isHired'
+  'fullName email isDGShipping profileLink bio location availableFrom skills education experience resumeUrl introVideoUrl isDiscoverable isHired'
 );
 
     if (!student) {
@@ -942,7 +1415,8 @@ exports.updateProfile = async (req, res) => {
       availableFrom,
       skills,
       education,
-      experience
+      experience,
+      isDiscoverable
     } = req.body || {};
 
     const student = await Student.findOne({ userId: req.user.userId });
@@ -1122,6 +1596,14 @@ exports.updateProfile = async (req, res) => {
       hasUpdates = true;
     }
 
+    if (isDiscoverable !== undefined) {
+      if (typeof isDiscoverable !== 'boolean') {
+        return res.status(400).json({ error: 'isDiscoverable must be true or false' });
+      }
+      student.isDiscoverable = isDiscoverable;
+      hasUpdates = true;
+    }
+
     // Note: introVideoUrl can only be set via file upload endpoint
 
     if (!hasUpdates) {
@@ -1131,6 +1613,9 @@ exports.updateProfile = async (req, res) => {
     await student.save();
 
     res.json({ success: true });
+
+    refreshApplicationMatchScores({ studentId: student._id })
+      .catch((err) => console.error('Match score refresh error (profile updated):', err));
   } catch (error) {
     if (error.message && error.message.startsWith('Education')) {
       return res.status(400).json({ error: error.message });
@@ -1157,13 +1642,15 @@ exports.uploadResume = async (req, res) => {
       return res.status(404).json({ error: 'Student not found' });
     }
 
-    const resumeUrl = await uploadStudentResume(req.file);
+    // Profile uploads go into the library as the new default, so earlier files survive
+    const version = await addResumeVersion(student, req.file, { makeDefault: true });
 
-    student.resumeUrl = resumeUrl;
-    await student.save();
-
-    res.json({ resumeUrl });
+    res.json({ resumeUrl: version.key, resumeId: version._id.toString() });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     const clientErrorIndicators = ['resume', 'pdf', 'file buffer'];
 
     if (error.message && clientErrorIndicators.some((indicator) => error.message.toLowerCase().includes(indicator))) {
@@ -7,10 +7,10 @@ const ActiveSubscription = require('../models/ActiveSubscription');
 const PaymentRecord = require('../models/PaymentRecord');
 const { checkSubscriptionStatus, getApplicationLimit } = require('../services/subscriptionService');
 const { getSubscriptionUsage } = require('../services/applicationService');
+const { escapeRegex } = require('../utils/regex');
 
 const generateTransactionId = () => `txn_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
 const DEFAULT_PRO_PLAN_NAME = process.env.PRO_PLAN_NAME?.trim() || 'Pro Plan';
-const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const findDefaultProPlan = async (planKey = 'pro') => {
   const normalizedKey = String(planKey || '').trim().toLowerCase();
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+
+const Student = require('../models/Student');
+const ContactRequest = require('../models/ContactRequest');
+const { createContactRequestSchema, respondContactRequestSchema } = require('../utils/validation');
+const {
+  parseTalentFilters,
+  formatTalentCard,
+  searchTalent,
+  getLatestContactRequests,
+  getContactRequestBlocker
+} = require('../services/talentService');
+const notificationService = require('../services/notificationService');
+
+// Directory access is limited to approved companies
+const loadApprovedCompany = async (req, res) => {
+  const { company } = req;
+
+  if (company.status !== 'approved') {
+    res.status(403).json({ error: 'Only approved companies can use the talent directory' });
+    return null;
+  }
+
+  return company;
+};
+
+const formatContactRequest = (request) => {
+  const company = request.companyId?.name ? request.companyId : null;
+  const student = request.studentId?.fullName ? request.studentId : null;
+
+  return {
+    id: request._id.toString(),
+    status: request.status,
+    message: request.message,
+    respondedAt: request.respondedAt,
+    createdAt: request.createdAt,
+    company: company
+      ? { id: company._id.toString(), name: company.name, logo: company.logo || null, industry: company.industry || null }
+      : undefined,
+    // Companies only learn who the student is once they accept
+    student: student
+      ? request.status === 'accepted'
+        ? { id: student._id.toString(), fullName: student.fullName }
+        : { id: student._id.toString() }
+      : undefined
+  };
+};
+
+// ─── Company ──────────────────────────────────────────────────────────────────
+
+exports.searchTalent = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const company = await loadApprovedCompany(req, res);
+    if (!company) {
+      return;
+    }
+
+    const { match, error: filterError } = parseTalentFilters(req.query);
+
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const { students, total } = await searchTalent(match, { skip, limit: limitNum });
+    const contactRequests = await getLatestContactRequests(company._id, students.map((student) => student._id));
+
+    res.json({
+      students: students.map((student) => formatTalentCard(student, contactRequests.get(student._id.toString()))),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getTalentProfile = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+
+    const company = await loadApprovedCompany(req, res);
+    if (!company) {
+      return;
+    }
+
+    const [student, contactRequests] = await Promise.all([
+      Student.findById(studentId)
+        .select('fullName location availableFrom isDGShipping skills education experience resumeUrl introVideoUrl isDiscoverable isHired'),
+      getLatestContactRequests(company._id, [studentId])
+    ]);
+
+    const contactRequest = contactRequests.get(studentId) || null;
+
+    // Students who opted out stay visible only to companies they already accepted
+    if (!student || (!student.isDiscoverable && contactRequest?.status !== 'accepted')) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    res.json({
+      ...formatTalentCard(student, contactRequest),
+      // Full details come from GET /students/:studentId once the request is accepted
+      canViewFullProfile: contactRequest?.status === 'accepted'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.sendContactRequest = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+
+    const { message } = createContactRequestSchema.parse(req.body || {});
+
+    const company = await loadApprovedCompany(req, res);
+    if (!company) {
+      return;
+    }
+
+    const student = await Student.findOne({ _id: studentId, isDiscoverable: true, isHired: false })
+      .select('userId');
+
+    if (!student) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const latestRequest = await ContactRequest.findOne({ companyId: company._id, studentId })
+      .sort({ createdAt: -1 });
+
+    const blocker = getContactRequestBlocker(latestRequest);
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+
+    let request;
+    try {
+      request = await ContactRequest.create({
+        companyId: company._id,
+        studentId,
+        message: message || null
+      });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        return res.status(409).json({ error: 'You already have a pending contact request with this candidate' });
+      }
+      throw createError;
+    }
+
+    res.status(201).json(formatContactRequest(request));
+
+    notificationService
+      .notifyContactRequestReceived(student.userId, { companyName: company.name })
+      .catch((err) => console.error('Notification error (contact request):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.getSentContactRequests = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    if (status && !ContactRequest.CONTACT_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${ContactRequest.CONTACT_REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const { company } = req;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { companyId: company._id, ...(status ? { status } : {}) };
+
+    const [requests, total] = await Promise.all([
+      ContactRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('studentId', 'fullName'),
+      ContactRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      requests: requests.map(formatContactRequest),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ─── Student ──────────────────────────────────────────────────────────────────
+
+exports.getContactRequests = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    if (status && !ContactRequest.CONTACT_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${ContactRequest.CONTACT_REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { studentId: student._id, ...(status ? { status } : {}) };
+
+    const [requests, total] = await Promise.all([
+      ContactRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('companyId', 'name logo industry'),
+      ContactRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      requests: requests.map(formatContactRequest),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.respondToContactRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ error: 'Invalid contact request ID format' });
+    }
+
+    const { status } = respondContactRequestSchema.parse(req.body || {});
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const request = await ContactRequest.findOneAndUpdate(
+      { _id: requestId, studentId: student._id, status: 'pending' },
+      { $set: { status, respondedAt: new Date() } },
+      { returnDocument: 'after' }
+    ).populate('companyId', 'name logo industry userId');
+
+    if (!request) {
+      const exists = await ContactRequest.exists({ _id: requestId, studentId: student._id });
+      return exists
+        ? res.status(400).json({ error: 'This contact request has already been answered' })
+        : res.status(404).json({ error: 'Contact request not found' });
+    }
+
+    res.json(formatContactRequest(request));
+
+    notificationService
+      .notifyContactRequestResponded(request.companyId, {
+        studentName: student.fullName,
+        accepted: status === 'accepted'
+      })
+      .catch((err) => console.error('Notification error (contact request response):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
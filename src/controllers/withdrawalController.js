@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+
+const Student = require('../models/Student');
+const Application = require('../models/Application');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const { requestWithdrawalSchema, reviewWithdrawalRequestSchema } = require('../utils/validation');
+const {
+  WITHDRAWABLE_APPLICATION_STATUSES,
+  validateWithdrawal,
+  decrementApplicationCount,
+  buildStatusHistoryEntry
+} = require('../services/applicationService');
+const { cancelUpcomingInterviews } = require('../services/interviewService');
+const notificationService = require('../services/notificationService');
+
+const formatWithdrawalRequest = (request) => {
+  const student = request.studentId?.fullName ? request.studentId : null;
+  const job = request.jobPostingId?.title ? request.jobPostingId : null;
+  const application = request.applicationId?.status ? request.applicationId : null;
+
+  return {
+    id: request._id.toString(),
+    applicationId: (application?._id || request.applicationId).toString(),
+    applicationStatusAtRequest: request.applicationStatus,
+    currentApplicationStatus: application?.status,
+    reason: request.reason,
+    status: request.status,
+    adminNote: request.adminNote,
+    reviewedAt: request.reviewedAt,
+    createdAt: request.createdAt,
+    student: student
+      ? { id: student._id.toString(), fullName: student.fullName, email: student.email }
+      : undefined,
+    jobPosting: job
+      ? {
+          id: job._id.toString(),
+          title: job.title,
+          company: job.companyId?.name
+            ? { id: job.companyId._id.toString(), name: job.companyId.name }
+            : undefined
+        }
+      : undefined
+  };
+};
+
+/**
+ * Approving a withdrawal ends the candidacy: the application is withdrawn,
+ * any pending offer is declined and upcoming interview rounds are cancelled.
+ *
+ * The update only applies while the application is still in the status it had
+ * when the student filed the request, so a company or admin decision made in
+ * the meantime is never overwritten. Returns the updated application, or null
+ * when it has moved on.
+ */
+const withdrawApprovedApplication = async (application, request, adminUserId) => {
+  const now = new Date();
+  const hasPendingOffer = application.offer?.status === 'pending';
+
+  const filter = { _id: application._id, status: request.applicationStatus };
+  const set = { status: 'withdrawn' };
+
+  if (hasPendingOffer) {
+    filter['offer.status'] = 'pending';
+    set['offer.status'] = 'declined';
+    set['offer.declineReason'] = 'Application withdrawn';
+    set['offer.respondedAt'] = now;
+  }
+
+  const withdrawn = await Application.findOneAndUpdate(
+    filter,
+    {
+      $set: set,
+      $push: {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: request.applicationStatus,
+          toStatus: 'withdrawn',
+          actorId: adminUserId,
+          actorType: 'admin',
+          reason: `Withdrawal request approved: ${request.reason}`,
+          changedAt: now
+        })
+      }
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!withdrawn) {
+    return null;
+  }
+
+  await cancelUpcomingInterviews([application._id], { reason: 'Application withdrawn', changedBy: adminUserId });
+
+  // Give back the application quota, same as a direct withdrawal
+  await decrementApplicationCount(application.studentId);
+
+  return withdrawn;
+};
+
+// ─── Student ──────────────────────────────────────────────────────────────────
+
+exports.requestWithdrawal = async (req, res) => {
+  try {
+    const { appId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(appId)) {
+      return res.status(400).json({ error: 'Invalid application ID format' });
+    }
+
+    const { reason } = requestWithdrawalSchema.parse(req.body || {});
+
+    const student = await Student.findOne({ userId: req.user.userId });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const application = await Application.findById(appId)
+      .populate({ path: 'jobPostingId', select: 'title' });
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.studentId.equals(student._id)) {
+      return res.status(403).json({ error: 'You can only withdraw your own applications' });
+    }
+
+    const validation = validateWithdrawal(application);
+
+    if (!validation.allowed) {
+      return res.status(400).json({ error: validation.message });
+    }
+
+    const existingRequest = await WithdrawalRequest.exists({ applicationId: application._id, status: 'pending' });
+
+    if (existingRequest) {
+      return res.status(409).json({ error: 'A withdrawal request for this application is already pending' });
+    }
+
+    let request;
+    try {
+      request = await WithdrawalRequest.create({
+        applicationId: application._id,
+        studentId: student._id,
+        jobPostingId: application.jobPostingId._id,
+        applicationStatus: application.status,
+        reason
+      });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        return res.status(409).json({ error: 'A withdrawal request for this application is already pending' });
+      }
+      throw createError;
+    }
+
+    res.status(201).json(formatWithdrawalRequest(request));
+
+    notificationService
+      .notifyAdminsWithdrawalRequested({
+        studentName: student.fullName,
+        jobTitle: application.jobPostingId?.title || 'Unknown Job',
+        applicationId: application._id.toString()
+      })
+      .catch((err) => console.error('Notification error (withdrawal requested):', err));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ─── Admin ────────────────────────────────────────────────────────────────────
+
+exports.getWithdrawalRequests = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    if (!WithdrawalRequest.WITHDRAWAL_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${WithdrawalRequest.WITHDRAWAL_REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Pending requests are worked as a queue, oldest first
+    const sort = status === 'pending' ? { createdAt: 1 } : { reviewedAt: -1 };
+
+    const [requests, total] = await Promise.all([
+      WithdrawalRequest.find({ status })
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .populate('studentId', 'fullName email')
+        .populate('applicationId', 'status')
+        .populate({
+          path: 'jobPostingId',
+          select: 'title companyId',
+          populate: { path: 'companyId', select: 'name' }
+        }),
+      WithdrawalRequest.countDocuments({ status })
+    ]);
+
+    res.json({
+      requests: requests.map(formatWithdrawalRequest),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+exports.reviewWithdrawalRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ error: 'Invalid withdrawal request ID format' });
+    }
+
+    const parsed = reviewWithdrawalRequestSchema.parse(req.body || {});
+
+    const request = await WithdrawalRequest.findById(requestId);
+
+    if (!request) {
+      return res.status(404).json({ error: 'Withdrawal request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: `This withdrawal request has already been ${request.status}` });
+    }
+
+    const application = await Application.findById(request.applicationId)
+      .populate({
+        path: 'jobPostingId',
+        select: 'title companyId',
+        populate: { path: 'companyId', select: 'name' }
+      });
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const applicationChanged = application.status !== request.applicationStatus
+      || !WITHDRAWABLE_APPLICATION_STATUSES.includes(application.status);
+
+    if (parsed.status === 'approved' && applicationChanged) {
+      return res.status(400).json({
+        error: `Application is now '${application.status}' and can no longer be withdrawn. Reject this request instead.`
+      });
+    }
+
+    // Claim the request so two admins can't both act on it
+    const reviewed = await WithdrawalRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        $set: {
+          status: parsed.status,
+          adminNote: parsed.adminNote || null,
+          reviewedBy: req.user.userId,
+          reviewedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!reviewed) {
+      return res.status(409).json({ error: 'This withdrawal request has already been reviewed' });
+    }
+
+    let currentApplicationStatus = application.status;
+
+    if (parsed.status === 'approved') {
+      const withdrawn = await withdrawApprovedApplication(application, reviewed, req.user.userId);
+
+      if (!withdrawn) {
+        // The application changed after our check; hand the request back for review
+        await WithdrawalRequest.updateOne(
+          { _id: reviewed._id, status: 'approved' },
+          { $set: { status: 'pending', adminNote: null, reviewedBy: null, reviewedAt: null } }
+        );
+        return res.status(409).json({
+          error: 'The application changed while this request was being reviewed and can no longer be withdrawn. Reject this request instead.'
+        });
+      }
+
+      currentApplicationStatus = withdrawn.status;
+    }
+
+    const student = await Student.findById(request.studentId).select('userId');
+
+    res.json({
+      ...formatWithdrawalRequest(reviewed),
+      currentApplicationStatus
+    });
+
+    const notificationData = {
+      jobTitle: application.jobPostingId?.title || 'Unknown Job',
+      companyName: application.jobPostingId?.companyId?.name || 'the company'
+    };
+
+    if (parsed.status === 'approved') {
+      notificationService
+        .notifyWithdrawalApproved(student?.userId, notificationData)
+        .catch((err) => console.error('Notification error (withdrawal approved):', err));
+    } else {
+      notificationService
+        .notifyWithdrawalRejected(student?.userId, notificationData)
+        .catch((err) => console.error('Notification error (withdrawal rejected):', err));
+    }
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: error.issues[0].message });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const { getAdminRole, getAdminPermissions } = require('../services/adminRoleService');
+
+// Loads the admin's current role and permissions onto req.admin.
+// Read from the database on every request so role changes apply immediately.
+const loadAdminRole = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('adminRole isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const role = getAdminRole(user);
+
+    req.admin = {
+      role,
+      permissions: getAdminPermissions(role)
+    };
+
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Passes when the admin has any of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.admin || !permissions.some((permission) => req.admin.permissions.includes(permission))) {
+      return res.status(403).json({ error: 'Your admin role does not allow this action' });
+    }
+    next();
+  };
+};
+
+module.exports = { loadAdminRole, requirePermission };
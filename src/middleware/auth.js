@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { checkAccessTokenSession, ACCOUNT_SUSPENDED_MESSAGE } = require('../services/authSessionService');
+
+const requireAuth = async (req, res, next) => {
+  let decoded;
 
-const requireAuth = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -10,14 +13,7 @@ const requireAuth = (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    req.user = {
-      userId: decoded.userId,
-      userType: decoded.userType
-    };
-
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
@@ -25,6 +21,30 @@ const requireAuth = (req, res, next) => {
 
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  // The token may have been revoked, or the user suspended, since it was issued
+  try {
+    const { user, sessionActive } = await checkAccessTokenSession(decoded);
+
+    if (!user || !sessionActive) {
+      return res.status(401).json({ error: 'Session expired. Please log in again' });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({ error: ACCOUNT_SUSPENDED_MESSAGE });
+    }
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = {
+    userId: decoded.userId,
+    userType: decoded.userType,
+    sessionId: decoded.sid
+  };
+
+  next();
 };
 
 const requireUserType = (...types) => {
@@ -36,7 +56,7 @@ const requireUserType = (...types) => {
   };
 };
 
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -46,16 +66,20 @@ const optionalAuth = (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { user, sessionActive } = await checkAccessTokenSession(decoded);
 
-    req.user = {
-      userId: decoded.userId,
-      userType: decoded.userType
-    };
-
-    next();
+    if (user?.isActive && sessionActive) {
+      req.user = {
+        userId: decoded.userId,
+        userType: decoded.userType,
+        sessionId: decoded.sid
+      };
+    }
   } catch (error) {
-    next();
+    // Fall through as an anonymous request
   }
+
+  next();
 };
 
 module.exports = { requireAuth, requireUserType, optionalAuth };
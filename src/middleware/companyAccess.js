@@ -0,0 +1,34 @@
+const { resolveCompanyMembership } = require('../services/companyTeamService');
+
+// Loads the signed-in user's company onto req.company and their team role onto req.companyMember
+const requireCompanyMember = async (req, res, next) => {
+  try {
+    const membership = await resolveCompanyMembership(req.user.userId);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    req.company = membership.company;
+    req.companyMember = {
+      id: membership.member._id.toString(),
+      role: membership.member.role
+    };
+
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const requireCompanyRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.companyMember || !roles.includes(req.companyMember.role)) {
+      return res.status(403).json({ error: 'Your team role does not allow this action' });
+    }
+    next();
+  };
+};
+
+module.exports = { requireCompanyMember, requireCompanyRole };
@@ -54,10 +54,26 @@ const videoUpload = multer({
   }
 });
 
+const offerLetterFileFilter = (req, file, cb) => {
+  if (!RESUME_MIME_TYPES.includes(file.mimetype)) {
+    return cb(new Error('Offer letter must be a PDF'));
+  }
+  cb(null, true);
+};
+
+const offerLetterUpload = multer({
+  storage,
+  fileFilter: offerLetterFileFilter,
+  limits: {
+    fileSize: MAX_RESUME_SIZE_BYTES
+  }
+});
+
 module.exports = {
   upload,
   resumeUpload,
   videoUpload,
+  offerLetterUpload,
   MAX_FILE_SIZE_BYTES,
   ALLOWED_MIME_TYPES,
   MAX_RESUME_SIZE_BYTES,
@@ -1,6 +1,114 @@
 const mongoose = require('mongoose');
 const { APPLICATION_STATUSES } = require('../constants');
 
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'lapsed', 'rescinded'];
+
+const STATUS_ACTOR_TYPES = ['admin', 'company', 'student', 'system'];
+
+// One entry per status transition, oldest first
+const StatusHistorySchema = new mongoose.Schema({
+  fromStatus: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorType: {
+    type: String,
+    enum: STATUS_ACTOR_TYPES,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ScreeningAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Snapshot so the answer still reads correctly if the job is edited
+  prompt: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // 'yes'/'no', an option, a number or free text depending on type
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  knockedOut: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const OfferSchema = new mongoose.Schema({
+  salary: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // S3 key of the optional offer letter PDF
+  letterKey: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending'
+  },
+  declineReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  extendedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 const ApplicationSchema = new mongoose.Schema({
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,7 +131,8 @@ const ApplicationSchema = new mongoose.Schema({
   },
   rejectionSource: {
     type: String,
-    enum: ['admin', 'company'],
+    // student = offer declined, system = offer lapsed, screening = knockout answer
+    enum: ['admin', 'company', 'student', 'system', 'screening'],
     default: null
   },
   interviewDate: {
@@ -40,6 +149,52 @@ const ApplicationSchema = new mongoose.Schema({
     maxlength: 2000,
     default: null
   },
+  offer: {
+    type: OfferSchema,
+    default: null
+  },
+  statusHistory: {
+    type: [StatusHistorySchema],
+    default: []
+  },
+  screeningAnswers: {
+    type: [ScreeningAnswerSchema],
+    default: []
+  },
+  screeningKnockedOut: {
+    type: Boolean,
+    default: false
+  },
+  coverLetter: {
+    type: String,
+    maxlength: 5000,
+    default: null
+  },
+  // Storage key of the resume submitted with this application, kept even if
+  // the student later deletes the library version
+  resumeKey: {
+    type: String,
+    default: null
+  },
+  // Library version used; null for a one-off upload tailored to this job
+  resumeVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResumeVersion',
+    default: null
+  },
+  // Job fit from matchScoreService, stored so listings can sort and filter on it
+  matchScore: {
+    type: Number,
+    default: null
+  },
+  matchBreakdown: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  matchScoredAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -58,5 +213,9 @@ ApplicationSchema.index({ studentId: 1 });
 ApplicationSchema.index({ jobPostingId: 1 });
 ApplicationSchema.index({ status: 1 });
 ApplicationSchema.index({ createdAt: -1 });
+ApplicationSchema.index({ status: 1, 'offer.status': 1, 'offer.expiresAt': 1 });
+ApplicationSchema.index({ jobPostingId: 1, matchScore: -1 });
 
-module.exports = mongoose.model('Application', ApplicationSchema);
\ No newline at end of file
+module.exports = mongoose.model('Application', ApplicationSchema);
+module.exports.OFFER_STATUSES = OFFER_STATUSES;
+module.exports.STATUS_ACTOR_TYPES = STATUS_ACTOR_TYPES;
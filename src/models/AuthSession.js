@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One login session (device). The refresh token rotates on every use; only
+// SHA-256 hashes are stored, never the tokens themselves.
+const AuthSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token that was rotated out; presenting it again means it was stolen
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'auth_sessions'
+});
+
+AuthSessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+AuthSessionSchema.index({ previousTokenHash: 1 });
+AuthSessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index - drop sessions once the refresh token can no longer be used
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Attempt counters for login and password-reset throttling, one document per
+// key such as "login:username:jdoe" or "reset:ip:203.0.113.7"
+const AuthThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['login', 'reset']
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['username', 'ip', 'email']
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Lockouts so far; each one doubles the next cooldown
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'auth_throttles'
+});
+
+AuthThrottleSchema.index({ key: 1 }, { unique: true });
+AuthThrottleSchema.index({ lockedUntil: 1 });
+
+// TTL index - forget keys that have been quiet for a while
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
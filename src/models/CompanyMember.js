@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { COMPANY_ROLES } = require('../constants');
+
+const COMPANY_MEMBER_STATUSES = ['invited', 'active', 'removed'];
+
+const CompanyMemberSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Set once the invitation is accepted
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: COMPANY_ROLES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: COMPANY_MEMBER_STATUSES,
+    default: 'invited'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  inviteToken: {
+    type: String,
+    default: null
+  },
+  inviteExpiresAt: {
+    type: Date,
+    default: null
+  },
+  joinedAt: {
+    type: Date,
+    default: null
+  },
+  removedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'company_members'
+});
+
+// One membership record per email per company; re-invites reuse it
+CompanyMemberSchema.index({ companyId: 1, email: 1 }, { unique: true });
+CompanyMemberSchema.index({ userId: 1, status: 1 });
+CompanyMemberSchema.index({ inviteToken: 1 }, { unique: true, partialFilterExpression: { inviteToken: { $type: 'string' } } });
+
+module.exports = mongoose.model('CompanyMember', CompanyMemberSchema);
+module.exports.COMPANY_MEMBER_STATUSES = COMPANY_MEMBER_STATUSES;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const CONTACT_REQUEST_STATUSES = ['pending', 'accepted', 'declined'];
+
+const ContactRequestSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CONTACT_REQUEST_STATUSES,
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'contact_requests'
+});
+
+// One open request per company and student
+ContactRequestSchema.index(
+  { companyId: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+ContactRequestSchema.index({ companyId: 1, studentId: 1, createdAt: -1 });
+ContactRequestSchema.index({ studentId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ContactRequest', ContactRequestSchema);
+module.exports.CONTACT_REQUEST_STATUSES = CONTACT_REQUEST_STATUSES;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const EmailVerificationTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token sent by email; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userType: {
+    type: String,
+    required: true,
+    enum: ['company', 'student']
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'email_verification_tokens'
+});
+
+// TTL index - automatically delete expired tokens
+EmailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for user lookup
+EmailVerificationTokenSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailVerificationToken', EmailVerificationTokenSchema);
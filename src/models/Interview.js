@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { INTERVIEW_MODES } = require('../constants');
+
+const INTERVIEW_STATUSES = ['scheduled', 'cancelled', 'completed'];
+const INTERVIEW_HISTORY_ACTIONS = ['scheduled', 'rescheduled', 'cancelled', 'completed'];
+
+const InterviewHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: INTERVIEW_HISTORY_ACTIONS,
+    required: true
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  previousScheduledAt: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const InterviewSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  jobPostingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobPosting',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  timeZone: {
+    type: String,
+    trim: true,
+    default: 'UTC'
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 480
+  },
+  mode: {
+    type: String,
+    enum: INTERVIEW_MODES,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: null
+  },
+  meetingLink: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  interviewers: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: INTERVIEW_STATUSES,
+    default: 'scheduled'
+  },
+  // iCalendar SEQUENCE — bumped on every change so calendar clients update the event
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  history: {
+    type: [InterviewHistorySchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'interviews'
+});
+
+InterviewSchema.pre('save', function() {
+  this.updatedAt = new Date();
+});
+
+// Unique so concurrent schedules can't both claim the same round; createInterviewRound retries
+InterviewSchema.index({ applicationId: 1, round: 1 }, { unique: true });
+InterviewSchema.index({ companyId: 1, scheduledAt: 1 });
+InterviewSchema.index({ studentId: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('Interview', InterviewSchema);
+module.exports.INTERVIEW_STATUSES = INTERVIEW_STATUSES;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { INTERVIEW_MODES } = require('../constants');
+
+const INTERVIEW_SLOT_STATUSES = ['open', 'booked', 'cancelled'];
+
+const InterviewSlotSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  jobPostingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobPosting',
+    required: true
+  },
+  // null means the slot is offered to every eligible applicant of the job
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  timeZone: {
+    type: String,
+    trim: true,
+    default: 'UTC'
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 480
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  mode: {
+    type: String,
+    enum: INTERVIEW_MODES,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: null
+  },
+  meetingLink: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  interviewers: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: INTERVIEW_SLOT_STATUSES,
+    default: 'open'
+  },
+  bookedByApplicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    default: null
+  },
+  bookedAt: {
+    type: Date,
+    default: null
+  },
+  interviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'interview_slots'
+});
+
+InterviewSlotSchema.index({ jobPostingId: 1, status: 1, startsAt: 1 });
+InterviewSlotSchema.index({ applicationId: 1, status: 1, startsAt: 1 });
+InterviewSlotSchema.index({ bookedByApplicationId: 1 });
+
+module.exports = mongoose.model('InterviewSlot', InterviewSlotSchema);
+module.exports.INTERVIEW_SLOT_STATUSES = INTERVIEW_SLOT_STATUSES;
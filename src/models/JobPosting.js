@@ -1,5 +1,71 @@
 const mongoose = require('mongoose');
-const { JOB_STATUSES, JOB_TYPES } = require('../constants');
+const { JOB_STATUSES, JOB_TYPES, SCREENING_QUESTION_TYPES, CURRENCIES, SALARY_PERIODS } = require('../constants');
+
+const ScreeningQuestionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  type: {
+    type: String,
+    enum: SCREENING_QUESTION_TYPES,
+    required: true
+  },
+  // multiple_choice only
+  options: {
+    type: [String],
+    default: []
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  // yes_no ('yes'/'no') and multiple_choice answers that disqualify the applicant
+  knockoutAnswers: {
+    type: [String],
+    default: []
+  },
+  // numeric answers outside [knockoutMin, knockoutMax] disqualify the applicant
+  knockoutMin: {
+    type: Number,
+    default: null
+  },
+  knockoutMax: {
+    type: Number,
+    default: null
+  }
+});
+
+// Structured pay; salaryRange stays as the display string
+const SalarySchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  max: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: SALARY_PERIODS,
+    required: true
+  },
+  // Shown to the company and admins only; students see no pay details
+  isHidden: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
 
 const JobPostingSchema = new mongoose.Schema({
   companyId: {
@@ -48,10 +114,18 @@ const JobPostingSchema = new mongoose.Schema({
     maxlength: 50,
     default: null
   },
+  salary: {
+    type: SalarySchema,
+    default: null
+  },
   deadline: {
     type: Date,
     default: null
   },
+  screeningQuestions: {
+    type: [ScreeningQuestionSchema],
+    default: []
+  },
   status: {
     type: String,
     enum: JOB_STATUSES,
@@ -68,6 +142,11 @@ const JobPostingSchema = new mongoose.Schema({
   approvedAt: {
     type: Date,
     default: null
+  },
+  // Set when the expiry sweeper closes the job because its deadline passed
+  expiredAt: {
+    type: Date,
+    default: null
   }
 });
 
@@ -76,6 +155,9 @@ JobPostingSchema.index({ companyId: 1 });
 JobPostingSchema.index({ status: 1 });
 JobPostingSchema.index({ createdAt: -1 });
 JobPostingSchema.index({ countryId: 1 });
+JobPostingSchema.index({ status: 1, deadline: 1 });
 JobPostingSchema.index({ title: 'text', description: 'text' }); // For search
 
-module.exports = mongoose.model('JobPosting', JobPostingSchema);
\ No newline at end of file
+module.exports = mongoose.model('JobPosting', JobPostingSchema);
+module.exports.ScreeningQuestionSchema = ScreeningQuestionSchema;
+module.exports.SalarySchema = SalarySchema;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { JOB_TYPES } = require('../constants');
+const { ScreeningQuestionSchema, SalarySchema } = require('./JobPosting');
+
+// Reusable job content a company can start new drafts from
+const JobTemplateSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  title: {
+    type: String,
+    maxlength: 100,
+    trim: true,
+    default: null
+  },
+  description: {
+    type: String,
+    maxlength: 5000,
+    default: null
+  },
+  requirements: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  location: {
+    type: String,
+    maxlength: 100,
+    trim: true,
+    default: null
+  },
+  countryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ZoneCountry',
+    default: null
+  },
+  jobType: {
+    type: String,
+    enum: [...JOB_TYPES, null],
+    default: null
+  },
+  salaryRange: {
+    type: String,
+    maxlength: 50,
+    default: null
+  },
+  salary: {
+    type: SalarySchema,
+    default: null
+  },
+  screeningQuestions: {
+    type: [ScreeningQuestionSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'job_templates'
+});
+
+JobTemplateSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobTemplate', JobTemplateSchema);
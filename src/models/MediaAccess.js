@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const MEDIA_ACCESS_TYPES = ['resume', 'video'];
+
+// One row per company, student, medium and quota period. Repeat views by the
+// same company bump accessCount instead of consuming more quota.
+const MediaAccessSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  mediaType: {
+    type: String,
+    enum: MEDIA_ACCESS_TYPES,
+    required: true
+  },
+  // 'subscription:<id>' for paid plans, 'free:YYYY-MM' for the free tier
+  periodKey: {
+    type: String,
+    required: true
+  },
+  accessCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  firstAccessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'media_accesses'
+});
+
+MediaAccessSchema.index({ studentId: 1, mediaType: 1, periodKey: 1, companyId: 1 }, { unique: true });
+MediaAccessSchema.index({ companyId: 1, firstAccessedAt: -1 });
+
+module.exports = mongoose.model('MediaAccess', MediaAccessSchema);
+module.exports.MEDIA_ACCESS_TYPES = MEDIA_ACCESS_TYPES;
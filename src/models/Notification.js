@@ -5,10 +5,20 @@ const NOTIFICATION_TYPES = [
   'application_approved',
   'application_rejected',
   'application_interview_scheduled',
+  'interview_rescheduled',
+  'interview_cancelled',
+  'interview_slots_available',
+  'interview_slot_booked',
   'application_offer_extended',
+  'offer_accepted',
+  'offer_declined',
+  'offer_lapsed',
   'application_hired',
   'application_received',
   'job_approved',
+  'job_expired',
+  'saved_search_match',
+  'saved_job_deadline_reminder',
   'company_approved',
   'company_rejected',
   'ADMIN_NEW_COMPANY_PENDING',
@@ -18,6 +28,9 @@ const NOTIFICATION_TYPES = [
   'withdrawal_requested',
   'withdrawal_approved',
   'withdrawal_rejected',
+  'contact_request_received',
+  'contact_request_accepted',
+  'contact_request_declined',
   'APPLICATION_WITHDRAWN'
 ];
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const ResumeVersionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Storage key of the PDF. Never removed: applications keep pointing at it after a soft delete
+  key: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'resume_versions'
+});
+
+// At most one default per student
+ResumeVersionSchema.index(
+  { studentId: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+ResumeVersionSchema.index({ studentId: 1, deletedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ResumeVersion', ResumeVersionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const SavedJobSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  jobPostingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobPosting',
+    required: true
+  },
+  deadlineReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'saved_jobs'
+});
+
+// Compound unique index - a job can only be bookmarked once per student
+SavedJobSchema.index({ studentId: 1, jobPostingId: 1 }, { unique: true });
+
+// Other indexes
+SavedJobSchema.index({ studentId: 1, createdAt: -1 });
+SavedJobSchema.index({ jobPostingId: 1, deadlineReminderSentAt: 1 });
+
+module.exports = mongoose.model('SavedJob', SavedJobSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { JOB_TYPES, SAVED_SEARCH_FREQUENCIES } = require('../constants');
+
+const SavedSearchQuerySchema = new mongoose.Schema({
+  search: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  jobType: {
+    type: String,
+    enum: [...JOB_TYPES, null],
+    default: null
+  },
+  countryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ZoneCountry',
+    default: null
+  }
+}, { _id: false });
+
+const SavedSearchSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  query: {
+    type: SavedSearchQuerySchema,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: SAVED_SEARCH_FREQUENCIES,
+    default: 'instant'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Matches queued for the next daily/weekly digest
+  pendingJobIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'JobPosting',
+    default: []
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.pre('save', function() {
+  this.updatedAt = new Date();
+});
+
+SavedSearchSchema.index({ studentId: 1, createdAt: -1 });
+SavedSearchSchema.index({ isActive: 1, frequency: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
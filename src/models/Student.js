@@ -155,6 +155,11 @@ const StudentSchema = new mongoose.Schema({
     enum: SUBSCRIPTION_TIERS,
     default: 'free'
   },
+  // Opt-in: listed in the company talent directory
+  isDiscoverable: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -163,5 +168,6 @@ const StudentSchema = new mongoose.Schema({
 
 // Indexes
 StudentSchema.index({ isHired: 1 });
+StudentSchema.index({ isDiscoverable: 1, isHired: 1 });
 
 module.exports = mongoose.model('Student', StudentSchema);
\ No newline at end of file
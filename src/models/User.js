@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ADMIN_ROLES } = require('../constants');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -23,6 +24,18 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Registration sets this to false until the email link is used; accounts
+  // created before verification existed (and invited teammates) count as verified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // Admins only; admins created before roles existed have none and are treated as super_admin
+  adminRole: {
+    type: String,
+    enum: [...ADMIN_ROLES, null],
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const WITHDRAWAL_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+const WithdrawalRequestSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  jobPostingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobPosting',
+    required: true
+  },
+  // Application status when the request was made
+  applicationStatus: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: WITHDRAWAL_REQUEST_STATUSES,
+    default: 'pending'
+  },
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'withdrawal_requests'
+});
+
+// Only one open request per application at a time
+WithdrawalRequestSchema.index(
+  { applicationId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+WithdrawalRequestSchema.index({ status: 1, createdAt: 1 });
+WithdrawalRequestSchema.index({ studentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WithdrawalRequest', WithdrawalRequestSchema);
+module.exports.WITHDRAWAL_REQUEST_STATUSES = WITHDRAWAL_REQUEST_STATUSES;
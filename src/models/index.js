@@ -10,6 +10,19 @@ module.exports = {
   NotificationPreference: require('./NotificationPreference'),
   Notification: require('./Notification'),
   PasswordResetToken: require('./PasswordResetToken'),
-  PayPerJobPurchase: require('./PayPerJobPurchase')
+  PayPerJobPurchase: require('./PayPerJobPurchase'),
+  SavedSearch: require('./SavedSearch'),
+  SavedJob: require('./SavedJob'),
+  Interview: require('./Interview'),
+  InterviewSlot: require('./InterviewSlot'),
+  WithdrawalRequest: require('./WithdrawalRequest'),
+  ResumeVersion: require('./ResumeVersion'),
+  MediaAccess: require('./MediaAccess'),
+  ContactRequest: require('./ContactRequest'),
+  JobTemplate: require('./JobTemplate'),
+  CompanyMember: require('./CompanyMember'),
+  AuthSession: require('./AuthSession'),
+  EmailVerificationToken: require('./EmailVerificationToken'),
+  AuthThrottle: require('./AuthThrottle')
 };
 
@@ -2,62 +2,85 @@ const express = require('express');
 const router = express.Router();
 
 const adminController = require('../controllers/adminController');
+const withdrawalController = require('../controllers/withdrawalController');
+const adminUserController = require('../controllers/adminUserController');
 const { requireAuth, requireUserType } = require('../middleware/auth');
+const { loadAdminRole, requirePermission } = require('../middleware/adminAccess');
 
 // All routes require authentication and admin user type
 router.use(requireAuth);
 router.use(requireUserType('admin'));
+router.use(loadAdminRole);
 
-router.get('/dashboard', adminController.getDashboard);
-router.get('/companies', adminController.getCompanies);
-router.patch('/companies/:companyId', adminController.updateCompany);
-router.get('/companies/:companyId', adminController.getCompanyProfileAdmin);
-router.get('/companies/:companyId/profile', adminController.getCompanyProfileAdmin);
-router.patch('/companies/:companyId/profile', adminController.updateCompanyProfileAdmin);
-router.get('/jobs', adminController.getJobs);
-router.get('/jobs/:jobId', adminController.getJob);
-router.patch('/jobs/:jobId', adminController.updateJob);
-router.get('/applications', adminController.getApplications);
-router.patch('/applications/:appId', adminController.updateApplication);
+router.get('/dashboard', requirePermission('dashboard:view'), adminController.getDashboard);
+router.get('/companies', requirePermission('companies:view'), adminController.getCompanies);
+router.patch('/companies/:companyId', requirePermission('companies:moderate'), adminController.updateCompany);
+router.get('/companies/:companyId', requirePermission('companies:view'), adminController.getCompanyProfileAdmin);
+router.get('/companies/:companyId/profile', requirePermission('companies:view'), adminController.getCompanyProfileAdmin);
+router.patch('/companies/:companyId/profile', requirePermission('companies:moderate'), adminController.updateCompanyProfileAdmin);
+router.get('/jobs', requirePermission('jobs:view'), adminController.getJobs);
+router.get('/jobs/:jobId', requirePermission('jobs:view'), adminController.getJob);
+router.patch('/jobs/:jobId', requirePermission('jobs:moderate'), adminController.updateJob);
+router.get('/applications', requirePermission('applications:view'), adminController.getApplications);
+router.patch('/applications/:appId', requirePermission('applications:manage'), adminController.updateApplication);
+router.get('/applications/:appId/timeline', requirePermission('applications:view'), adminController.getApplicationTimeline);
+
+// Withdrawal requests for shortlisted applications
+router.get('/withdrawal-requests', requirePermission('withdrawals:manage'), withdrawalController.getWithdrawalRequests);
+router.patch('/withdrawal-requests/:requestId', requirePermission('withdrawals:manage'), withdrawalController.reviewWithdrawalRequest);
 
 // Student management
-router.get('/students', adminController.getStudents);
-router.get('/students/:studentId', adminController.getStudentProfile);
-router.patch('/students/:studentId/subscription', adminController.assignStudentSubscription);
-router.patch('/students/:studentId/status', adminController.setStudentActiveStatus);
+router.get('/students', requirePermission('students:view'), adminController.getStudents);
+router.get('/students/:studentId', requirePermission('students:view'), adminController.getStudentProfile);
+router.patch('/students/:studentId/subscription', requirePermission('students:subscriptions'), adminController.assignStudentSubscription);
+router.patch('/students/:studentId/status', requirePermission('students:suspend'), adminController.setStudentActiveStatus);
 
 // Company status toggle
-router.patch('/companies/:companyId/status', adminController.setCompanyActiveStatus);
+router.patch('/companies/:companyId/status', requirePermission('companies:suspend'), adminController.setCompanyActiveStatus);
 
 // Subscription plan management
-router.get('/subscription-plans', adminController.getSubscriptionPlans);
-router.get('/subscription-plans/:planId', adminController.getSubscriptionPlan);
-router.post('/subscription-plans', adminController.createSubscriptionPlan);
-router.patch('/subscription-plans/:planId', adminController.updateSubscriptionPlan);
-router.delete('/subscription-plans/:planId', adminController.deleteSubscriptionPlan);
+router.get('/subscription-plans', requirePermission('pricing:view'), adminController.getSubscriptionPlans);
+router.get('/subscription-plans/:planId', requirePermission('pricing:view'), adminController.getSubscriptionPlan);
+router.post('/subscription-plans', requirePermission('pricing:manage'), adminController.createSubscriptionPlan);
+router.patch('/subscription-plans/:planId', requirePermission('pricing:manage'), adminController.updateSubscriptionPlan);
+router.delete('/subscription-plans/:planId', requirePermission('pricing:manage'), adminController.deleteSubscriptionPlan);
 
 // Zone management
-router.get('/zones', adminController.getZones);
-router.post('/zones', adminController.createZone);
-router.patch('/zones/:zoneId', adminController.updateZone);
-router.delete('/zones/:zoneId', adminController.deleteZone);
+router.get('/zones', requirePermission('pricing:view'), adminController.getZones);
+router.post('/zones', requirePermission('zones:manage'), adminController.createZone);
+router.patch('/zones/:zoneId', requirePermission('zones:manage'), adminController.updateZone);
+router.delete('/zones/:zoneId', requirePermission('zones:manage'), adminController.deleteZone);
 
 // Country management within zones
-router.post('/zones/:zoneId/countries', adminController.addCountryToZone);
-router.delete('/zones/:zoneId/countries/:countryId', adminController.removeCountryFromZone);
+router.post('/zones/:zoneId/countries', requirePermission('zones:manage'), adminController.addCountryToZone);
+router.delete('/zones/:zoneId/countries/:countryId', requirePermission('zones:manage'), adminController.removeCountryFromZone);
 
 // Plan zone management
-router.get('/plans/:planId/zones', adminController.getPlanZones);
-router.put('/plans/:planId/zones', adminController.setPlanZones);
+router.get('/plans/:planId/zones', requirePermission('pricing:view'), adminController.getPlanZones);
+router.put('/plans/:planId/zones', requirePermission('pricing:manage'), adminController.setPlanZones);
 
 // Free tier configuration
-router.get('/config/free-tier', adminController.getFreeTierConfig);
-router.patch('/config/free-tier', adminController.updateFreeTierConfig);
+router.get('/config/free-tier', requirePermission('pricing:view'), adminController.getFreeTierConfig);
+router.patch('/config/free-tier', requirePermission('pricing:manage'), adminController.updateFreeTierConfig);
+
+// Currency rates used to compare job salaries
+router.get('/config/currency-rates', requirePermission('pricing:view'), adminController.getCurrencyRates);
+router.patch('/config/currency-rates', requirePermission('pricing:manage'), adminController.updateCurrencyRates);
 
 // Addon management
-router.get('/addons', adminController.getAddons);
-router.post('/addons', adminController.createAddon);
-router.patch('/addons/:addonId', adminController.updateAddon);
-router.delete('/addons/:addonId', adminController.deleteAddon);
+router.get('/addons', requirePermission('pricing:view'), adminController.getAddons);
+router.post('/addons', requirePermission('pricing:manage'), adminController.createAddon);
+router.patch('/addons/:addonId', requirePermission('pricing:manage'), adminController.updateAddon);
+router.delete('/addons/:addonId', requirePermission('pricing:manage'), adminController.deleteAddon);
+
+// Login lockouts
+router.get('/lockouts', requirePermission('security:manage'), adminController.getLockouts);
+router.delete('/lockouts/:lockoutId', requirePermission('security:manage'), adminController.clearLockout);
+
+// Admin accounts and role assignments
+router.get('/roles', requirePermission('admins:manage'), adminUserController.getAdminRoles);
+router.get('/admins', requirePermission('admins:manage'), adminUserController.getAdmins);
+router.post('/admins', requirePermission('admins:manage'), adminUserController.createAdmin);
+router.patch('/admins/:userId/role', requirePermission('admins:manage'), adminUserController.updateAdminRole);
 
 module.exports = router;
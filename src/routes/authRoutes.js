@@ -2,19 +2,25 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
 
 
 console.log(authController);
 
 router.post('/login', authController.login);
-router.post('/logout', authController.logout);
+router.post('/refresh', authController.refresh);
+router.post('/logout', optionalAuth, authController.logout);
+router.post('/logout-all', requireAuth, authController.logoutAll);
 router.get('/me', requireAuth, authController.getMe);
 router.post('/register/company', authController.registerCompany);
 router.post('/register/student', authController.registerStudent);
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/verify-reset-token', authController.verifyResetToken);
 router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', authController.resendVerification);
+router.post('/company-invite/verify', authController.verifyCompanyInvite);
+router.post('/company-invite/accept', authController.acceptCompanyInvite);
 
 
 exports.login = async (req, res) => {
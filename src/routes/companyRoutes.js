@@ -2,12 +2,23 @@ const express = require('express');
 const router = express.Router();
 
 const companyController = require('../controllers/companyController');
+const interviewController = require('../controllers/interviewController');
+const offerController = require('../controllers/offerController');
+const talentController = require('../controllers/talentController');
+const jobTemplateController = require('../controllers/jobTemplateController');
+const companyTeamController = require('../controllers/companyTeamController');
 const { requireAuth, requireUserType } = require('../middleware/auth');
-const { upload } = require('../middleware/upload');
+const { requireCompanyMember, requireCompanyRole } = require('../middleware/companyAccess');
+const { upload, offerLetterUpload } = require('../middleware/upload');
 
 // All routes require authentication and company user type
 router.use(requireAuth);
 router.use(requireUserType('company'));
+router.use(requireCompanyMember);
+
+// Viewers can read everything; editing jobs and deciding on applications needs a recruiter or owner
+const canManageJobs = requireCompanyRole('owner', 'recruiter');
+const isOwner = requireCompanyRole('owner');
 
 const logoUploadMiddleware = (req, res, next) => {
 	upload.single('logo')(req, res, (err) => {
@@ -18,22 +29,65 @@ const logoUploadMiddleware = (req, res, next) => {
 	});
 };
 
+const offerLetterUploadMiddleware = (req, res, next) => {
+	offerLetterUpload.single('letter')(req, res, (err) => {
+		if (err) {
+			const message = err.code === 'LIMIT_FILE_SIZE' ? 'Offer letter must be under 5MB' : err.message;
+			return res.status(400).json({ error: message });
+		}
+		next();
+	});
+};
+
 router.get('/profile', companyController.getProfile);
-router.patch('/profile', companyController.updateProfile);
-router.post('/profile/logo', logoUploadMiddleware, companyController.uploadLogo);
+router.patch('/profile', isOwner, companyController.updateProfile);
+router.post('/profile/logo', isOwner, logoUploadMiddleware, companyController.uploadLogo);
 
 router.get('/countries', companyController.getCountries);
 router.get('/dashboard', companyController.getDashboard);
 router.get('/jobs', companyController.getJobs);
-router.post('/jobs', companyController.createJob);
+router.post('/jobs', canManageJobs, companyController.createJob);
 router.get('/jobs/:jobId', companyController.getJob);
-router.patch('/jobs/:jobId', companyController.updateJob);
-router.patch('/jobs/:jobId/unpublish', companyController.unpublishJob);
-router.patch('/jobs/:jobId/republish', companyController.republishJob);
-router.patch('/jobs/:jobId/close', companyController.closeJob);
+router.patch('/jobs/:jobId', canManageJobs, companyController.updateJob);
+router.patch('/jobs/:jobId/unpublish', canManageJobs, companyController.unpublishJob);
+router.patch('/jobs/:jobId/republish', canManageJobs, companyController.republishJob);
+router.patch('/jobs/:jobId/close', canManageJobs, companyController.closeJob);
+router.post('/jobs/:jobId/submit', canManageJobs, companyController.submitJob);
+router.post('/jobs/:jobId/duplicate', canManageJobs, companyController.duplicateJob);
 router.get('/jobs/:jobId/applications', companyController.getJobApplications);
 router.get('/applications', companyController.getAllApplications);
-router.patch('/applications/:appId', companyController.updateApplication);
+router.patch('/applications/bulk', canManageJobs, companyController.bulkUpdateApplications);
+router.patch('/applications/:appId', canManageJobs, companyController.updateApplication);
+router.get('/applications/:appId/interviews', interviewController.getApplicationInterviews);
+router.post('/applications/:appId/interviews', canManageJobs, interviewController.scheduleInterview);
+router.patch('/interviews/:interviewId/reschedule', canManageJobs, interviewController.rescheduleInterview);
+router.patch('/interviews/:interviewId/cancel', canManageJobs, interviewController.cancelInterview);
+router.post('/applications/:appId/interview-slots', canManageJobs, interviewController.publishApplicationSlots);
+router.get('/jobs/:jobId/interview-slots', interviewController.getJobSlots);
+router.post('/jobs/:jobId/interview-slots', canManageJobs, interviewController.publishJobSlots);
+router.delete('/interview-slots/:slotId', canManageJobs, interviewController.cancelSlot);
+router.get('/applications/:appId/offer', offerController.getApplicationOffer);
+router.post('/applications/:appId/offer', canManageJobs, offerLetterUploadMiddleware, offerController.extendOffer);
 router.get('/students/:studentId', companyController.getStudentProfile);
 
+// Job templates
+router.get('/job-templates', jobTemplateController.getJobTemplates);
+router.post('/job-templates', canManageJobs, jobTemplateController.createJobTemplate);
+router.get('/job-templates/:templateId', jobTemplateController.getJobTemplate);
+router.patch('/job-templates/:templateId', canManageJobs, jobTemplateController.updateJobTemplate);
+router.delete('/job-templates/:templateId', canManageJobs, jobTemplateController.deleteJobTemplate);
+router.post('/job-templates/:templateId/jobs', canManageJobs, jobTemplateController.createJobFromTemplate);
+
+// Talent directory
+router.get('/talent', talentController.searchTalent);
+router.get('/talent/:studentId', talentController.getTalentProfile);
+router.post('/talent/:studentId/contact-requests', canManageJobs, talentController.sendContactRequest);
+router.get('/contact-requests', talentController.getSentContactRequests);
+
+// Team
+router.get('/team', companyTeamController.getTeam);
+router.post('/team/invitations', isOwner, companyTeamController.inviteMember);
+router.patch('/team/:memberId', isOwner, companyTeamController.updateMember);
+router.delete('/team/:memberId', isOwner, companyTeamController.removeMember);
+
 module.exports = router;
@@ -1,22 +1,10 @@
 const express = require('express');
-const { getPresignedUrl } = require('../services/mediaService');
+const mediaController = require('../controllers/mediaController');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
-router.get('/url', async (req, res) => {
-  try {
-    const { key } = req.query;
-
-    if (!key) {
-      return res.status(400).json({ error: 'Key is required' });
-    }
-
-    const url = await getPresignedUrl(key);
-    res.json({ url });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Failed to generate URL' });
-  }
-});
+// Public keys (company logos) sign anonymously; everything else needs a user allowed to see the file
+router.get('/url', optionalAuth, mediaController.getMediaUrl);
 
 module.exports = router;
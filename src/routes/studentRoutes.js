@@ -3,6 +3,12 @@ const router = express.Router();
 
 const studentController = require('../controllers/studentController');
 const studentMediaController = require('../controllers/studentMediaController');
+const savedSearchController = require('../controllers/savedSearchController');
+const interviewController = require('../controllers/interviewController');
+const offerController = require('../controllers/offerController');
+const withdrawalController = require('../controllers/withdrawalController');
+const resumeController = require('../controllers/resumeController');
+const talentController = require('../controllers/talentController');
 const subscriptionController = require('../controllers/subscriptionController');
 const { requireAuth, requireUserType, optionalAuth } = require('../middleware/auth');
 const { resumeUpload, videoUpload } = require('../middleware/upload');
@@ -15,9 +21,45 @@ router.get('/jobs', optionalAuth, studentController.getJobs);
 router.get('/jobs/:jobId', optionalAuth, studentController.getJob);
 
 // Application endpoints (require student auth)
-router.post('/jobs/:jobId/apply', requireAuth, requireUserType('student'), studentController.applyToJob);
+router.post(
+	'/jobs/:jobId/apply',
+	requireAuth,
+	requireUserType('student'),
+	(req, res, next) => {
+		resumeUpload.single('resume')(req, res, (err) => {
+			if (err) {
+				const message = err.code === 'LIMIT_FILE_SIZE' ? 'Resume must be under 5MB' : err.message;
+				return res.status(400).json({ error: message });
+			}
+			next();
+		});
+	},
+	studentController.applyToJob
+);
 router.get('/applications', requireAuth, requireUserType('student'), studentController.getApplications);
+router.get('/applications/:appId/timeline', requireAuth, requireUserType('student'), studentController.getApplicationTimeline);
 router.patch('/applications/:appId/withdraw', requireAuth, requireUserType('student'), studentController.withdrawApplication);
+router.post('/applications/:appId/withdrawal-request', requireAuth, requireUserType('student'), withdrawalController.requestWithdrawal);
+router.get('/applications/:appId/interviews', requireAuth, requireUserType('student'), interviewController.getMyApplicationInterviews);
+router.get('/applications/:appId/interview-slots', requireAuth, requireUserType('student'), interviewController.getAvailableSlots);
+router.post('/applications/:appId/interview-slots', requireAuth, requireUserType('student'), interviewController.bookSlot);
+router.get('/applications/:appId/offer', requireAuth, requireUserType('student'), offerController.getMyOffer);
+router.post('/applications/:appId/offer/accept', requireAuth, requireUserType('student'), offerController.acceptOffer);
+router.post('/applications/:appId/offer/decline', requireAuth, requireUserType('student'), offerController.declineOffer);
+
+// Saved job endpoints (require student auth)
+router.post('/jobs/:jobId/save', requireAuth, requireUserType('student'), studentController.saveJob);
+router.delete('/jobs/:jobId/save', requireAuth, requireUserType('student'), studentController.unsaveJob);
+router.get('/saved-jobs', requireAuth, requireUserType('student'), studentController.getSavedJobs);
+
+// Recommended jobs feed (require student auth)
+router.get('/recommendations', requireAuth, requireUserType('student'), studentController.getRecommendations);
+
+// Saved search endpoints (require student auth)
+router.get('/saved-searches', requireAuth, requireUserType('student'), savedSearchController.getSavedSearches);
+router.post('/saved-searches', requireAuth, requireUserType('student'), savedSearchController.createSavedSearch);
+router.patch('/saved-searches/:searchId', requireAuth, requireUserType('student'), savedSearchController.updateSavedSearch);
+router.delete('/saved-searches/:searchId', requireAuth, requireUserType('student'), savedSearchController.deleteSavedSearch);
 
 // Profile endpoints (require student auth)
 router.get('/profile', requireAuth, requireUserType('student'), studentController.getProfile);
@@ -54,6 +96,30 @@ router.post(
 router.delete('/profile/video', requireAuth, requireUserType('student'), studentMediaController.deleteIntroVideo);
 router.get('/profile/completeness', requireAuth, requireUserType('student'), studentController.getProfileCompleteness);
 
+// Resume library (require student auth)
+router.get('/resumes', requireAuth, requireUserType('student'), resumeController.getResumes);
+router.post(
+	'/resumes',
+	requireAuth,
+	requireUserType('student'),
+	(req, res, next) => {
+		resumeUpload.single('resume')(req, res, (err) => {
+			if (err) {
+				const message = err.code === 'LIMIT_FILE_SIZE' ? 'Resume must be under 5MB' : err.message;
+				return res.status(400).json({ error: message });
+			}
+			next();
+		});
+	},
+	resumeController.uploadResume
+);
+router.patch('/resumes/:resumeId', requireAuth, requireUserType('student'), resumeController.updateResume);
+router.delete('/resumes/:resumeId', requireAuth, requireUserType('student'), resumeController.deleteResume);
+
+// Talent directory contact requests (require student auth)
+router.get('/contact-requests', requireAuth, requireUserType('student'), talentController.getContactRequests);
+router.patch('/contact-requests/:requestId', requireAuth, requireUserType('student'), talentController.respondToContactRequest);
+
 // Subscription endpoints (require student auth)
 router.get('/subscription', requireAuth, requireUserType('student'), subscriptionController.getCurrentSubscription);
 router.post('/subscription', requireAuth, requireUserType('student'), subscriptionController.createOrUpgradeSubscription);
@@ -2,10 +2,13 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 const app = require('./app');
 const connectDB = require('./db');
+const { startScheduledTasks } = require('./tasks');
 
 const PORT = process.env.PORT || 3001;
 
 connectDB().then(() => {
+  startScheduledTasks();
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
@@ -0,0 +1,46 @@
+/**
+ * adminRoleService.js
+ *
+ * Admin roles and the permissions they grant (see ADMIN_ROLE_PERMISSIONS in
+ * constants). Admin accounts that predate roles have no adminRole and keep
+ * full access as super admins until a super admin assigns them a role.
+ */
+
+const User = require('../models/User');
+const { ADMIN_ROLE_PERMISSIONS } = require('../constants');
+
+const DEFAULT_ADMIN_ROLE = 'super_admin';
+
+const getAdminRole = (user) => user.adminRole || DEFAULT_ADMIN_ROLE;
+
+const getAdminPermissions = (role) => ADMIN_ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Active admins with the super_admin role, including legacy admins without a role.
+ */
+const countSuperAdmins = () => User.countDocuments({
+  userType: 'admin',
+  isActive: true,
+  adminRole: { $in: [DEFAULT_ADMIN_ROLE, null] }
+});
+
+const formatAdminUser = (user) => {
+  const role = getAdminRole(user);
+
+  return {
+    id: user._id.toString(),
+    username: user.username,
+    role,
+    permissions: getAdminPermissions(role),
+    isActive: user.isActive,
+    createdAt: user.createdAt
+  };
+};
+
+module.exports = {
+  DEFAULT_ADMIN_ROLE,
+  getAdminRole,
+  getAdminPermissions,
+  countSuperAdmins,
+  formatAdminUser
+};
@@ -1,7 +1,13 @@
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
 const Student = require('../models/Student');
 const ActiveSubscription = require('../models/ActiveSubscription');
 const Application = require('../models/Application');
 const { getApplicationLimit } = require('./subscriptionService');
+const { STUDENT_APPLICATION_STATUS_MAP } = require('../constants');
 
 const getSubscriptionUsage = async (studentId) => {
   const student = await Student.findById(studentId);
@@ -77,7 +83,8 @@ const canApply = async (studentId) => {
   const { applicationsUsed } = await getSubscriptionUsage(studentId);
 
   if (student.subscriptionTier === 'free') {
-    const submittedApplications = await Application.countDocuments({ studentId });
+    // Screening knockouts never reach review, so they don't use up the allowance
+    const submittedApplications = await Application.countDocuments({ studentId, screeningKnockedOut: { $ne: true } });
 
     if (submittedApplications >= applicationLimit) {
       return {
@@ -115,14 +122,23 @@ const canApply = async (studentId) => {
 };
 
 /**
- * Business rule: a student may request withdrawal when their application is
- * in `pending` or `reviewed` (shortlisted) state.  For every other status the
- * request is denied so callers can surface a useful error without throwing.
+ * Business rule: pending applications are withdrawn directly.  Once admin has
+ * shortlisted an application (`reviewed`, `interview_scheduled`,
+ * `offer_extended`) the student has to file a withdrawal request that admin
+ * approves.  For every other status the request is denied so callers can
+ * surface a useful error without throwing.
  */
+const WITHDRAWABLE_APPLICATION_STATUSES = ['reviewed', 'interview_scheduled', 'offer_extended'];
+
 const validateWithdrawal = (application) => {
-  const allowedStatuses = ['pending', 'reviewed'];
+  if (application.status === 'pending') {
+    return {
+      allowed: false,
+      message: 'Pending applications can be withdrawn directly without a request.'
+    };
+  }
 
-  if (!allowedStatuses.includes(application.status)) {
+  if (!WITHDRAWABLE_APPLICATION_STATUSES.includes(application.status)) {
     return {
       allowed: false,
       message: `Withdrawal request is not allowed for applications with status '${application.status}'.`
@@ -132,10 +148,210 @@ const validateWithdrawal = (application) => {
   return { allowed: true };
 };
 
+/**
+ * Business rule: companies move applications forward one stage at a time
+ * (reviewed → interview_scheduled → offer_extended → hired) and may reject
+ * from any of those stages.  Pending applications still belong to admin.
+ * Offers themselves go through offerController, and structured offers only
+ * reach `hired` when the student accepts them.
+ */
+const COMPANY_STATUS_TRANSITIONS = {
+  reviewed: ['interview_scheduled', 'rejected'],
+  interview_scheduled: ['offer_extended', 'rejected'],
+  offer_extended: ['hired', 'rejected']
+};
+
+const COMPANY_TARGET_STATUSES = ['interview_scheduled', 'offer_extended', 'hired', 'rejected'];
+
+const validateCompanyTransition = (currentStatus, nextStatus) => {
+  const allowedNextStatuses = COMPANY_STATUS_TRANSITIONS[currentStatus] || [];
+
+  if (allowedNextStatuses.includes(nextStatus)) {
+    return { allowed: true };
+  }
+
+  if (currentStatus === 'pending') {
+    return { allowed: false, message: 'Can only hire/reject applications that have been reviewed by admin' };
+  }
+
+  if (['hired', 'rejected'].includes(currentStatus)) {
+    return { allowed: false, message: 'This application has already been processed' };
+  }
+
+  if (currentStatus === 'withdrawn') {
+    return { allowed: false, message: 'Cannot process withdrawn applications' };
+  }
+
+  return { allowed: false, message: `Invalid transition from ${currentStatus} to ${nextStatus}` };
+};
+
+// ─── Status History ───────────────────────────────────────────────────────────
+
+const buildStatusHistoryEntry = ({ fromStatus = null, toStatus, actorId = null, actorType, reason = null, changedAt = new Date() }) => ({
+  fromStatus,
+  toStatus,
+  actorId,
+  actorType,
+  reason: reason || null,
+  changedAt
+});
+
+/**
+ * Append a transition to an application document before it is saved.
+ * Call before `application.status` is overwritten so the previous status is captured.
+ */
+const recordStatusChange = (application, { toStatus, actorId, actorType, reason }) => {
+  if (application.status === toStatus) {
+    return;
+  }
+
+  application.statusHistory.push(buildStatusHistoryEntry({
+    fromStatus: application.status,
+    toStatus,
+    actorId,
+    actorType,
+    reason
+  }));
+};
+
+/**
+ * Pipeline-style update for updateMany calls, where each document's previous
+ * status is only known inside MongoDB. Both fields in the single $set stage
+ * read the pre-update document, so `$status` is still the old value.
+ */
+const buildBulkStatusChangeUpdate = ({ toStatus, actorId = null, actorType, reason = null, set = {} }) => [
+  {
+    $set: {
+      ...set,
+      status: toStatus,
+      statusHistory: {
+        $concatArrays: [
+          { $ifNull: ['$statusHistory', []] },
+          [buildStatusHistoryEntry({
+            fromStatus: '$status',
+            toStatus,
+            // Pipeline updates skip schema casting
+            actorId: actorId ? new mongoose.Types.ObjectId(String(actorId)) : null,
+            actorType,
+            reason
+          })]
+        ]
+      }
+    }
+  }
+];
+
+// Rejections read differently to the student depending on who closed the application
+const STUDENT_REJECTION_KEYS = {
+  admin: 'rejected_admin',
+  company: 'rejected_company',
+  student: 'offer_declined',
+  system: 'offer_lapsed'
+};
+
+// System rejections are either a lapsed offer or a screening knockout at apply time
+const getStudentRejectionKey = (entry) => {
+  if (entry.actorType === 'system' && entry.fromStatus !== 'offer_extended') {
+    return 'rejected_screening';
+  }
+
+  return STUDENT_REJECTION_KEYS[entry.actorType] || 'rejected_admin';
+};
+
+/**
+ * Student-safe timeline: no actors or internal notes, only the
+ * student-facing wording. Consecutive entries that read the same are merged.
+ */
+const formatStudentTimeline = (statusHistory = []) => {
+  const timeline = [];
+
+  statusHistory.forEach((entry) => {
+    const key = entry.toStatus === 'rejected'
+      ? getStudentRejectionKey(entry)
+      : entry.toStatus;
+    const payload = STUDENT_APPLICATION_STATUS_MAP[key];
+
+    if (!payload) {
+      return;
+    }
+
+    const previous = timeline[timeline.length - 1];
+    if (previous && previous.studentFacingStatus === payload.studentFacingStatus) {
+      return;
+    }
+
+    timeline.push({
+      studentFacingStatus: payload.studentFacingStatus,
+      statusMessage: payload.statusMessage,
+      // Company rejection reasons are already shown to students elsewhere
+      reason: key === 'rejected_company' ? entry.reason : null,
+      changedAt: entry.changedAt
+    });
+  });
+
+  return timeline;
+};
+
+/**
+ * Full audit timeline for admins, with each actor resolved to a display name.
+ */
+const formatAdminTimeline = async (statusHistory = []) => {
+  const actorIds = [...new Set(
+    statusHistory.filter((entry) => entry.actorId).map((entry) => entry.actorId.toString())
+  )];
+
+  // Company actors may be any team member, including ones since removed;
+  // legacy companies without memberships are matched on their primary user
+  const [users, members, companies, students] = actorIds.length
+    ? await Promise.all([
+        User.find({ _id: { $in: actorIds } }).select('username userType').lean(),
+        CompanyMember.find({ userId: { $in: actorIds } }).populate('companyId', 'name').select('userId companyId').lean(),
+        Company.find({ userId: { $in: actorIds } }).select('userId name').lean(),
+        Student.find({ userId: { $in: actorIds } }).select('userId fullName').lean()
+      ])
+    : [[], [], [], []];
+
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  const namesByUserId = new Map([
+    ...companies.map((company) => [company.userId.toString(), company.name]),
+    ...members
+      .filter((member) => member.companyId)
+      .map((member) => [member.userId.toString(), member.companyId.name]),
+    ...students.map((student) => [student.userId.toString(), student.fullName])
+  ]);
+
+  return statusHistory.map((entry) => {
+    const actorId = entry.actorId ? entry.actorId.toString() : null;
+    const user = actorId ? usersById.get(actorId) : null;
+
+    return {
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      actor: {
+        id: actorId,
+        type: entry.actorType,
+        username: user?.username || null,
+        name: (actorId && namesByUserId.get(actorId)) || null
+      },
+      reason: entry.reason,
+      changedAt: entry.changedAt
+    };
+  });
+};
+
 module.exports = {
+  COMPANY_STATUS_TRANSITIONS,
+  COMPANY_TARGET_STATUSES,
+  validateCompanyTransition,
   getSubscriptionUsage,
   incrementApplicationCount,
   decrementApplicationCount,
+  WITHDRAWABLE_APPLICATION_STATUSES,
   validateWithdrawal,
-  canApply
+  canApply,
+  buildStatusHistoryEntry,
+  recordStatusChange,
+  buildBulkStatusChangeUpdate,
+  formatStudentTimeline,
+  formatAdminTimeline
 };
@@ -0,0 +1,152 @@
+/**
+ * authSessionService.js
+ *
+ * Login sessions: short-lived JWT access tokens plus rotating refresh tokens.
+ *
+ * Every access token carries the id of its AuthSession (`sid`). requireAuth
+ * checks that the session is still live and the user still active, so logging
+ * out, "log out all devices", suspension and password resets take effect on
+ * the next request rather than when the token expires.
+ *
+ * Refresh tokens are single use. Each refresh swaps in a new token; if a
+ * rotated-out token is presented again it has leaked, and the whole session
+ * is revoked.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const ACCOUNT_SUSPENDED_MESSAGE = 'Your account has been suspended. Please contact support@aquatalentz.com.';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user._id.toString(),
+    userType: user.userType,
+    sid: sessionId.toString()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+const buildTokens = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+/**
+ * Start a session for a user who has just logged in.
+ * Returns { token, refreshToken, expiresIn }.
+ */
+const createSession = async (user, { userAgent = null } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await AuthSession.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return buildTokens(user, session, refreshToken);
+};
+
+const revokeSession = (sessionId, reason) => AuthSession.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+/**
+ * Revoke every live session of one or more users. Resolves to the number revoked.
+ */
+const revokeUserSessions = async (userIds, reason) => {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+
+  const result = await AuthSession.updateMany(
+    { userId: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Returns { token, refreshToken, expiresIn } or null when the token is not usable.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  // Atomic swap so the same token cannot be redeemed twice
+  const session = await AuthSession.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: hashToken(nextToken), previousTokenHash: tokenHash, lastUsedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  if (!session) {
+    await AuthSession.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'account_inactive');
+    return null;
+  }
+
+  return buildTokens(user, session, nextToken);
+};
+
+const findSessionIdByRefreshToken = async (refreshToken) => {
+  const session = await AuthSession.findOne({ refreshTokenHash: hashToken(refreshToken) }).select('_id');
+  return session?._id || null;
+};
+
+/**
+ * Load what requireAuth needs to trust a verified access token.
+ * Returns { user, sessionActive }; tokens without a session id are never active.
+ */
+const checkAccessTokenSession = async (decoded) => {
+  const isValidId = (id) => Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+
+  if (!isValidId(decoded.sid) || !isValidId(decoded.userId)) {
+    return { user: null, sessionActive: false };
+  }
+
+  const [user, sessionActive] = await Promise.all([
+    User.findById(decoded.userId).select('userType isActive'),
+    AuthSession.exists({ _id: decoded.sid, userId: decoded.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  ]);
+
+  return { user, sessionActive: Boolean(sessionActive) };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  ACCOUNT_SUSPENDED_MESSAGE,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  findSessionIdByRefreshToken,
+  checkAccessTokenSession
+};
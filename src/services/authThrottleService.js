@@ -0,0 +1,169 @@
+/**
+ * authThrottleService.js
+ *
+ * Brute-force protection for login and password-reset requests, tracked in
+ * MongoDB so limits hold across server instances and restarts.
+ *
+ * Login failures are counted per username and per IP. Reaching the limit
+ * locks that key; every further lockout within LOCKOUT_MEMORY_HOURS doubles
+ * the cooldown, up to MAX_LOCKOUT_MINUTES. A successful login clears the
+ * username's record.
+ *
+ * Password-reset requests are capped per email address and per IP within a
+ * rolling window, with no lockout.
+ */
+
+const AuthThrottle = require('../models/AuthThrottle');
+
+const THROTTLE_POLICIES = {
+  'login:username': { maxAttempts: 5, windowMinutes: 15, lockoutMinutes: 15 },
+  'login:ip': { maxAttempts: 20, windowMinutes: 15, lockoutMinutes: 15 },
+  'reset:email': { maxAttempts: 3, windowMinutes: 60 },
+  'reset:ip': { maxAttempts: 10, windowMinutes: 60 }
+};
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// How long past lockouts keep counting towards the next cooldown
+const LOCKOUT_MEMORY_HOURS = 24;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const buildKey = (action, scope, value) => `${action}:${scope}:${value}`;
+
+const secondsUntil = (date, now = new Date()) => Math.max(1, Math.ceil((date - now) / 1000));
+
+/**
+ * Count one attempt against a key, starting a new window when the last one lapsed.
+ */
+const recordAttempt = async (action, scope, value) => {
+  const policy = THROTTLE_POLICIES[`${action}:${scope}`];
+  const key = buildKey(action, scope, value);
+  const now = new Date();
+
+  await AuthThrottle.updateOne(
+    { key, windowStartedAt: { $lte: new Date(now - policy.windowMinutes * MS_PER_MINUTE) } },
+    { $set: { count: 0, windowStartedAt: now } }
+  );
+
+  return AuthThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { count: 1 },
+      $set: { updatedAt: now, expiresAt: new Date(now.getTime() + LOCKOUT_MEMORY_HOURS * 60 * MS_PER_MINUTE) },
+      $setOnInsert: { action, scope, value, windowStartedAt: now }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Lock a key that has reached its limit. Returns the lock end, or null when
+ * another request locked it first (so only one caller reports the lockout).
+ */
+const applyLockout = async (throttle, policy) => {
+  const now = new Date();
+  const recentLockouts = throttle.lastLockedAt && throttle.lastLockedAt > new Date(now - LOCKOUT_MEMORY_HOURS * 60 * MS_PER_MINUTE)
+    ? throttle.lockoutCount
+    : 0;
+  const minutes = Math.min(MAX_LOCKOUT_MINUTES, policy.lockoutMinutes * 2 ** recentLockouts);
+  const lockedUntil = new Date(now.getTime() + minutes * MS_PER_MINUTE);
+
+  const locked = await AuthThrottle.findOneAndUpdate(
+    { _id: throttle._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    {
+      $set: {
+        lockedUntil,
+        lastLockedAt: now,
+        lockoutCount: recentLockouts + 1,
+        count: 0,
+        windowStartedAt: now,
+        expiresAt: new Date(Math.max(lockedUntil.getTime(), now.getTime() + LOCKOUT_MEMORY_HOURS * 60 * MS_PER_MINUTE))
+      }
+    },
+    { returnDocument: 'after' }
+  );
+
+  return locked ? { lockedUntil, minutes } : null;
+};
+
+/**
+ * Active login lock for this username or IP, whichever ends last.
+ * Returns { lockedUntil, retryAfterSeconds } or null.
+ */
+const getLoginLock = async (username, ip) => {
+  const keys = [buildKey('login', 'username', username)];
+  if (ip) {
+    keys.push(buildKey('login', 'ip', ip));
+  }
+
+  const now = new Date();
+  const locks = await AuthThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: now } }).select('lockedUntil').lean();
+
+  if (!locks.length) {
+    return null;
+  }
+
+  const lockedUntil = new Date(Math.max(...locks.map((lock) => lock.lockedUntil.getTime())));
+  return { lockedUntil, retryAfterSeconds: secondsUntil(lockedUntil, now) };
+};
+
+/**
+ * Record a failed login. Returns { usernameLockout } where usernameLockout is
+ * { lockedUntil, minutes } when this failure locked the username, else null.
+ */
+const recordLoginFailure = async (username, ip) => {
+  const [usernameThrottle, ipThrottle] = await Promise.all([
+    recordAttempt('login', 'username', username),
+    ip ? recordAttempt('login', 'ip', ip) : null
+  ]);
+
+  let usernameLockout = null;
+
+  if (usernameThrottle.count >= THROTTLE_POLICIES['login:username'].maxAttempts) {
+    usernameLockout = await applyLockout(usernameThrottle, THROTTLE_POLICIES['login:username']);
+  }
+
+  if (ipThrottle && ipThrottle.count >= THROTTLE_POLICIES['login:ip'].maxAttempts) {
+    await applyLockout(ipThrottle, THROTTLE_POLICIES['login:ip']);
+  }
+
+  return { usernameLockout };
+};
+
+const clearLoginFailures = (username) => AuthThrottle.deleteOne({ key: buildKey('login', 'username', username) });
+
+/**
+ * Count a password-reset request. Returns { allowed, retryAfterSeconds }.
+ */
+const consumeResetAttempt = async (scope, value) => {
+  const throttle = await recordAttempt('reset', scope, value);
+  const policy = THROTTLE_POLICIES[`reset:${scope}`];
+
+  if (throttle.count <= policy.maxAttempts) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  const windowEndsAt = new Date(throttle.windowStartedAt.getTime() + policy.windowMinutes * MS_PER_MINUTE);
+  return { allowed: false, retryAfterSeconds: secondsUntil(windowEndsAt) };
+};
+
+const formatLockout = (throttle) => ({
+  id: throttle._id.toString(),
+  action: throttle.action,
+  scope: throttle.scope,
+  value: throttle.value,
+  lockedUntil: throttle.lockedUntil,
+  lockoutCount: throttle.lockoutCount,
+  lastLockedAt: throttle.lastLockedAt
+});
+
+module.exports = {
+  THROTTLE_POLICIES,
+  MAX_LOCKOUT_MINUTES,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  consumeResetAttempt,
+  formatLockout
+};
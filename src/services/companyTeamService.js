@@ -0,0 +1,103 @@
+/**
+ * companyTeamService.js
+ *
+ * Company team membership. A company can have several users, each with a role:
+ *   - owner: everything, including the company profile and team management
+ *   - recruiter: jobs, applications, interviews and offers
+ *   - viewer: read-only access
+ *
+ * Companies registered before teams existed have no membership records; the
+ * registering user (Company.userId) is treated as the primary owner and gets an
+ * owner membership the first time it is needed.
+ */
+
+const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
+const Student = require('../models/Student');
+
+const INVITE_EXPIRY_DAYS = 7;
+
+// "... invited you to join Acme as a recruiter"
+const INVITE_ROLE_LABELS = {
+  owner: 'an owner',
+  recruiter: 'a recruiter',
+  viewer: 'a viewer'
+};
+
+/**
+ * Make sure the company's primary user has an active owner membership.
+ */
+const ensureOwnerMembership = async (company) => {
+  return CompanyMember.findOneAndUpdate(
+    { companyId: company._id, userId: company.userId },
+    {
+      $setOnInsert: {
+        companyId: company._id,
+        userId: company.userId,
+        email: company.email,
+        role: 'owner',
+        status: 'active',
+        joinedAt: company.createdAt || new Date()
+      }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Resolve the company a company-type user belongs to.
+ * Returns { company, member } or null when the user has no active membership.
+ */
+const resolveCompanyMembership = async (userId) => {
+  const member = await CompanyMember.findOne({ userId, status: 'active' });
+
+  if (member) {
+    const company = await Company.findById(member.companyId);
+    return company ? { company, member } : null;
+  }
+
+  // Legacy single-login company: the user is its primary owner
+  const company = await Company.findOne({ userId });
+
+  if (!company) {
+    return null;
+  }
+
+  return { company, member: await ensureOwnerMembership(company) };
+};
+
+/**
+ * Whether an email already belongs to a student, a company, or a teammate of
+ * another company. Pending or active members of `companyId` itself don't count,
+ * so owners can re-send invitations.
+ */
+const isInviteEmailInUse = async (email, companyId) => {
+  const [studentExists, companyExists, memberExists] = await Promise.all([
+    Student.exists({ email }),
+    Company.exists({ email, _id: { $ne: companyId } }),
+    CompanyMember.exists({ email, companyId: { $ne: companyId }, status: { $ne: 'removed' } })
+  ]);
+
+  return Boolean(studentExists || companyExists || memberExists);
+};
+
+const formatCompanyMember = (member, company) => ({
+  id: member._id.toString(),
+  email: member.email,
+  role: member.role,
+  status: member.status,
+  username: member.userId?.username || null,
+  isPrimaryOwner: Boolean(member.userId && company.userId.equals(member.userId._id || member.userId)),
+  inviteExpiresAt: member.status === 'invited' ? member.inviteExpiresAt : null,
+  joinedAt: member.joinedAt,
+  createdAt: member.createdAt
+});
+
+module.exports = {
+  INVITE_EXPIRY_DAYS,
+  INVITE_ROLE_LABELS,
+  ensureOwnerMembership,
+  resolveCompanyMembership,
+  isInviteEmailInUse,
+  formatCompanyMember
+};
@@ -17,7 +17,12 @@ const {
   getWelcomeTemplate,
   getCompanyApprovedTemplate,
   getCompanyRejectedTemplate,
-  getPasswordResetTemplate
+  getPasswordResetTemplate,
+  getEmailVerificationTemplate,
+  getAccountLockedTemplate,
+  getCompanyInviteTemplate,
+  getSavedSearchAlertTemplate,
+  getInterviewTemplate
 } = require('../templates/emailTemplates');
 const {
   shouldSendEmail,
@@ -221,7 +226,16 @@ const getApplicationEmailType = (status = 'submitted') => {
   return APPLICATION_EMAIL_TYPE_MAP[normalized] || EMAIL_NOTIFICATION_TYPES.APPLICATION_SUBMITTED;
 };
 
-const buildPayload = (to, subject, html, text, unsubscribeUrl) => {
+const normalizeAttachments = (attachments = []) =>
+  (Array.isArray(attachments) ? attachments : [attachments])
+    .filter((attachment) => attachment?.filename && attachment?.data)
+    .map((attachment) => ({
+      filename: attachment.filename,
+      data: Buffer.isBuffer(attachment.data) ? attachment.data : Buffer.from(String(attachment.data), 'utf8'),
+      contentType: attachment.contentType
+    }));
+
+const buildPayload = (to, subject, html, text, unsubscribeUrl, attachments = []) => {
   if (!MAILGUN_DOMAIN) {
     throw new Error('MAILGUN_DOMAIN is not configured');
   }
@@ -244,6 +258,11 @@ const buildPayload = (to, subject, html, text, unsubscribeUrl) => {
     payload['h:List-Unsubscribe'] = `<${unsubscribeUrl}>`;
   }
 
+  const normalizedAttachments = normalizeAttachments(attachments);
+  if (normalizedAttachments.length > 0) {
+    payload.attachment = normalizedAttachments;
+  }
+
   return payload;
 };
 
@@ -256,7 +275,7 @@ const sendEmail = async (to, subject, html, text = '', options = {}) =>
       return { skipped: true };
     }
 
-    const { userId = null, emailType = null } = options;
+    const { userId = null, emailType = null, attachments = [] } = options;
 
     if (userId && emailType) {
       const allowSend = await shouldSendEmail({
@@ -284,7 +303,7 @@ const sendEmail = async (to, subject, html, text = '', options = {}) =>
     const unsubscribeUrl = buildUnsubscribeUrl(recipients[0]);
     const processedHtml = injectUnsubscribeUrl(html, unsubscribeUrl);
     const processedText = injectUnsubscribeUrl(text, unsubscribeUrl);
-    const payload = buildPayload(recipients, subject, processedHtml, processedText, unsubscribeUrl);
+    const payload = buildPayload(recipients, subject, processedHtml, processedText, unsubscribeUrl, attachments);
 
     try {
       await executeWithRetry(() => client.messages.create(MAILGUN_DOMAIN, payload));
@@ -361,11 +380,47 @@ const sendPasswordResetEmail = (userEmail, resetData = {}, options = {}) => {
   return sendEmail(userEmail, template.subject, template.html, template.text, options);
 };
 
+const sendEmailVerificationEmail = (userEmail, verificationData = {}, options = {}) => {
+  const template = getEmailVerificationTemplate(verificationData);
+  return sendEmail(userEmail, template.subject, template.html, template.text, options);
+};
+
+const sendAccountLockedEmail = (userEmail, lockoutData = {}, options = {}) => {
+  const template = getAccountLockedTemplate(lockoutData);
+  return sendEmail(userEmail, template.subject, template.html, template.text, options);
+};
+
+const sendCompanyInviteEmail = (inviteeEmail, inviteData = {}, options = {}) => {
+  const template = getCompanyInviteTemplate(inviteData);
+  return sendEmail(inviteeEmail, template.subject, template.html, template.text, options);
+};
+
+const sendSavedSearchAlertEmail = (studentEmail, alertData = {}, options = {}) => {
+  const template = getSavedSearchAlertTemplate(alertData);
+  return sendEmail(studentEmail, template.subject, template.html, template.text, {
+    ...options,
+    emailType: EMAIL_NOTIFICATION_TYPES.SAVED_SEARCH_ALERT
+  });
+};
+
+const sendInterviewEmail = (studentEmail, interviewData = {}, options = {}) => {
+  const template = getInterviewTemplate(interviewData.action, interviewData);
+  return sendEmail(studentEmail, template.subject, template.html, template.text, {
+    ...options,
+    emailType: EMAIL_NOTIFICATION_TYPES.INTERVIEW_UPDATE
+  });
+};
+
 module.exports = {
   sendEmail,
   sendApplicationStatusEmail,
   sendWelcomeEmail,
   sendCompanyApprovedEmail,
   sendCompanyRejectedEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendAccountLockedEmail,
+  sendCompanyInviteEmail,
+  sendSavedSearchAlertEmail,
+  sendInterviewEmail
 };
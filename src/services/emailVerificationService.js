@@ -0,0 +1,91 @@
+/**
+ * emailVerificationService.js
+ *
+ * Proof of email ownership for new student and company accounts. Registration
+ * emails a single-use link; until it is used the account cannot log in.
+ * Tokens are stored as SHA-256 hashes, so a database leak can't verify anyone.
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { sendEmailVerificationEmail } = require('./emailService');
+
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+// Minimum gap between verification emails to the same account
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const trimTrailingSlash = (value = '') => value.replace(/\/$/, '');
+const getFrontendBaseUrl = () => {
+  const configuredBase = process.env.FRONTEND_URL || process.env.FRONTEND_BASE_URL || process.env.APP_BASE_URL || 'http://localhost:3000';
+  return trimTrailingSlash(String(configuredBase).trim());
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a verification token and email the link. Sending is fire-and-forget.
+ */
+const sendVerification = async (user, { email, recipientName = null }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await EmailVerificationToken.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    userType: user.userType,
+    email,
+    expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  sendEmailVerificationEmail(email, {
+    recipientName,
+    verifyUrl: `${getFrontendBaseUrl()}/verify-email?token=${token}`,
+    expiresInHours: VERIFICATION_TOKEN_TTL_HOURS
+  }).catch((err) => console.error('Failed to send verification email:', err));
+};
+
+/**
+ * Whether a verification email went out to this account within the cooldown.
+ */
+const isResendCoolingDown = async (userId) => {
+  const since = new Date(Date.now() - RESEND_COOLDOWN_SECONDS * 1000);
+  return Boolean(await EmailVerificationToken.exists({ userId, createdAt: { $gt: since } }));
+};
+
+/**
+ * Use a verification token. Returns the verified user, or null when the token
+ * is unknown, expired or already used.
+ */
+const verifyEmailToken = async (token) => {
+  const now = new Date();
+
+  const verification = await EmailVerificationToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  if (!verification) {
+    return null;
+  }
+
+  const user = await User.findByIdAndUpdate(verification.userId, { emailVerified: true }, { returnDocument: 'after' });
+
+  // Any other outstanding links for this account are now pointless
+  await EmailVerificationToken.updateMany(
+    { userId: verification.userId, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  return user;
+};
+
+module.exports = {
+  VERIFICATION_TOKEN_TTL_HOURS,
+  RESEND_COOLDOWN_SECONDS,
+  sendVerification,
+  isResendCoolingDown,
+  verifyEmailToken
+};
@@ -0,0 +1,352 @@
+/**
+ * interviewService.js
+ *
+ * Interview rounds for applications: formatting, keeping the legacy
+ * Application.interviewDate in sync, and student-facing invites (email with
+ * an .ics attachment plus an in-app notification).
+ */
+
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const Application = require('../models/Application');
+const Company = require('../models/Company');
+const Student = require('../models/Student');
+const JobPosting = require('../models/JobPosting');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { recordStatusChange } = require('./applicationService');
+const { buildIcsEvent } = require('../utils/ics');
+const { formatDateTimeInTimezone } = require('../utils/dateTime');
+
+const MODE_LABELS = {
+  video: 'Video call',
+  onsite: 'On-site',
+  phone: 'Phone call'
+};
+
+const ICS_METHODS = {
+  scheduled: 'REQUEST',
+  rescheduled: 'REQUEST',
+  cancelled: 'CANCEL'
+};
+
+const getRoundLabel = (interview) => interview.title || `round ${interview.round}`;
+
+const formatInterview = (interview) => ({
+  id: interview._id.toString(),
+  applicationId: interview.applicationId.toString(),
+  jobPostingId: interview.jobPostingId.toString(),
+  round: interview.round,
+  title: interview.title,
+  scheduledAt: interview.scheduledAt,
+  timeZone: interview.timeZone,
+  durationMinutes: interview.durationMinutes,
+  mode: interview.mode,
+  location: interview.location,
+  meetingLink: interview.meetingLink,
+  interviewers: interview.interviewers,
+  notes: interview.notes,
+  status: interview.status,
+  history: interview.history,
+  createdAt: interview.createdAt,
+  updatedAt: interview.updatedAt
+});
+
+const formatInterviewSlot = (slot) => ({
+  id: slot._id.toString(),
+  jobPostingId: slot.jobPostingId.toString(),
+  applicationId: slot.applicationId ? slot.applicationId.toString() : null,
+  startsAt: slot.startsAt,
+  timeZone: slot.timeZone,
+  durationMinutes: slot.durationMinutes,
+  title: slot.title,
+  mode: slot.mode,
+  location: slot.location,
+  meetingLink: slot.meetingLink,
+  interviewers: slot.interviewers,
+  notes: slot.notes,
+  status: slot.status,
+  bookedByApplicationId: slot.bookedByApplicationId ? slot.bookedByApplicationId.toString() : null,
+  bookedAt: slot.bookedAt,
+  interviewId: slot.interviewId ? slot.interviewId.toString() : null,
+  createdAt: slot.createdAt
+});
+
+// Attempts at claiming a round number before giving up on a busy application
+const ROUND_NUMBER_RETRIES = 3;
+
+const getNextRoundNumber = async (applicationId) => {
+  const lastRound = await Interview.findOne({ applicationId }).sort({ round: -1 }).select('round').lean();
+  return (lastRound?.round || 0) + 1;
+};
+
+/**
+ * Application.interviewDate predates the Interview entity and is still what
+ * students see in their application list, so point it at the next upcoming
+ * scheduled round (or the latest one if all are in the past).
+ */
+const syncApplicationInterviewDate = async (applicationId) => {
+  const now = new Date();
+  const upcoming = await Interview.findOne({ applicationId, status: 'scheduled', scheduledAt: { $gte: now } })
+    .sort({ scheduledAt: 1 })
+    .select('scheduledAt')
+    .lean();
+  const latest = upcoming || await Interview.findOne({ applicationId, status: 'scheduled' })
+    .sort({ scheduledAt: -1 })
+    .select('scheduledAt')
+    .lean();
+
+  await Application.updateOne(
+    { _id: applicationId },
+    { $set: { interviewDate: latest?.scheduledAt || null } }
+  );
+};
+
+/**
+ * Create the next interview round for an application and move it into the
+ * interview stage if needed. Callers check ownership and transition rules.
+ *
+ * @param {object} application - Application document with jobPostingId populated
+ * @param {object} company - Company document
+ * @param {object} details - { scheduledAt, timeZone, durationMinutes, mode, location, meetingLink, interviewers, title, notes }
+ * @param {ObjectId|string} changedBy - User who scheduled the round
+ * @param {'company'|'student'} [actorType] - Who scheduled it; students book published slots
+ */
+const createInterviewRound = async (application, company, details, changedBy, actorType = 'company') => {
+  let interview = null;
+
+  // Another request may claim the same round between the read and the insert
+  for (let attempt = 1; !interview; attempt += 1) {
+    try {
+      interview = await Interview.create({
+        applicationId: application._id,
+        jobPostingId: application.jobPostingId._id,
+        companyId: company._id,
+        studentId: application.studentId,
+        round: await getNextRoundNumber(application._id),
+        title: details.title || null,
+        scheduledAt: details.scheduledAt,
+        timeZone: details.timeZone || 'UTC',
+        durationMinutes: details.durationMinutes,
+        mode: details.mode,
+        location: details.location || null,
+        meetingLink: details.meetingLink || null,
+        interviewers: details.interviewers || [],
+        notes: details.notes || null,
+        history: [{
+          action: 'scheduled',
+          scheduledAt: details.scheduledAt,
+          changedBy
+        }]
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= ROUND_NUMBER_RETRIES) {
+        throw error;
+      }
+    }
+  }
+
+  if (application.status !== 'interview_scheduled') {
+    recordStatusChange(application, {
+      toStatus: 'interview_scheduled',
+      actorId: changedBy,
+      actorType
+    });
+    application.status = 'interview_scheduled';
+    application.reviewedAt = new Date();
+    application.offerDetails = null;
+    application.offer = null;
+    application.rejectionReason = null;
+    application.rejectionSource = null;
+    await application.save();
+  }
+
+  await syncApplicationInterviewDate(application._id);
+
+  return interview;
+};
+
+const buildInterviewIcs = (interview, { action, jobTitle, companyName, companyEmail, studentName, studentEmail }) => {
+  const descriptionLines = [
+    `${MODE_LABELS[interview.mode] || interview.mode} interview for ${jobTitle} at ${companyName}.`,
+    interview.meetingLink ? `Join: ${interview.meetingLink}` : null,
+    interview.interviewers?.length ? `Interviewers: ${interview.interviewers.join(', ')}` : null,
+    interview.notes || null
+  ].filter(Boolean);
+
+  return buildIcsEvent({
+    uid: `interview-${interview._id.toString()}@aquatalentz`,
+    sequence: interview.sequence,
+    method: ICS_METHODS[action] || 'REQUEST',
+    start: interview.scheduledAt,
+    durationMinutes: interview.durationMinutes,
+    summary: `Interview: ${jobTitle} (${companyName})`,
+    description: descriptionLines.join('\n'),
+    location: interview.location || interview.meetingLink || undefined,
+    url: interview.meetingLink || undefined,
+    organizer: companyEmail ? { name: companyName, email: companyEmail } : undefined,
+    attendees: studentEmail ? [{ name: studentName, email: studentEmail }] : []
+  });
+};
+
+/**
+ * Email the student an updated calendar invite and create the matching
+ * in-app notification. Fire-and-forget safe: errors are logged, not thrown.
+ *
+ * @param {object} interview - Interview document
+ * @param {'scheduled'|'rescheduled'|'cancelled'} action
+ * @param {{ student, company, jobTitle, previousScheduledAt?, reason? }} context
+ */
+const sendInterviewUpdate = async (interview, action, { student, company, jobTitle, previousScheduledAt = null, reason = null }) => {
+  try {
+    const interviewTime = formatDateTimeInTimezone(interview.scheduledAt, interview.timeZone);
+
+    if (student?.email) {
+      const ics = buildInterviewIcs(interview, {
+        action,
+        jobTitle,
+        companyName: company.name,
+        companyEmail: company.email,
+        studentName: student.fullName,
+        studentEmail: student.email
+      });
+
+      emailService
+        .sendInterviewEmail(
+          student.email,
+          {
+            action,
+            jobTitle,
+            companyName: company.name,
+            studentName: student.fullName,
+            roundLabel: getRoundLabel(interview),
+            interviewTime,
+            previousInterviewTime: formatDateTimeInTimezone(previousScheduledAt, interview.timeZone),
+            durationMinutes: interview.durationMinutes,
+            modeLabel: MODE_LABELS[interview.mode],
+            location: interview.location,
+            meetingLink: interview.meetingLink,
+            interviewers: interview.interviewers,
+            reason
+          },
+          {
+            userId: student.userId,
+            attachments: [{
+              filename: action === 'cancelled' ? 'interview-cancelled.ics' : 'interview.ics',
+              data: ics,
+              contentType: `text/calendar; charset=utf-8; method=${ICS_METHODS[action] || 'REQUEST'}`
+            }]
+          }
+        )
+        .catch((error) => console.error(`Failed to send interview ${action} email`, error));
+    }
+
+    if (!student?.userId) {
+      return;
+    }
+
+    if (action === 'scheduled') {
+      await notificationService.notifyApplicationInterviewScheduled(student.userId, {
+        jobTitle,
+        companyName: company.name,
+        interviewDate: interview.scheduledAt
+      });
+    } else if (action === 'rescheduled') {
+      await notificationService.notifyInterviewRescheduled(student.userId, {
+        jobTitle,
+        companyName: company.name,
+        interviewDate: interview.scheduledAt
+      });
+    } else if (action === 'cancelled') {
+      await notificationService.notifyInterviewCancelled(student.userId, {
+        jobTitle,
+        companyName: company.name,
+        reason
+      });
+    }
+  } catch (error) {
+    console.error('[interviewService] Failed to send interview update', {
+      error: error.message,
+      interviewId: interview._id.toString(),
+      action
+    });
+  }
+};
+
+/**
+ * Put the slot a cancelled round was booked from back on offer, if it is
+ * still in the future. Rounds scheduled directly have no slot; nothing happens.
+ */
+const releaseInterviewSlot = (interviewId) => InterviewSlot.updateOne(
+  { interviewId, status: 'booked', startsAt: { $gt: new Date() } },
+  { $set: { status: 'open', bookedByApplicationId: null, bookedAt: null, interviewId: null } }
+);
+
+/**
+ * Cancel the upcoming rounds of applications that have ended (rejected,
+ * withdrawn, or closed with their job) and send each student a CANCEL invite
+ * so the calendar entry disappears. Invites go out in the background.
+ * Resolves to the cancelled interviews.
+ */
+const cancelUpcomingInterviews = async (applicationIds, { reason, changedBy }) => {
+  const now = new Date();
+  const upcoming = await Interview.find({
+    applicationId: { $in: applicationIds },
+    status: 'scheduled',
+    scheduledAt: { $gt: now }
+  }).select('_id scheduledAt');
+
+  const cancelled = [];
+
+  for (const { _id, scheduledAt } of upcoming) {
+    // Conditional so a concurrent company cancel or reschedule isn't reported twice
+    const interview = await Interview.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      {
+        $set: { status: 'cancelled', updatedAt: now },
+        $inc: { sequence: 1 },
+        $push: { history: { action: 'cancelled', scheduledAt, reason, changedBy, changedAt: now } }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (interview) {
+      cancelled.push(interview);
+    }
+  }
+
+  await Promise.all(cancelled.map((interview) => releaseInterviewSlot(interview._id)));
+
+  const affectedApplicationIds = [...new Set(cancelled.map((interview) => interview.applicationId.toString()))];
+  await Promise.all(affectedApplicationIds.map((applicationId) => syncApplicationInterviewDate(applicationId)));
+
+  cancelled.forEach((interview) => {
+    Promise.all([
+      Student.findById(interview.studentId).select('fullName email userId'),
+      Company.findById(interview.companyId).select('name email'),
+      JobPosting.findById(interview.jobPostingId).select('title')
+    ])
+      .then(([student, company, job]) => company && sendInterviewUpdate(interview, 'cancelled', {
+        student,
+        company,
+        jobTitle: job?.title || 'the role',
+        reason
+      }))
+      .catch((error) => console.error('Interview notification error (cancelled):', error));
+  });
+
+  return cancelled;
+};
+
+module.exports = {
+  MODE_LABELS,
+  formatInterview,
+  formatInterviewSlot,
+  getNextRoundNumber,
+  syncApplicationInterviewDate,
+  createInterviewRound,
+  releaseInterviewSlot,
+  cancelUpcomingInterviews,
+  buildInterviewIcs,
+  sendInterviewUpdate
+};
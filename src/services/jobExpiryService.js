@@ -0,0 +1,54 @@
+/**
+ * jobExpiryService.js
+ *
+ * Closes approved jobs once their application deadline has passed.
+ */
+
+const JobPosting = require('../models/JobPosting');
+const notificationService = require('./notificationService');
+
+/**
+ * Close every approved job whose deadline is in the past and notify the
+ * owning company. Existing applications are left untouched so the company
+ * can keep working through its pipeline after the posting closes.
+ */
+const closeExpiredJobs = async (now = new Date()) => {
+  const expiredJobs = await JobPosting.find({
+    status: 'approved',
+    deadline: { $ne: null, $lte: now }
+  }).select('_id');
+
+  let closed = 0;
+
+  for (const { _id: jobId } of expiredJobs) {
+    try {
+      // Re-check status so a concurrent admin/company change wins
+      const job = await JobPosting.findOneAndUpdate(
+        { _id: jobId, status: 'approved', deadline: { $lte: now } },
+        { $set: { status: 'closed', expiredAt: now } },
+        { returnDocument: 'after' }
+      ).populate('companyId', 'userId');
+
+      if (!job) {
+        continue;
+      }
+
+      closed += 1;
+
+      notificationService
+        .notifyJobExpired(job.companyId, { jobTitle: job.title || 'Job Posting' })
+        .catch((error) => console.error('Notification error (job expired):', error));
+    } catch (error) {
+      console.error('[jobExpiryService] Failed to close expired job', {
+        error: error.message,
+        jobId: jobId.toString()
+      });
+    }
+  }
+
+  return { closed };
+};
+
+module.exports = {
+  closeExpiredJobs
+};
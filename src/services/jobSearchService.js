@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+
+const JobPosting = require('../models/JobPosting');
+const ZoneCountry = require('../models/ZoneCountry');
+const Zone = require('../models/Zone');
+const { COMPANY_INDUSTRIES, COMPANY_SIZES, JOB_TYPES, CURRENCIES, SALARY_PERIODS } = require('../constants');
+const {
+  SALARY_BASE_CURRENCY,
+  getCurrencyRates,
+  buildNormalizedSalaryStage,
+  buildSalaryRangeMatch
+} = require('./salaryService');
+const { escapeRegex } = require('../utils/regex');
+
+const JOB_SEARCH_SORTS = ['relevance', 'newest', 'deadline', 'salary'];
+
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { date: null, invalid: false };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { date: null, invalid: true };
+  }
+
+  return { date, invalid: false };
+};
+
+const parseOptionalAmount = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { amount: null, invalid: false };
+  }
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    return { amount: null, invalid: true };
+  }
+
+  return { amount, invalid: false };
+};
+
+/**
+ * Validate and normalize job search query params.
+ * Returns { filters, error } — error is a client-facing message when invalid.
+ */
+const parseJobSearchFilters = (query = {}) => {
+  const {
+    search,
+    location,
+    jobType,
+    zoneId,
+    countryId,
+    industry,
+    companySize,
+    salary,
+    salaryMin,
+    salaryMax,
+    salaryCurrency,
+    salaryPeriod,
+    deadlineFrom,
+    deadlineTo,
+    sort
+  } = query;
+
+  if (jobType && !JOB_TYPES.includes(jobType)) {
+    return { filters: null, error: `Job type must be one of: ${JOB_TYPES.join(', ')}` };
+  }
+
+  if (zoneId && !mongoose.Types.ObjectId.isValid(zoneId)) {
+    return { filters: null, error: 'Invalid zone ID format' };
+  }
+
+  if (countryId && !mongoose.Types.ObjectId.isValid(countryId)) {
+    return { filters: null, error: 'Invalid country ID format' };
+  }
+
+  if (industry && !COMPANY_INDUSTRIES.includes(industry)) {
+    return { filters: null, error: `Industry must be one of: ${COMPANY_INDUSTRIES.join(', ')}` };
+  }
+
+  if (companySize && !COMPANY_SIZES.includes(companySize)) {
+    return { filters: null, error: `Company size must be one of: ${COMPANY_SIZES.join(', ')}` };
+  }
+
+  if (sort && !JOB_SEARCH_SORTS.includes(sort)) {
+    return { filters: null, error: `Sort must be one of: ${JOB_SEARCH_SORTS.join(', ')}` };
+  }
+
+  const minAmount = parseOptionalAmount(salaryMin);
+  const maxAmount = parseOptionalAmount(salaryMax);
+
+  if (minAmount.invalid || maxAmount.invalid) {
+    return { filters: null, error: 'salaryMin and salaryMax must be non-negative numbers' };
+  }
+
+  if (minAmount.amount !== null && maxAmount.amount !== null && maxAmount.amount < minAmount.amount) {
+    return { filters: null, error: 'salaryMax cannot be less than salaryMin' };
+  }
+
+  if (salaryCurrency && !CURRENCIES.includes(salaryCurrency)) {
+    return { filters: null, error: `Salary currency must be one of: ${CURRENCIES.join(', ')}` };
+  }
+
+  if (salaryPeriod && !SALARY_PERIODS.includes(salaryPeriod)) {
+    return { filters: null, error: `Salary period must be one of: ${SALARY_PERIODS.join(', ')}` };
+  }
+
+  const from = parseOptionalDate(deadlineFrom);
+  const to = parseOptionalDate(deadlineTo);
+
+  if (from.invalid || to.invalid) {
+    return { filters: null, error: 'deadlineFrom and deadlineTo must be valid dates' };
+  }
+
+  if (from.date && to.date && to.date < from.date) {
+    return { filters: null, error: 'deadlineTo cannot be before deadlineFrom' };
+  }
+
+  const trimmedSearch = typeof search === 'string' ? search.trim() : '';
+
+  return {
+    filters: {
+      search: trimmedSearch || null,
+      location: location || null,
+      jobType: jobType || null,
+      zoneId: zoneId || null,
+      countryId: countryId || null,
+      industry: industry || null,
+      companySize: companySize || null,
+      salary: salary || null,
+      // Amounts are in salaryCurrency per salaryPeriod
+      salaryMin: minAmount.amount,
+      salaryMax: maxAmount.amount,
+      salaryCurrency: salaryCurrency || SALARY_BASE_CURRENCY,
+      salaryPeriod: salaryPeriod || 'year',
+      deadlineFrom: from.date,
+      deadlineTo: to.date,
+      sort: sort || (trimmedSearch ? 'relevance' : 'newest')
+    },
+    error: null
+  };
+};
+
+const buildBaseMatch = async (filters) => {
+  const match = { status: 'approved' };
+
+  // $text must live in the first $match stage of the pipeline
+  if (filters.search) {
+    match.$text = { $search: filters.search };
+  }
+
+  if (filters.location) {
+    match.location = { $regex: escapeRegex(filters.location), $options: 'i' };
+  }
+
+  if (filters.jobType) {
+    match.jobType = filters.jobType;
+  }
+
+  if (filters.salary) {
+    match.salaryRange = { $regex: escapeRegex(filters.salary), $options: 'i' };
+    match['salary.isHidden'] = { $ne: true };
+  }
+
+  // Hide jobs whose deadline passed before the expiry sweeper has closed them
+  match.deadline = { $not: { $lte: new Date() } };
+  if (filters.deadlineFrom) match.deadline.$gte = filters.deadlineFrom;
+  if (filters.deadlineTo) match.deadline.$lte = filters.deadlineTo;
+
+  // Resolve zone to its countries up-front so the filter can use the countryId index
+  let countryIds = null;
+
+  if (filters.zoneId) {
+    countryIds = await ZoneCountry.find({ zoneId: filters.zoneId }).distinct('_id');
+  }
+
+  if (filters.countryId) {
+    const countryObjectId = new mongoose.Types.ObjectId(filters.countryId);
+    countryIds = countryIds
+      ? countryIds.filter((id) => id.equals(countryObjectId))
+      : [countryObjectId];
+  }
+
+  if (countryIds) {
+    match.countryId = { $in: countryIds };
+  }
+
+  return match;
+};
+
+const getSortStage = (sort, hasSearch) => {
+  if (sort === 'relevance' && hasSearch) {
+    return { relevanceScore: -1, createdAt: -1 };
+  }
+
+  if (sort === 'deadline') {
+    return { deadline: 1, createdAt: -1 };
+  }
+
+  // Highest annual pay first; contract, hidden and unstructured salaries last
+  if (sort === 'salary') {
+    return { salarySortKey: -1, createdAt: -1 };
+  }
+
+  return { createdAt: -1 };
+};
+
+const toFacetBuckets = (groups, nameResolver = (group) => group._id) =>
+  groups
+    .filter((group) => group._id !== null && group._id !== undefined)
+    .map((group) => ({
+      value: group._id,
+      label: nameResolver(group),
+      count: group.count
+    }));
+
+/**
+ * Search approved jobs with optional text ranking, filters and facet counts.
+ * Facet counts are computed over the full filtered result set, not just the page.
+ */
+const searchJobs = async (filters, { skip = 0, limit = 10 } = {}) => {
+  const match = await buildBaseMatch(filters);
+  const hasSearch = Boolean(filters.search);
+
+  const pipeline = [{ $match: match }];
+
+  if (hasSearch) {
+    pipeline.push({ $addFields: { relevanceScore: { $meta: 'textScore' } } });
+  }
+
+  const hasSalaryRange = filters.salaryMin !== null || filters.salaryMax !== null;
+
+  if (hasSalaryRange || filters.sort === 'salary') {
+    const rates = await getCurrencyRates();
+
+    pipeline.push(
+      buildNormalizedSalaryStage(rates),
+      {
+        $addFields: {
+          salarySortKey: { $cond: [{ $eq: ['$salary.period', 'contract'] }, null, '$normalizedSalaryMax'] }
+        }
+      }
+    );
+
+    if (hasSalaryRange) {
+      pipeline.push({ $match: buildSalaryRangeMatch(filters, rates) });
+    }
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: 'companies',
+        localField: 'companyId',
+        foreignField: '_id',
+        as: 'company'
+      }
+    },
+    { $unwind: { path: '$company', preserveNullAndEmptyArrays: true } }
+  );
+
+  const companyMatch = {};
+  if (filters.industry) companyMatch['company.industry'] = filters.industry;
+  if (filters.companySize) companyMatch['company.size'] = filters.companySize;
+
+  if (Object.keys(companyMatch).length > 0) {
+    pipeline.push({ $match: companyMatch });
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: 'zone_countries',
+        localField: 'countryId',
+        foreignField: '_id',
+        as: 'country'
+      }
+    },
+    { $unwind: { path: '$country', preserveNullAndEmptyArrays: true } },
+    {
+      $facet: {
+        jobs: [
+          { $sort: getSortStage(filters.sort, hasSearch) },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              rejectionReason: 0,
+              approvedAt: 0,
+              status: 0,
+              screeningQuestions: 0,
+              normalizedSalaryMin: 0,
+              normalizedSalaryMax: 0,
+              salarySortKey: 0
+            }
+          }
+        ],
+        total: [{ $count: 'count' }],
+        jobType: [
+          { $group: { _id: '$jobType', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        country: [
+          { $group: { _id: '$country._id', name: { $first: '$country.countryName' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        zone: [
+          { $group: { _id: '$country.zoneId', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        industry: [
+          { $group: { _id: '$company.industry', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  );
+
+  const [result] = await JobPosting.aggregate(pipeline);
+
+  const zoneIds = result.zone.map((group) => group._id).filter(Boolean);
+  const zones = zoneIds.length
+    ? await Zone.find({ _id: { $in: zoneIds } }).select('name').lean()
+    : [];
+  const zoneNameMap = new Map(zones.map((zone) => [zone._id.toString(), zone.name]));
+
+  return {
+    jobs: result.jobs,
+    total: result.total[0]?.count || 0,
+    facets: {
+      jobType: toFacetBuckets(result.jobType),
+      country: toFacetBuckets(result.country, (group) => group.name || 'Unknown Country'),
+      zone: toFacetBuckets(result.zone, (group) => zoneNameMap.get(group._id.toString()) || 'Unknown Zone'),
+      industry: toFacetBuckets(result.industry)
+    }
+  };
+};
+
+module.exports = {
+  JOB_SEARCH_SORTS,
+  parseJobSearchFilters,
+  searchJobs
+};
@@ -0,0 +1,41 @@
+/**
+ * jobTemplateService.js
+ *
+ * Copying job content between postings and company job templates, used by
+ * "duplicate this job", "save as template" and "new draft from template".
+ */
+
+const { normalizeScreeningQuestions } = require('./screeningService');
+
+const JOB_CONTENT_FIELDS = ['title', 'description', 'requirements', 'location', 'countryId', 'jobType', 'salaryRange', 'salary'];
+
+/**
+ * Reusable content of a job posting or template. Deadlines, status and review
+ * history are deliberately left out; screening questions get fresh ids.
+ */
+const pickJobContent = (source) => {
+  const plain = typeof source.toObject === 'function' ? source.toObject() : source;
+  const content = {};
+
+  JOB_CONTENT_FIELDS.forEach((field) => {
+    content[field] = plain[field] ?? null;
+  });
+
+  content.screeningQuestions = normalizeScreeningQuestions(plain.screeningQuestions || []);
+
+  return content;
+};
+
+const formatJobTemplate = (template) => ({
+  id: template._id.toString(),
+  name: template.name,
+  ...pickJobContent(template),
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+module.exports = {
+  JOB_CONTENT_FIELDS,
+  pickJobContent,
+  formatJobTemplate
+};
@@ -0,0 +1,351 @@
+/**
+ * matchScoreService.js
+ *
+ * Deterministic job-to-candidate fit score (0-100) for company application listings.
+ * The same job, profile and reference date always produce the same score, and every
+ * point is attributed to one criterion so companies can see why a candidate ranks where
+ * they do:
+ *   - skills (40): profile skills mentioned in the job title, description or requirements
+ *   - experience (25): years of experience against any "N+ years" requirement, plus
+ *     how closely past job titles match the posting
+ *   - education (15): degree or field of study mentioned in the posting
+ *   - location (10): candidate location against the job location or country
+ *   - availability (10): candidate start date against the application deadline
+ *
+ * Scores are stored on the application so listings can sort and filter on them in
+ * MongoDB. They are refreshed when the student applies, when they edit their
+ * profile and when the job's deadline moves; anything scored before that (or
+ * never) is filled in the first time a listing needs it.
+ */
+
+const mongoose = require('mongoose');
+const ZoneCountry = require('../models/ZoneCountry');
+const Application = require('../models/Application');
+const { escapeRegex } = require('../utils/regex');
+
+const MATCH_WEIGHTS = {
+  skills: 40,
+  experience: 25,
+  education: 15,
+  location: 10,
+  availability: 10
+};
+
+const APPLICATION_SORTS = ['priority', 'matchScore'];
+
+// Mentioning this many of the candidate's skills is treated as a full skills match
+const SKILL_TARGET = 5;
+
+// A start date this soon after the deadline still earns half the availability points
+const AVAILABILITY_GRACE_DAYS = 30;
+
+// Job types where the candidate's location does not matter
+const LOCATION_INDEPENDENT_JOB_TYPES = ['Freelance', 'Project'];
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'our', 'you', 'your', 'are', 'will', 'from', 'this', 'that',
+  'have', 'has', 'who', 'all', 'any', 'can', 'not', 'job', 'role', 'work', 'team', 'senior',
+  'junior', 'lead', 'intern', 'trainee', 'assistant'
+]);
+
+const normalizeText = (value) => String(value || '').toLowerCase();
+
+const tokenize = (value) =>
+  new Set(
+    normalizeText(value)
+      .split(/[^a-z0-9+#]+/)
+      .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+  );
+
+// Whole-phrase match so "java" does not match "javascript"
+const mentions = (text, phrase) => {
+  const needle = normalizeText(phrase).trim();
+  if (!needle) {
+    return false;
+  }
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(needle)}($|[^a-z0-9])`).test(text);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const parseRequiredYears = (text) => {
+  const match = text.match(/(\d{1,2})\s*\+?\s*(?:years?|yrs?)/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const getExperienceYears = (experience, now) =>
+  experience.reduce((total, entry) => {
+    if (!entry.startDate) {
+      return total;
+    }
+    const start = new Date(entry.startDate).getTime();
+    const end = entry.endDate ? new Date(entry.endDate).getTime() : now.getTime();
+    return end > start ? total + (end - start) / MS_PER_YEAR : total;
+  }, 0);
+
+const scoreSkills = (student, jobText) => {
+  const skills = (student.skills || []).filter((skill) => skill && skill.trim());
+
+  if (!skills.length) {
+    return { ratio: 0, detail: 'No skills listed on the profile' };
+  }
+
+  const matched = skills.filter((skill) => mentions(jobText, skill));
+  const ratio = Math.min(1, matched.length / Math.min(skills.length, SKILL_TARGET));
+
+  return {
+    ratio,
+    matched,
+    detail: matched.length
+      ? `Mentioned in the posting: ${matched.join(', ')}`
+      : 'None of the profile skills are mentioned in the posting'
+  };
+};
+
+const scoreExperience = (student, job, jobText, now) => {
+  const experience = student.experience || [];
+  const years = round(getExperienceYears(experience, now));
+  const requiredYears = parseRequiredYears(normalizeText(job.requirements));
+
+  const jobTitleWords = tokenize(job.title);
+  const relevantTitles = experience
+    .map((entry) => entry.title)
+    .filter((title) => title && [...tokenize(title)].some((word) => jobTitleWords.has(word) || mentions(jobText, word)));
+
+  let titleRatio = 0;
+  if (relevantTitles.length) {
+    titleRatio = 1;
+  } else if (experience.length) {
+    titleRatio = 0.5;
+  }
+
+  // Internships are entry-level unless the posting explicitly asks for experience
+  if (job.jobType === 'Internship' && !requiredYears) {
+    return { ratio: 1, years, requiredYears, detail: 'No prior experience required for an internship' };
+  }
+
+  if (requiredYears) {
+    const yearsRatio = Math.min(1, years / requiredYears);
+    return {
+      ratio: (yearsRatio + titleRatio) / 2,
+      years,
+      requiredYears,
+      relevantTitles,
+      detail: `${years} of ${requiredYears} required years${relevantTitles.length ? `; related roles: ${relevantTitles.join(', ')}` : ''}`
+    };
+  }
+
+  return {
+    ratio: titleRatio,
+    years,
+    requiredYears: null,
+    relevantTitles,
+    detail: relevantTitles.length
+      ? `Related roles: ${relevantTitles.join(', ')}`
+      : experience.length ? 'Has experience, but not in a related role' : 'No experience listed on the profile'
+  };
+};
+
+const scoreEducation = (student, jobText) => {
+  const education = student.education || [];
+
+  if (!education.length) {
+    return { ratio: 0, detail: 'No education listed on the profile' };
+  }
+
+  const relevant = education.filter((entry) =>
+    [entry.degree, entry.field].some((value) => value && mentions(jobText, value))
+  );
+
+  if (relevant.length) {
+    const labels = relevant.map((entry) => [entry.degree, entry.field].filter(Boolean).join(' in '));
+    return { ratio: 1, detail: `Mentioned in the posting: ${labels.join(', ')}` };
+  }
+
+  return { ratio: 0.5, detail: 'Education listed, but not mentioned in the posting' };
+};
+
+const scoreLocation = (student, job, countryName) => {
+  if (LOCATION_INDEPENDENT_JOB_TYPES.includes(job.jobType)) {
+    return { ratio: 1, detail: `${job.jobType} roles are location independent` };
+  }
+
+  const jobPlaces = [job.location, countryName].filter((value) => value && value.trim());
+
+  if (!jobPlaces.length) {
+    return { ratio: 1, detail: 'The posting has no location requirement' };
+  }
+
+  if (!student.location) {
+    return { ratio: 0, detail: 'No location on the profile' };
+  }
+
+  const studentLocation = normalizeText(student.location);
+  const matchedPlace = jobPlaces.find((place) =>
+    mentions(studentLocation, place) || mentions(normalizeText(place), studentLocation)
+  );
+
+  return matchedPlace
+    ? { ratio: 1, detail: `Based in ${matchedPlace}` }
+    : { ratio: 0, detail: `Based in ${student.location}, job is in ${jobPlaces.join(', ')}` };
+};
+
+const scoreAvailability = (student, job, now) => {
+  if (!student.availableFrom) {
+    return { ratio: 1, detail: 'Available now' };
+  }
+
+  const availableFrom = new Date(student.availableFrom);
+  const reference = job.deadline && new Date(job.deadline) > now ? new Date(job.deadline) : now;
+  const availableOn = availableFrom.toISOString().slice(0, 10);
+
+  if (availableFrom <= reference) {
+    return { ratio: 1, detail: `Available from ${availableOn}` };
+  }
+
+  const daysLate = Math.ceil((availableFrom - reference) / MS_PER_DAY);
+
+  return daysLate <= AVAILABILITY_GRACE_DAYS
+    ? { ratio: 0.5, detail: `Available from ${availableOn}, ${daysLate} days after the deadline` }
+    : { ratio: 0, detail: `Available from ${availableOn}, ${daysLate} days after the deadline` };
+};
+
+/**
+ * Score one candidate against one job.
+ *
+ * @param {object} job - JobPosting fields (title, description, requirements, jobType, location, deadline)
+ * @param {object} student - Student fields (skills, experience, education, availableFrom, location)
+ * @param {object} [context]
+ * @param {string|null} [context.countryName] - name of job.countryId, if any
+ * @param {Date} [context.now] - reference date for availability and ongoing experience
+ * @returns {{ score: number, breakdown: Array<{ criterion, weight, points, detail }> }}
+ */
+const computeMatchScore = (job, student, { countryName = null, now = new Date() } = {}) => {
+  const jobText = normalizeText([job.title, job.description, job.requirements].filter(Boolean).join('\n'));
+
+  const results = {
+    skills: scoreSkills(student, jobText),
+    experience: scoreExperience(student, job, jobText, now),
+    education: scoreEducation(student, jobText),
+    location: scoreLocation(student, job, countryName),
+    availability: scoreAvailability(student, job, now)
+  };
+
+  const breakdown = Object.entries(MATCH_WEIGHTS).map(([criterion, weight]) => ({
+    criterion,
+    weight,
+    points: round(results[criterion].ratio * weight),
+    detail: results[criterion].detail
+  }));
+
+  return {
+    score: Math.round(breakdown.reduce((total, entry) => total + entry.points, 0)),
+    breakdown
+  };
+};
+
+/**
+ * Validate ?sort= and ?minScore= for application listings.
+ * Returns { options, error } — error is a client-facing message when invalid.
+ */
+const parseMatchOptions = (query = {}) => {
+  const { sort, minScore } = query;
+
+  if (sort && !APPLICATION_SORTS.includes(sort)) {
+    return { options: null, error: `Sort must be one of: ${APPLICATION_SORTS.join(', ')}` };
+  }
+
+  let parsedMinScore = null;
+  if (minScore !== undefined && minScore !== '') {
+    parsedMinScore = Number(minScore);
+    if (!Number.isFinite(parsedMinScore) || parsedMinScore < 0 || parsedMinScore > 100) {
+      return { options: null, error: 'minScore must be a number between 0 and 100' };
+    }
+  }
+
+  return {
+    options: {
+      sort: sort || 'priority',
+      minScore: parsedMinScore
+    },
+    error: null
+  };
+};
+
+/**
+ * Resolve country names for the jobs' countryIds in one query.
+ */
+const getJobCountryNames = async (jobs) => {
+  const countryIds = [...new Set(
+    jobs
+      .map((job) => job.countryId)
+      .filter((id) => id && mongoose.Types.ObjectId.isValid(id))
+      .map((id) => id.toString())
+  )];
+
+  if (!countryIds.length) {
+    return new Map();
+  }
+
+  const countries = await ZoneCountry.find({ _id: { $in: countryIds } }).select('countryName').lean();
+  return new Map(countries.map((country) => [country._id.toString(), country.countryName]));
+};
+
+const SCORE_REFRESH_BATCH_SIZE = 500;
+
+/**
+ * Recompute and store matchScore/matchBreakdown for the applications matching
+ * `filter`. Resolves to a Map of application id -> { matchScore, matchBreakdown }.
+ */
+const refreshApplicationMatchScores = async (filter, now = new Date()) => {
+  const applicationIds = await Application.find(filter).distinct('_id');
+  const results = new Map();
+
+  for (let start = 0; start < applicationIds.length; start += SCORE_REFRESH_BATCH_SIZE) {
+    const applications = await Application.find({ _id: { $in: applicationIds.slice(start, start + SCORE_REFRESH_BATCH_SIZE) } })
+      .select('studentId jobPostingId')
+      .populate('studentId', 'skills experience education availableFrom location')
+      .populate('jobPostingId', 'title description requirements jobType location deadline countryId')
+      .lean();
+
+    const scorable = applications.filter((application) => application.studentId && application.jobPostingId);
+    const countryNames = await getJobCountryNames(scorable.map((application) => application.jobPostingId));
+
+    const operations = scorable.map((application) => {
+      const job = application.jobPostingId;
+      const { score, breakdown } = computeMatchScore(job, application.studentId, {
+        countryName: job.countryId ? countryNames.get(job.countryId.toString()) || null : null,
+        now
+      });
+
+      results.set(application._id.toString(), { matchScore: score, matchBreakdown: breakdown });
+
+      return {
+        updateOne: {
+          filter: { _id: application._id },
+          update: { $set: { matchScore: score, matchBreakdown: breakdown, matchScoredAt: now } }
+        }
+      };
+    });
+
+    if (operations.length) {
+      await Application.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  MATCH_WEIGHTS,
+  APPLICATION_SORTS,
+  normalizeText,
+  tokenize,
+  mentions,
+  computeMatchScore,
+  parseMatchOptions,
+  refreshApplicationMatchScores
+};
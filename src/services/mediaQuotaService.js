@@ -0,0 +1,175 @@
+/**
+ * mediaQuotaService.js
+ *
+ * Meters company access to a student's resume and intro video against the
+ * student's plan. Paid plans carry resumeDownloads / videoViews per purchase;
+ * the free tier uses the monthly SystemConfig limits. A null limit is unlimited.
+ *
+ * Quota counts distinct companies per period: a company that has already
+ * opened a student's resume can keep opening it without using more quota.
+ */
+
+const MediaAccess = require('../models/MediaAccess');
+const SystemConfig = require('../models/SystemConfig');
+const { CONFIG_KEYS } = require('../constants');
+const { checkSubscriptionStatus } = require('./subscriptionService');
+
+const MEDIA_QUOTAS = {
+  resume: {
+    planField: 'resumeDownloads',
+    configKey: CONFIG_KEYS.FREE_TIER_RESUME_DOWNLOADS,
+    exhaustedMessage: "This candidate's resume download limit has been reached for their current plan."
+  },
+  video: {
+    planField: 'videoViews',
+    configKey: CONFIG_KEYS.FREE_TIER_VIDEO_VIEWS,
+    exhaustedMessage: "This candidate's intro video view limit has been reached for their current plan."
+  }
+};
+
+const toLimit = (value) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(number) && number >= 0
+    ? Math.floor(number)
+    : null;
+};
+
+const startOfNextMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+/**
+ * Work out which quota period the student is in and the limits that apply.
+ *
+ * @returns {Promise<{ tier: string, periodKey: string, resetsAt: Date|null, limits: { resume: number|null, video: number|null } }>}
+ */
+const getMediaQuotaPeriod = async (studentId, now = new Date()) => {
+  const status = await checkSubscriptionStatus(studentId);
+  const plan = status.subscription?.serviceId;
+
+  if (status.tier === 'paid' && status.isActive && plan && plan.tier !== 'free') {
+    return {
+      tier: 'paid',
+      periodKey: `subscription:${status.subscription._id}`,
+      resetsAt: null,
+      limits: {
+        resume: toLimit(plan[MEDIA_QUOTAS.resume.planField]),
+        video: toLimit(plan[MEDIA_QUOTAS.video.planField])
+      }
+    };
+  }
+
+  const [resumeLimit, videoLimit] = await Promise.all([
+    SystemConfig.getValue(MEDIA_QUOTAS.resume.configKey, null),
+    SystemConfig.getValue(MEDIA_QUOTAS.video.configKey, null)
+  ]);
+
+  const month = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+
+  return {
+    tier: 'free',
+    periodKey: `free:${month}`,
+    resetsAt: startOfNextMonth(now),
+    limits: {
+      resume: toLimit(resumeLimit),
+      video: toLimit(videoLimit)
+    }
+  };
+};
+
+const buildUsageEntry = (used, limit, resetsAt) => ({
+  used,
+  limit,
+  remaining: limit === null ? null : Math.max(0, limit - used),
+  isUnlimited: limit === null,
+  resetsAt
+});
+
+/**
+ * Usage summary for dashboards.
+ */
+const getMediaUsage = async (studentId, period = null) => {
+  const quotaPeriod = period || await getMediaQuotaPeriod(studentId);
+
+  const [resumeUsed, videoUsed] = await Promise.all([
+    MediaAccess.countDocuments({ studentId, mediaType: 'resume', periodKey: quotaPeriod.periodKey }),
+    MediaAccess.countDocuments({ studentId, mediaType: 'video', periodKey: quotaPeriod.periodKey })
+  ]);
+
+  return {
+    tier: quotaPeriod.tier,
+    resumeDownloads: buildUsageEntry(resumeUsed, quotaPeriod.limits.resume, quotaPeriod.resetsAt),
+    videoViews: buildUsageEntry(videoUsed, quotaPeriod.limits.video, quotaPeriod.resetsAt)
+  };
+};
+
+/**
+ * Record one company access to a student's resume or video and decide whether
+ * it is allowed. Two companies racing for the last unit can both get through;
+ * the overshoot is at most the number of concurrent first views.
+ *
+ * @returns {Promise<{ allowed: boolean, used: number, limit: number|null, resetsAt: Date|null }>}
+ */
+const meterMediaAccess = async ({ studentId, companyId, mediaType, period }) => {
+  const now = new Date();
+  const limit = period.limits[mediaType];
+  const key = { studentId, companyId, mediaType, periodKey: period.periodKey };
+
+  const repeat = await MediaAccess.findOneAndUpdate(
+    key,
+    { $inc: { accessCount: 1 }, $set: { lastAccessedAt: now } }
+  );
+
+  const used = await MediaAccess.countDocuments({ studentId, mediaType, periodKey: period.periodKey });
+
+  if (repeat) {
+    return { allowed: true, used, limit, resetsAt: period.resetsAt };
+  }
+
+  if (limit !== null && used >= limit) {
+    return { allowed: false, used, limit, resetsAt: period.resetsAt };
+  }
+
+  try {
+    await MediaAccess.create({ ...key, firstAccessedAt: now, lastAccessedAt: now });
+  } catch (error) {
+    // Same company opened it twice at once; the other request already recorded it
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return { allowed: true, used: used + 1, limit, resetsAt: period.resetsAt };
+};
+
+/**
+ * Structured error in the same spirit as the applyToJob quota response.
+ */
+const buildQuotaExhaustedError = (mediaType, result) => ({
+  error: MEDIA_QUOTAS[mediaType].exhaustedMessage,
+  isQuotaExhausted: true,
+  mediaType,
+  used: result.used,
+  limit: result.limit,
+  resetsAt: result.resetsAt
+});
+
+/**
+ * Distinct student resumes and videos a company has opened this calendar month.
+ */
+const getCompanyMediaAccessCounts = async (companyId, now = new Date()) => {
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const [resumeDownloads, videoViews] = await Promise.all([
+    MediaAccess.countDocuments({ companyId, mediaType: 'resume', firstAccessedAt: { $gte: monthStart } }),
+    MediaAccess.countDocuments({ companyId, mediaType: 'video', firstAccessedAt: { $gte: monthStart } })
+  ]);
+
+  return { resumeDownloads, videoViews, since: monthStart };
+};
+
+module.exports = {
+  getMediaQuotaPeriod,
+  getMediaUsage,
+  meterMediaAccess,
+  buildQuotaExhaustedError,
+  getCompanyMediaAccessCounts
+};
@@ -1,5 +1,5 @@
 const crypto = require('crypto');
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 
 const BUCKETEER_AWS_REGION = process.env.BUCKETEER_AWS_REGION;
@@ -9,6 +9,7 @@ let s3Client;
 
 const MAX_RESUME_BYTES = 5 * 1024 * 1024;
 const MAX_VIDEO_BYTES = 30 * 1024 * 1024;
+const MAX_OFFER_LETTER_BYTES = 5 * 1024 * 1024;
 const PRESIGNED_URL_EXPIRY = 3600; // 1 hour
 
 const getS3Client = () => {
@@ -72,6 +73,21 @@ const getPresignedUrl = async (key) => {
   return getSignedUrl(client, command, { expiresIn: PRESIGNED_URL_EXPIRY });
 };
 
+// Used to clean up an upload whose database write failed
+const deleteMediaObject = async (key) => {
+  if (!key) {
+    return;
+  }
+
+  assertBucketConfigured();
+  const client = getS3Client();
+
+  await client.send(new DeleteObjectCommand({
+    Bucket: BUCKETEER_BUCKET_NAME,
+    Key: key
+  }));
+};
+
 const uploadCompanyLogo = async (file) => {
   if (!file?.buffer) {
     throw new Error('Missing file buffer');
@@ -169,9 +185,44 @@ const uploadStudentVideo = async (file, studentId) => {
   return key;
 };
 
+const uploadOfferLetter = async (file, applicationId) => {
+  if (!file?.buffer) {
+    throw new Error('Missing file buffer');
+  }
+
+  if (!applicationId) {
+    throw new Error('Application ID is required for offer letter upload');
+  }
+
+  assertBucketConfigured();
+
+  if (file.size > MAX_OFFER_LETTER_BYTES) {
+    throw new Error('Offer letter exceeds maximum size');
+  }
+
+  if (!isPdfBuffer(file.buffer)) {
+    throw new Error('Offer letter must be a valid PDF');
+  }
+
+  const client = getS3Client();
+  const key = `offer-letters/${applicationId}/${crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex')}.pdf`;
+
+  const command = new PutObjectCommand({
+    Bucket: BUCKETEER_BUCKET_NAME,
+    Key: key,
+    Body: file.buffer,
+    ContentType: 'application/pdf'
+  });
+
+  await client.send(command);
+  return key;
+};
+
 module.exports = {
   uploadCompanyLogo,
   uploadStudentResume,
   uploadStudentVideo,
-  getPresignedUrl
+  uploadOfferLetter,
+  getPresignedUrl,
+  deleteMediaObject
 };
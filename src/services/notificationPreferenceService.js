@@ -10,7 +10,9 @@ const EMAIL_NOTIFICATION_TYPES = {
   APPLICATION_REJECTED: 'application_rejected',
   APPLICATION_HIRED: 'application_hired',
   COMPANY_APPROVED: 'company_approved',
-  COMPANY_REJECTED: 'company_rejected'
+  COMPANY_REJECTED: 'company_rejected',
+  SAVED_SEARCH_ALERT: 'saved_search_alert',
+  INTERVIEW_UPDATE: 'interview_update'
 };
 
 const shouldSendEmail = async ({ userId, emailType, channel = NOTIFICATION_CHANNELS.EMAIL }) => {
@@ -8,6 +8,7 @@
 
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const CompanyMember = require('../models/CompanyMember');
 
 // ─── Low-level helpers ─────────────────────────────────────────────────────
 
@@ -39,6 +40,56 @@ const createNotification = async (data) => {
   }
 };
 
+// Viewers are read-only, so only people who can act on an update are notified
+const COMPANY_NOTIFICATION_ROLES = ['owner', 'recruiter'];
+
+/**
+ * Active owners and recruiters of a company. The primary user is always
+ * included, which also covers companies registered before teams existed.
+ */
+const getCompanyRecipientIds = async (company) => {
+  const primaryUserId = company.userId._id || company.userId;
+  const recipientIds = new Map([[primaryUserId.toString(), primaryUserId]]);
+
+  try {
+    const memberUserIds = await CompanyMember.find({
+      companyId: company._id,
+      status: 'active',
+      role: { $in: COMPANY_NOTIFICATION_ROLES }
+    }).distinct('userId');
+
+    memberUserIds
+      .filter(Boolean)
+      .forEach((userId) => recipientIds.set(userId.toString(), userId));
+  } catch (error) {
+    console.error('[notificationService] Failed to fetch company team recipients', {
+      error: error.message,
+      companyId: company._id
+    });
+  }
+
+  return [...recipientIds.values()];
+};
+
+/**
+ * Send the same company notification to everyone on the team who should see it.
+ *
+ * @param {{ _id: ObjectId, userId: ObjectId }|null} company
+ */
+const notifyCompanyTeam = async (company, data) => {
+  if (!company?.userId) {
+    return [];
+  }
+
+  const recipientIds = await getCompanyRecipientIds(company);
+
+  return Promise.all(
+    recipientIds.map((recipientId) =>
+      createNotification({ ...data, recipientId, recipientType: 'company' })
+    )
+  );
+};
+
 // ─── Application notifications ─────────────────────────────────────────────
 
 /**
@@ -115,15 +166,119 @@ const notifyApplicationInterviewScheduled = (studentUserId, { jobTitle, companyN
   });
 };
 
-const notifyApplicationOfferExtended = (studentUserId, { jobTitle, companyName }) =>
+/**
+ * Student: an interview round was moved to a new time.
+ */
+const notifyInterviewRescheduled = (studentUserId, { jobTitle, companyName, interviewDate }) => {
+  const interviewDateTime = formatInterviewDateTime(interviewDate);
+  const interviewSuffix = interviewDateTime ? ` New time: ${interviewDateTime}.` : '';
+
+  return createNotification({
+    recipientId: studentUserId,
+    recipientType: 'student',
+    type: 'interview_rescheduled',
+    title: 'Interview rescheduled',
+    message: `Your interview for "${jobTitle}" at ${companyName} has been rescheduled.${interviewSuffix}`,
+    link: `/my-applications`
+  });
+};
+
+/**
+ * Student: an interview round was cancelled.
+ */
+const notifyInterviewCancelled = (studentUserId, { jobTitle, companyName, reason }) => {
+  const reasonSuffix = reason ? ` Reason: ${reason}` : '';
+
+  return createNotification({
+    recipientId: studentUserId,
+    recipientType: 'student',
+    type: 'interview_cancelled',
+    title: 'Interview cancelled',
+    message: `Your interview for "${jobTitle}" at ${companyName} has been cancelled.${reasonSuffix}`,
+    link: `/my-applications`
+  });
+};
+
+/**
+ * Student: the company published interview times they can pick from.
+ */
+const notifyInterviewSlotsAvailable = (studentUserId, { jobTitle, companyName }) =>
   createNotification({
+    recipientId: studentUserId,
+    recipientType: 'student',
+    type: 'interview_slots_available',
+    title: 'Pick your interview time',
+    message: `${companyName} has published interview slots for "${jobTitle}". Choose a time that works for you.`,
+    link: `/my-applications`
+  });
+
+/**
+ * Company: a candidate booked one of their published interview slots.
+ */
+const notifyInterviewSlotBooked = (company, { jobTitle, studentName, interviewDate }) => {
+  const interviewDateTime = formatInterviewDateTime(interviewDate);
+  const interviewSuffix = interviewDateTime ? ` for ${interviewDateTime}` : '';
+
+  return notifyCompanyTeam(company, {
+    type: 'interview_slot_booked',
+    title: 'Interview slot booked',
+    message: `${studentName} booked an interview${interviewSuffix} for the "${jobTitle}" role.`,
+    link: `/applications`
+  });
+};
+
+const notifyApplicationOfferExtended = (studentUserId, { jobTitle, companyName, expiresAt }) => {
+  const expiryDateTime = formatInterviewDateTime(expiresAt);
+  const expirySuffix = expiryDateTime
+    ? ` Please accept or decline before ${expiryDateTime}.`
+    : ' Check your email for details.';
+
+  return createNotification({
     recipientId: studentUserId,
     recipientType: 'student',
     type: 'application_offer_extended',
     title: 'Offer extended',
-    message: `You have received an offer for "${jobTitle}" at ${companyName}. Check your email for details.`,
+    message: `You have received an offer for "${jobTitle}" at ${companyName}.${expirySuffix}`,
     link: `/my-applications`
   });
+};
+
+/**
+ * Company: the candidate responded to an offer.
+ */
+const notifyOfferResponded = (company, { jobTitle, studentName, accepted }) =>
+  notifyCompanyTeam(company, {
+    type: accepted ? 'offer_accepted' : 'offer_declined',
+    title: accepted ? 'Offer accepted' : 'Offer declined',
+    message: accepted
+      ? `${studentName} accepted your offer for the "${jobTitle}" role.`
+      : `${studentName} declined your offer for the "${jobTitle}" role.`,
+    link: `/applications`
+  });
+
+/**
+ * Student and company: an offer passed its expiry without a response.
+ * `recipient` is the student's user id, or the company for recipientType 'company'.
+ */
+const notifyOfferLapsed = (recipient, { recipientType, jobTitle, companyName, studentName }) => {
+  if (recipientType === 'company') {
+    return notifyCompanyTeam(recipient, {
+      type: 'offer_lapsed',
+      title: 'Offer expired',
+      message: `Your offer to ${studentName} for the "${jobTitle}" role expired without a response.`,
+      link: `/applications`
+    });
+  }
+
+  return createNotification({
+    recipientId: recipient,
+    recipientType,
+    type: 'offer_lapsed',
+    title: 'Offer expired',
+    message: `Your offer for "${jobTitle}" at ${companyName} has expired.`,
+    link: `/my-applications`
+  });
+};
 
 /**
  * Student: company hired them.
@@ -141,35 +296,74 @@ const notifyApplicationHired = (studentUserId, { jobTitle, companyName }) =>
 /**
  * Company: a new application was received for one of their jobs.
  */
-const notifyApplicationReceived = (companyUserId, { jobTitle, studentName, applicationId }) =>
-  createNotification({
-    recipientId: companyUserId,
-    recipientType: 'company',
+const notifyApplicationReceived = (company, { jobTitle, studentName, applicationId }) =>
+  notifyCompanyTeam(company, {
     type: 'application_received',
     title: 'New application received',
     message: `${studentName} has applied for the "${jobTitle}" role.`,
     link: `/applications`
   });
 
-const notifyJobApproved = (companyUserId, { jobTitle }) =>
-  createNotification({
-    recipientId: companyUserId,
-    recipientType: 'company',
+const notifyJobApproved = (company, { jobTitle }) =>
+  notifyCompanyTeam(company, {
     type: 'job_approved',
     title: 'Job posting approved',
     message: `Your job posting "${jobTitle}" has been approved and is now live.`,
     link: `/company/jobs`
   });
 
+/**
+ * Company: a job reached its deadline and was closed automatically.
+ */
+const notifyJobExpired = (company, { jobTitle }) =>
+  notifyCompanyTeam(company, {
+    type: 'job_expired',
+    title: 'Job posting expired',
+    message: `Your job posting "${jobTitle}" reached its deadline and is no longer accepting applications. Extend the deadline to reopen it.`,
+    link: `/company/jobs`
+  });
+
+// ─── Saved search notifications ────────────────────────────────────────────
+
+/**
+ * Student: one or more newly approved jobs match a saved search.
+ */
+const notifySavedSearchMatch = (studentUserId, { searchName, jobTitle, jobId, matchCount = 1 }) => {
+  const isSingle = matchCount === 1;
+  return createNotification({
+    recipientId: studentUserId,
+    recipientType: 'student',
+    type: 'saved_search_match',
+    title: isSingle ? 'New job matches your saved search' : 'New jobs match your saved search',
+    message: isSingle
+      ? `"${jobTitle}" matches your saved search "${searchName}".`
+      : `${matchCount} new jobs match your saved search "${searchName}".`,
+    link: isSingle && jobId ? `/jobs/${jobId}` : `/jobs`
+  });
+};
+
+/**
+ * Student: a bookmarked job closes for applications soon.
+ */
+const notifySavedJobDeadlineReminder = (studentUserId, { jobTitle, companyName, jobId, deadline }) => {
+  const companySuffix = companyName ? ` at ${companyName}` : '';
+  return createNotification({
+    recipientId: studentUserId,
+    recipientType: 'student',
+    type: 'saved_job_deadline_reminder',
+    title: 'Saved job closing soon',
+    message: `Applications for "${jobTitle}"${companySuffix} close on ${new Date(deadline).toUTCString()}.`,
+    link: `/jobs/${jobId}`
+  });
+};
+
 // ─── Company registration notifications ────────────────────────────────────
 
 /**
  * Company: their registration was approved by admin.
  */
-const notifyCompanyApproved = (companyUserId, { companyName }) =>
-  createNotification({
-    recipientId: companyUserId,
-    recipientType: 'company',
+const notifyCompanyApproved = (company, { companyName }) =>
+  notifyCompanyTeam(company, {
     type: 'company_approved',
     title: 'Company registration approved',
     message: `${companyName} has been approved. You can now post jobs and review applicants.`,
@@ -179,12 +373,10 @@ const notifyCompanyApproved = (companyUserId, { companyName }) =>
 /**
  * Company: their registration was rejected by admin.
  */
-const notifyCompanyRejected = (companyUserId, { companyName, reason, rejectionReason }) => {
+const notifyCompanyRejected = (company, { companyName, reason, rejectionReason }) => {
   const rejectionDetails = rejectionReason || reason;
   const reasonSuffix = rejectionDetails ? ` Reason: ${rejectionDetails}` : '';
-  return createNotification({
-    recipientId: companyUserId,
-    recipientType: 'company',
+  return notifyCompanyTeam(company, {
     type: 'company_rejected',
     title: 'Company registration not approved',
     message: `Registration for ${companyName} was not approved.${reasonSuffix}`,
@@ -409,6 +601,34 @@ const notifyAdminsApplicationWithdrawn = async ({ studentName, jobTitle, applica
   }
 };
 
+// ─── Talent directory notifications ────────────────────────────────────────
+
+/**
+ * Student: a company found them in the talent directory and wants to connect.
+ */
+const notifyContactRequestReceived = (studentUserId, { companyName }) =>
+  createNotification({
+    recipientId: studentUserId,
+    recipientType: 'student',
+    type: 'contact_request_received',
+    title: 'New contact request',
+    message: `${companyName} would like to connect with you about opportunities.`,
+    link: `/contact-requests`
+  });
+
+/**
+ * Company: a student answered their contact request.
+ */
+const notifyContactRequestResponded = (company, { studentName, accepted }) =>
+  notifyCompanyTeam(company, {
+    type: accepted ? 'contact_request_accepted' : 'contact_request_declined',
+    title: accepted ? 'Contact request accepted' : 'Contact request declined',
+    message: accepted
+      ? `${studentName} accepted your contact request. Their full profile is now available.`
+      : 'A candidate declined your contact request.',
+    link: `/talent`
+  });
+
 // ─── Exports ───────────────────────────────────────────────────────────────
 
 module.exports = {
@@ -417,10 +637,21 @@ module.exports = {
   notifyApplicationApproved,
   notifyApplicationRejected,
   notifyApplicationInterviewScheduled,
+  notifyInterviewRescheduled,
+  notifyInterviewCancelled,
+  notifyInterviewSlotsAvailable,
+  notifyInterviewSlotBooked,
   notifyApplicationOfferExtended,
+  notifyOfferResponded,
+  notifyOfferLapsed,
+  notifyContactRequestReceived,
+  notifyContactRequestResponded,
   notifyApplicationHired,
   notifyApplicationReceived,
   notifyJobApproved,
+  notifyJobExpired,
+  notifySavedSearchMatch,
+  notifySavedJobDeadlineReminder,
   notifyCompanyApproved,
   notifyCompanyRejected,
   notifyAdminsNewCompanyPending,
@@ -0,0 +1,152 @@
+/**
+ * offerService.js
+ *
+ * Structured job offers: response shaping (with a presigned letter URL) and
+ * lapsing offers that pass their expiry without an answer from the student.
+ */
+
+const Application = require('../models/Application');
+const notificationService = require('./notificationService');
+const { buildStatusHistoryEntry } = require('./applicationService');
+const { getPresignedUrl } = require('./mediaService');
+
+const getOfferLetterUrl = async (offer) => {
+  if (!offer?.letterKey) {
+    return null;
+  }
+
+  try {
+    return await getPresignedUrl(offer.letterKey);
+  } catch (error) {
+    console.error('[offerService] Failed to sign offer letter URL', { error: error.message });
+    return null;
+  }
+};
+
+const formatOffer = async (application) => {
+  const { offer } = application;
+
+  if (!offer) {
+    return null;
+  }
+
+  return {
+    applicationId: application._id.toString(),
+    salary: offer.salary,
+    currency: offer.currency,
+    startDate: offer.startDate,
+    expiresAt: offer.expiresAt,
+    details: application.offerDetails || null,
+    letterUrl: await getOfferLetterUrl(offer),
+    hasLetter: Boolean(offer.letterKey),
+    status: offer.status,
+    declineReason: offer.declineReason,
+    extendedAt: offer.extendedAt,
+    respondedAt: offer.respondedAt
+  };
+};
+
+const isOfferExpired = (offer, now = new Date()) =>
+  Boolean(offer?.expiresAt) && new Date(offer.expiresAt) <= now;
+
+/**
+ * Lapse one application's pending offer. The conditional update means a
+ * student response that lands first wins. Returns the updated application
+ * (jobPostingId and studentId populated) or null if nothing changed.
+ */
+const lapseOffer = async (applicationId, now = new Date()) => {
+  const application = await Application.findOneAndUpdate(
+    {
+      _id: applicationId,
+      status: 'offer_extended',
+      'offer.status': 'pending',
+      'offer.expiresAt': { $lte: now }
+    },
+    {
+      $set: {
+        status: 'rejected',
+        rejectionSource: 'system',
+        rejectionReason: 'Offer expired without a response',
+        reviewedAt: now,
+        'offer.status': 'lapsed',
+        'offer.respondedAt': now
+      },
+      $push: {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: 'offer_extended',
+          toStatus: 'rejected',
+          actorType: 'system',
+          reason: 'Offer expired without a response',
+          changedAt: now
+        })
+      }
+    },
+    { returnDocument: 'after' }
+  )
+    .populate({
+      path: 'jobPostingId',
+      select: 'title companyId',
+      populate: { path: 'companyId', select: 'name userId' }
+    })
+    .populate('studentId', 'fullName userId');
+
+  if (!application) {
+    return null;
+  }
+
+  const jobTitle = application.jobPostingId?.title || 'Job Posting';
+  const company = application.jobPostingId?.companyId;
+
+  notificationService
+    .notifyOfferLapsed(application.studentId?.userId, {
+      recipientType: 'student',
+      jobTitle,
+      companyName: company?.name
+    })
+    .catch((error) => console.error('Notification error (offer lapsed, student):', error));
+
+  notificationService
+    .notifyOfferLapsed(company, {
+      recipientType: 'company',
+      jobTitle,
+      studentName: application.studentId?.fullName
+    })
+    .catch((error) => console.error('Notification error (offer lapsed, company):', error));
+
+  return application;
+};
+
+/**
+ * Lapse every pending offer whose expiry has passed.
+ */
+const lapseExpiredOffers = async (now = new Date()) => {
+  const expired = await Application.find({
+    status: 'offer_extended',
+    'offer.status': 'pending',
+    'offer.expiresAt': { $lte: now }
+  }).select('_id');
+
+  let lapsed = 0;
+
+  for (const { _id: applicationId } of expired) {
+    try {
+      if (await lapseOffer(applicationId, now)) {
+        lapsed += 1;
+      }
+    } catch (error) {
+      console.error('[offerService] Failed to lapse offer', {
+        error: error.message,
+        applicationId: applicationId.toString()
+      });
+    }
+  }
+
+  return { lapsed };
+};
+
+module.exports = {
+  formatOffer,
+  isOfferExpired,
+  lapseOffer,
+  lapseExpiredOffers
+};
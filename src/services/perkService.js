@@ -0,0 +1,85 @@
+/**
+ * perkService.js
+ *
+ * Paid plan perks that change how candidates are ranked:
+ *   - profileBoost: the student ranks higher in company and admin listings
+ *   - applicationHighlight: the student's applications sort first for companies
+ *
+ * Perks are read live from the student's current subscription, so they stop
+ * as soon as it is exhausted, cancelled or expired.
+ */
+
+const PERK_SUBSCRIPTION_STATUS = 'active';
+
+/**
+ * Aggregation stages that add `isBoosted` and `isHighlighted` to each document.
+ *
+ * @param {string} subscriptionIdPath - path to the student's currentSubscriptionId,
+ *   e.g. '$student.currentSubscriptionId' in application pipelines
+ */
+const buildPerkStages = (subscriptionIdPath = '$student.currentSubscriptionId') => {
+  const now = new Date();
+
+  return [
+    {
+      $lookup: {
+        from: 'activesubscriptions',
+        let: { subscriptionId: subscriptionIdPath },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$_id', '$$subscriptionId'] },
+                  { $eq: ['$status', PERK_SUBSCRIPTION_STATUS] },
+                  { $gte: [{ $ifNull: ['$endDate', now] }, now] }
+                ]
+              }
+            }
+          },
+          {
+            $lookup: {
+              from: 'availableservices',
+              localField: 'serviceId',
+              foreignField: '_id',
+              as: 'plan'
+            }
+          },
+          { $unwind: '$plan' },
+          {
+            $project: {
+              profileBoost: '$plan.profileBoost',
+              applicationHighlight: '$plan.applicationHighlight'
+            }
+          }
+        ],
+        as: 'perkSubscription'
+      }
+    },
+    {
+      $addFields: {
+        isBoosted: { $eq: [{ $arrayElemAt: ['$perkSubscription.profileBoost', 0] }, true] },
+        isHighlighted: { $eq: [{ $arrayElemAt: ['$perkSubscription.applicationHighlight', 0] }, true] }
+      }
+    },
+    { $unset: 'perkSubscription' }
+  ];
+};
+
+/**
+ * Perk flags for a single populated subscription (ActiveSubscription with serviceId).
+ */
+const getSubscriptionPerks = (subscription, now = new Date()) => {
+  const isLive = subscription?.status === PERK_SUBSCRIPTION_STATUS
+    && (!subscription.endDate || new Date(subscription.endDate) >= now);
+
+  return {
+    profileBoost: Boolean(isLive && subscription.serviceId?.profileBoost),
+    applicationHighlight: Boolean(isLive && subscription.serviceId?.applicationHighlight)
+  };
+};
+
+module.exports = {
+  buildPerkStages,
+  getSubscriptionPerks
+};
@@ -0,0 +1,125 @@
+/**
+ * recommendationService.js
+ *
+ * Recommended jobs feed for students. Open, approved jobs the student has not
+ * applied to are ranked by how well they overlap with the profile (skills,
+ * experience titles, location) and with the job types the student has applied
+ * to before. Every recommended job carries the reasons it earned its points.
+ */
+
+const JobPosting = require('../models/JobPosting');
+const Application = require('../models/Application');
+const { normalizeText, tokenize, mentions } = require('./matchScoreService');
+
+const RECOMMENDATION_POINTS = {
+  skill: 10,
+  maxSkills: 40,
+  experience: 20,
+  location: 15,
+  jobType: 15
+};
+
+// Newest open jobs considered per request; keeps scoring in memory bounded
+const CANDIDATE_POOL_SIZE = 500;
+
+/**
+ * Job types of the student's past applications, most frequent first.
+ */
+const getAppliedJobTypes = (applications) => {
+  const counts = new Map();
+
+  applications.forEach((application) => {
+    const jobType = application.jobPostingId?.jobType;
+    if (jobType) {
+      counts.set(jobType, (counts.get(jobType) || 0) + 1);
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Score one job for a student. Returns { score, reasons }.
+ */
+const scoreJobForStudent = (job, student, appliedJobTypes) => {
+  const jobText = normalizeText([job.title, job.description, job.requirements].filter(Boolean).join('\n'));
+  const reasons = [];
+  let score = 0;
+
+  const matchedSkills = (student.skills || []).filter((skill) => skill && mentions(jobText, skill));
+  if (matchedSkills.length) {
+    score += Math.min(RECOMMENDATION_POINTS.maxSkills, matchedSkills.length * RECOMMENDATION_POINTS.skill);
+    reasons.push({ type: 'skills', message: `Matches your skills: ${matchedSkills.join(', ')}` });
+  }
+
+  const jobTitleWords = tokenize(job.title);
+  const relatedTitle = (student.experience || [])
+    .map((entry) => entry.title)
+    .find((title) => title && [...tokenize(title)].some((word) => jobTitleWords.has(word)));
+  if (relatedTitle) {
+    score += RECOMMENDATION_POINTS.experience;
+    reasons.push({ type: 'experience', message: `Similar to your experience as ${relatedTitle}` });
+  }
+
+  const countryName = job.countryId?.countryName || null;
+  if (student.location) {
+    const studentLocation = normalizeText(student.location);
+    const matchedPlace = [job.location, countryName]
+      .filter((place) => place && place.trim())
+      .find((place) => mentions(studentLocation, place) || mentions(normalizeText(place), studentLocation));
+    if (matchedPlace) {
+      score += RECOMMENDATION_POINTS.location;
+      reasons.push({ type: 'location', message: `Located in ${matchedPlace}, near you` });
+    }
+  }
+
+  const appliedCount = job.jobType ? appliedJobTypes.get(job.jobType) || 0 : 0;
+  if (appliedCount) {
+    score += RECOMMENDATION_POINTS.jobType;
+    reasons.push({
+      type: 'jobType',
+      message: `You have applied to ${appliedCount} ${job.jobType} ${appliedCount === 1 ? 'job' : 'jobs'} before`
+    });
+  }
+
+  return { score, reasons };
+};
+
+/**
+ * Score open jobs the student has not applied to.
+ * Only jobs with at least one reason are returned, highest score first.
+ */
+const getRecommendedJobs = async (student) => {
+  const applications = await Application.find({ studentId: student._id })
+    .select('jobPostingId')
+    .populate('jobPostingId', 'jobType')
+    .lean();
+
+  const appliedJobIds = applications
+    .map((application) => application.jobPostingId?._id)
+    .filter(Boolean);
+  const appliedJobTypes = getAppliedJobTypes(applications);
+
+  const jobs = await JobPosting.find({
+    status: 'approved',
+    _id: { $nin: appliedJobIds },
+    deadline: { $not: { $lte: new Date() } }
+  })
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_POOL_SIZE)
+    .select('-screeningQuestions -rejectionReason -approvedAt -status')
+    .populate('companyId', 'name logo industry size website')
+    .populate('countryId', 'countryName zoneId')
+    .lean();
+
+  return jobs
+    .map((job) => ({ job, ...scoreJobForStudent(job, student, appliedJobTypes) }))
+    .filter((item) => item.reasons.length)
+    .sort((a, b) => b.score - a.score || new Date(b.job.createdAt) - new Date(a.job.createdAt));
+};
+
+module.exports = {
+  RECOMMENDATION_POINTS,
+  scoreJobForStudent,
+  getRecommendedJobs
+};
@@ -0,0 +1,208 @@
+/**
+ * resumeService.js
+ *
+ * Student resume library. Each upload becomes a named version; one version is
+ * the default and is mirrored onto Student.resumeUrl so profile completeness
+ * and older readers keep working. Deleting a version is a soft delete and the
+ * stored file is kept, because applications reference it by key.
+ */
+
+const mongoose = require('mongoose');
+
+const Student = require('../models/Student');
+const ResumeVersion = require('../models/ResumeVersion');
+const { uploadStudentResume, getPresignedUrl } = require('./mediaService');
+
+const MAX_RESUME_VERSIONS = 10;
+const LEGACY_RESUME_NAME = 'Resume';
+
+const signResumeKey = async (key) => {
+  if (!key) {
+    return null;
+  }
+
+  try {
+    return await getPresignedUrl(key);
+  } catch (error) {
+    console.error('[resumeService] Failed to sign resume URL', { error: error.message });
+    return null;
+  }
+};
+
+const formatResumeVersion = async (version) => ({
+  id: version._id.toString(),
+  name: version.name,
+  isDefault: version.isDefault,
+  url: await signResumeKey(version.key),
+  createdAt: version.createdAt
+});
+
+/**
+ * Students who uploaded before the library existed have a bare Student.resumeUrl.
+ * Turn it into their default version the first time the library is touched.
+ */
+const ensureLegacyResumeVersion = async (student) => {
+  if (!student.resumeUrl) {
+    return;
+  }
+
+  const hasVersions = await ResumeVersion.exists({ studentId: student._id });
+  if (hasVersions) {
+    return;
+  }
+
+  try {
+    await ResumeVersion.create({
+      studentId: student._id,
+      name: LEGACY_RESUME_NAME,
+      key: student.resumeUrl,
+      isDefault: true
+    });
+  } catch (error) {
+    // A concurrent request already migrated it
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+const getActiveResumeVersions = (studentId) =>
+  ResumeVersion.find({ studentId, deletedAt: null }).sort({ isDefault: -1, createdAt: -1 });
+
+const findActiveResumeVersion = (studentId, versionId) => {
+  if (!mongoose.Types.ObjectId.isValid(versionId)) {
+    return null;
+  }
+
+  return ResumeVersion.findOne({ _id: versionId, studentId, deletedAt: null });
+};
+
+const setDefaultResumeVersion = async (studentId, version) => {
+  await ResumeVersion.updateMany(
+    { studentId, isDefault: true, _id: { $ne: version._id } },
+    { $set: { isDefault: false } }
+  );
+
+  version.isDefault = true;
+  await version.save();
+
+  await Student.updateOne({ _id: studentId }, { $set: { resumeUrl: version.key } });
+
+  return version;
+};
+
+/**
+ * Upload a PDF as a new version. The first version, or one uploaded with
+ * makeDefault, becomes the default.
+ */
+const addResumeVersion = async (student, file, { name, makeDefault = false } = {}) => {
+  await ensureLegacyResumeVersion(student);
+
+  const activeCount = await ResumeVersion.countDocuments({ studentId: student._id, deletedAt: null });
+  if (activeCount >= MAX_RESUME_VERSIONS) {
+    const error = new Error(`You can keep at most ${MAX_RESUME_VERSIONS} resumes. Delete one to upload another.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const key = await uploadStudentResume(file);
+
+  const version = await ResumeVersion.create({
+    studentId: student._id,
+    name: name || `${LEGACY_RESUME_NAME} ${activeCount + 1}`,
+    key
+  });
+
+  if (makeDefault || activeCount === 0) {
+    await setDefaultResumeVersion(student._id, version);
+  }
+
+  return version;
+};
+
+/**
+ * Soft delete a version. If it was the default, the newest remaining version
+ * takes over; with none left the profile has no resume.
+ */
+const deleteResumeVersion = async (studentId, version) => {
+  const wasDefault = version.isDefault;
+
+  version.deletedAt = new Date();
+  version.isDefault = false;
+  await version.save();
+
+  if (!wasDefault) {
+    return null;
+  }
+
+  const nextDefault = await ResumeVersion.findOne({ studentId, deletedAt: null }).sort({ createdAt: -1 });
+
+  if (nextDefault) {
+    return setDefaultResumeVersion(studentId, nextDefault);
+  }
+
+  await Student.updateOne({ _id: studentId }, { $set: { resumeUrl: null } });
+  return null;
+};
+
+/**
+ * Pick the resume to attach to an application: the requested version, else
+ * the default, else whatever is on the profile.
+ *
+ * @returns {Promise<{ resumeVersionId: ObjectId|null, resumeKey: string|null, error?: string }>}
+ */
+const resolveApplicationResume = async (student, resumeVersionId) => {
+  if (resumeVersionId) {
+    const version = await findActiveResumeVersion(student._id, resumeVersionId);
+
+    if (!version) {
+      return { resumeVersionId: null, resumeKey: null, error: 'Resume version not found' };
+    }
+
+    return { resumeVersionId: version._id, resumeKey: version.key };
+  }
+
+  const defaultVersion = await ResumeVersion.findOne({ studentId: student._id, isDefault: true, deletedAt: null });
+
+  if (defaultVersion) {
+    return { resumeVersionId: defaultVersion._id, resumeKey: defaultVersion.key };
+  }
+
+  return { resumeVersionId: null, resumeKey: student.resumeUrl || null };
+};
+
+/**
+ * Resume details for an application as seen by companies and admins. Older
+ * applications that predate the library fall back to the current profile resume.
+ */
+const formatSubmittedResume = async (application, student, { includeUrl = true } = {}) => {
+  const key = application?.resumeKey || student?.resumeUrl || null;
+
+  if (!key) {
+    return null;
+  }
+
+  const version = application?.resumeVersionId?.name ? application.resumeVersionId : null;
+
+  return {
+    applicationId: application ? application._id.toString() : null,
+    versionId: version ? version._id.toString() : null,
+    versionName: version ? version.name : null,
+    isTailored: Boolean(application?.resumeKey) && !application.resumeVersionId,
+    isCurrentProfileResume: !application?.resumeKey,
+    url: includeUrl ? await signResumeKey(key) : null
+  };
+};
+
+module.exports = {
+  MAX_RESUME_VERSIONS,
+  formatResumeVersion,
+  ensureLegacyResumeVersion,
+  getActiveResumeVersions,
+  findActiveResumeVersion,
+  setDefaultResumeVersion,
+  addResumeVersion,
+  deleteResumeVersion,
+  resolveApplicationResume,
+  formatSubmittedResume
+};
@@ -0,0 +1,186 @@
+/**
+ * salaryService.js
+ *
+ * Structured job salaries: display strings, student-facing visibility, and
+ * currency/period normalisation for salary filters and sorting.
+ *
+ * Amounts are compared in SALARY_BASE_CURRENCY per year. Currency rates come
+ * from the `currency_rates` SystemConfig entry ({ EUR: 1.08, ... } meaning one
+ * unit is worth that many USD), falling back to DEFAULT_CURRENCY_RATES for any
+ * currency the table leaves out. Contract pay is a lump sum and is only ever
+ * compared with other contract pay.
+ */
+
+const SystemConfig = require('../models/SystemConfig');
+const { CONFIG_KEYS, CURRENCIES } = require('../constants');
+
+const SALARY_BASE_CURRENCY = 'USD';
+
+const DEFAULT_CURRENCY_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  INR: 0.012,
+  AUD: 0.66,
+  CAD: 0.73
+};
+
+// Full-time equivalents used to annualise hourly and monthly pay
+const ANNUAL_MULTIPLIERS = {
+  hour: 2080,
+  month: 12,
+  year: 1
+};
+
+const PERIOD_LABELS = {
+  hour: 'per hour',
+  month: 'per month',
+  year: 'per year',
+  contract: 'per contract'
+};
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * Human-readable range, e.g. "USD 50,000 - 60,000 per year".
+ */
+const formatSalaryRange = (salary) => {
+  if (!salary || (salary.min == null && salary.max == null)) {
+    return null;
+  }
+
+  const period = PERIOD_LABELS[salary.period] || '';
+  const { currency, min, max } = salary;
+
+  if (min != null && max != null) {
+    return min === max
+      ? `${currency} ${formatAmount(min)} ${period}`.trim()
+      : `${currency} ${formatAmount(min)} - ${formatAmount(max)} ${period}`.trim();
+  }
+
+  return min != null
+    ? `From ${currency} ${formatAmount(min)} ${period}`.trim()
+    : `Up to ${currency} ${formatAmount(max)} ${period}`.trim();
+};
+
+/**
+ * Fill in salaryRange from structured salary when the company didn't write one.
+ */
+const withSalaryRange = (fields) => {
+  if (fields.salary && !fields.salaryRange) {
+    return { ...fields, salaryRange: formatSalaryRange(fields.salary) };
+  }
+  return fields;
+};
+
+/**
+ * Salary fields for student-facing job payloads; hidden salaries are withheld entirely.
+ */
+const formatSalaryForStudent = (job) => {
+  const salary = job.salary || null;
+
+  if (salary?.isHidden) {
+    return { salaryRange: null, salary: null };
+  }
+
+  return {
+    salaryRange: job.salaryRange || null,
+    salary: salary
+      ? { min: salary.min ?? null, max: salary.max ?? null, currency: salary.currency, period: salary.period }
+      : null
+  };
+};
+
+/**
+ * Current rate table, with defaults for missing or invalid entries.
+ */
+const getCurrencyRates = async () => {
+  const configured = await SystemConfig.getValue(CONFIG_KEYS.CURRENCY_RATES, {});
+  const rates = { ...DEFAULT_CURRENCY_RATES };
+
+  CURRENCIES.forEach((currency) => {
+    const rate = configured?.[currency];
+    if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+      rates[currency] = rate;
+    }
+  });
+
+  rates[SALARY_BASE_CURRENCY] = 1;
+  return rates;
+};
+
+/**
+ * Convert an amount to base currency per year (or per contract).
+ */
+const normalizeSalaryAmount = (amount, currency, period, rates) => {
+  if (amount == null || !rates[currency]) {
+    return null;
+  }
+  return amount * rates[currency] * (ANNUAL_MULTIPLIERS[period] || 1);
+};
+
+/**
+ * $addFields stage computing normalizedSalaryMin/Max on job postings.
+ * Hidden salaries normalise to null so they never match salary filters.
+ */
+const buildNormalizedSalaryStage = (rates) => {
+  const rate = {
+    $switch: {
+      branches: CURRENCIES.map((currency) => ({ case: { $eq: ['$salary.currency', currency] }, then: rates[currency] })),
+      default: null
+    }
+  };
+  const multiplier = {
+    $switch: {
+      branches: Object.entries(ANNUAL_MULTIPLIERS).map(([period, value]) => ({ case: { $eq: ['$salary.period', period] }, then: value })),
+      default: 1
+    }
+  };
+  const normalize = (amountPath) => ({
+    $cond: [
+      { $or: [{ $eq: ['$salary.isHidden', true] }, { $eq: [amountPath, null] }] },
+      null,
+      { $multiply: [amountPath, rate, multiplier] }
+    ]
+  });
+
+  return {
+    $addFields: {
+      normalizedSalaryMin: normalize({ $ifNull: ['$salary.min', '$salary.max'] }),
+      normalizedSalaryMax: normalize({ $ifNull: ['$salary.max', '$salary.min'] })
+    }
+  };
+};
+
+/**
+ * Match on normalised fields: the job's range must overlap the requested one.
+ * Filter amounts are given in filters.salaryCurrency per filters.salaryPeriod.
+ */
+const buildSalaryRangeMatch = (filters, rates) => {
+  const { salaryMin, salaryMax, salaryCurrency, salaryPeriod } = filters;
+  const match = {
+    'salary.period': salaryPeriod === 'contract' ? 'contract' : { $in: Object.keys(ANNUAL_MULTIPLIERS) }
+  };
+
+  if (salaryMin != null) {
+    match.normalizedSalaryMax = { $gte: normalizeSalaryAmount(salaryMin, salaryCurrency, salaryPeriod, rates) };
+  }
+
+  if (salaryMax != null) {
+    match.normalizedSalaryMin = { $lte: normalizeSalaryAmount(salaryMax, salaryCurrency, salaryPeriod, rates) };
+  }
+
+  return match;
+};
+
+module.exports = {
+  SALARY_BASE_CURRENCY,
+  DEFAULT_CURRENCY_RATES,
+  formatSalaryRange,
+  withSalaryRange,
+  formatSalaryForStudent,
+  getCurrencyRates,
+  normalizeSalaryAmount,
+  buildNormalizedSalaryStage,
+  buildSalaryRangeMatch
+};
@@ -0,0 +1,77 @@
+/**
+ * savedJobService.js
+ *
+ * Background helpers for student job bookmarks.
+ */
+
+const SavedJob = require('../models/SavedJob');
+const JobPosting = require('../models/JobPosting');
+const Application = require('../models/Application');
+const notificationService = require('./notificationService');
+
+const DEADLINE_REMINDER_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Remind students about bookmarked jobs whose deadline falls within the next
+ * 48 hours. Each bookmark is reminded at most once, and students who have
+ * already applied are skipped.
+ */
+const sendDeadlineReminders = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + DEADLINE_REMINDER_WINDOW_MS);
+
+  const closingJobs = await JobPosting.find({
+    status: 'approved',
+    deadline: { $gt: now, $lte: windowEnd }
+  })
+    .select('title deadline companyId')
+    .populate('companyId', 'name')
+    .lean();
+
+  if (!closingJobs.length) {
+    return { sent: 0 };
+  }
+
+  const jobMap = new Map(closingJobs.map((job) => [job._id.toString(), job]));
+
+  const savedJobs = await SavedJob.find({
+    jobPostingId: { $in: closingJobs.map((job) => job._id) },
+    deadlineReminderSentAt: null
+  }).populate('studentId', 'userId');
+
+  let sent = 0;
+
+  for (const savedJob of savedJobs) {
+    try {
+      const job = jobMap.get(savedJob.jobPostingId.toString());
+      const studentUserId = savedJob.studentId?.userId;
+
+      const hasApplied = await Application.exists({
+        studentId: savedJob.studentId?._id,
+        jobPostingId: savedJob.jobPostingId
+      });
+
+      if (studentUserId && !hasApplied) {
+        await notificationService.notifySavedJobDeadlineReminder(studentUserId, {
+          jobTitle: job.title,
+          companyName: job.companyId?.name,
+          jobId: job._id.toString(),
+          deadline: job.deadline
+        });
+        sent += 1;
+      }
+
+      await SavedJob.updateOne({ _id: savedJob._id }, { $set: { deadlineReminderSentAt: now } });
+    } catch (error) {
+      console.error('[savedJobService] Failed to send deadline reminder', {
+        error: error.message,
+        savedJobId: savedJob._id.toString()
+      });
+    }
+  }
+
+  return { sent };
+};
+
+module.exports = {
+  sendDeadlineReminders
+};
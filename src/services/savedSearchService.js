@@ -0,0 +1,229 @@
+/**
+ * savedSearchService.js
+ *
+ * Matches newly approved jobs against students' saved searches and delivers
+ * alerts either immediately or as a daily/weekly digest.
+ */
+
+const mongoose = require('mongoose');
+
+const SavedSearch = require('../models/SavedSearch');
+const JobPosting = require('../models/JobPosting');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+
+const DIGEST_INTERVALS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const trimTrailingSlash = (value = '') => value.replace(/\/$/, '');
+
+const getJobsLink = (jobId = null) => {
+  const base = trimTrailingSlash(String(process.env.FRONTEND_URL || process.env.APP_BASE_URL || '').trim());
+  if (!base) {
+    return null;
+  }
+  return jobId ? `${base}/jobs/${jobId}` : `${base}/jobs`;
+};
+
+const tokenize = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(Boolean);
+
+/**
+ * Alerts should be precise, so every search term has to appear somewhere in
+ * the job's title, description or requirements.
+ */
+const matchesSavedSearch = (query = {}, job) => {
+  if (query.jobType && query.jobType !== job.jobType) {
+    return false;
+  }
+
+  if (query.countryId && (!job.countryId || query.countryId.toString() !== job.countryId.toString())) {
+    return false;
+  }
+
+  if (query.location && !String(job.location || '').toLowerCase().includes(query.location.toLowerCase())) {
+    return false;
+  }
+
+  if (query.search) {
+    const haystack = new Set(tokenize(`${job.title} ${job.description} ${job.requirements}`));
+    const terms = tokenize(query.search);
+    if (terms.length && !terms.every((term) => haystack.has(term))) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+const toAlertJob = (job) => ({
+  id: job._id.toString(),
+  title: job.title,
+  location: job.location,
+  companyName: job.companyId?.name || null
+});
+
+const deliverAlert = async (savedSearch, jobs) => {
+  const student = savedSearch.studentId;
+  if (!student?.userId || !jobs.length) {
+    return;
+  }
+
+  const singleJob = jobs.length === 1 ? jobs[0] : null;
+
+  await notificationService.notifySavedSearchMatch(student.userId, {
+    searchName: savedSearch.name,
+    jobTitle: singleJob?.title,
+    jobId: singleJob?.id,
+    matchCount: jobs.length
+  });
+
+  if (student.email) {
+    emailService
+      .sendSavedSearchAlertEmail(
+        student.email,
+        {
+          searchName: savedSearch.name,
+          frequency: savedSearch.frequency,
+          studentName: student.fullName,
+          jobs,
+          jobsLink: getJobsLink(singleJob?.id)
+        },
+        { userId: student.userId }
+      )
+      .catch((error) => console.error('Failed to send saved search alert email', error));
+  }
+};
+
+// ─── Matching ──────────────────────────────────────────────────────────────
+
+/**
+ * Run a freshly approved job against all active saved searches. Instant
+ * searches are alerted right away; digest searches queue the job.
+ */
+const processApprovedJob = async (jobId) => {
+  const job = await JobPosting.findById(jobId).populate('companyId', 'name').lean();
+
+  if (!job || job.status !== 'approved') {
+    return { matched: 0 };
+  }
+
+  const candidates = await SavedSearch.find({
+    isActive: true,
+    $and: [
+      { $or: [{ 'query.jobType': null }, { 'query.jobType': job.jobType }] },
+      { $or: [{ 'query.countryId': null }, { 'query.countryId': job.countryId || null }] }
+    ]
+  }).populate('studentId', 'userId email fullName');
+
+  const matches = candidates.filter((savedSearch) => matchesSavedSearch(savedSearch.query, job));
+  const alertJob = toAlertJob(job);
+
+  for (const savedSearch of matches) {
+    try {
+      if (savedSearch.frequency === 'instant') {
+        await deliverAlert(savedSearch, [alertJob]);
+        await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastNotifiedAt: new Date() } });
+      } else {
+        await SavedSearch.updateOne({ _id: savedSearch._id }, { $addToSet: { pendingJobIds: job._id } });
+      }
+    } catch (error) {
+      console.error('[savedSearchService] Failed to process saved search match', {
+        error: error.message,
+        savedSearchId: savedSearch._id.toString(),
+        jobId: job._id.toString()
+      });
+    }
+  }
+
+  return { matched: matches.length };
+};
+
+// ─── Digests ───────────────────────────────────────────────────────────────
+
+/**
+ * Send queued matches for every daily/weekly search whose interval has elapsed.
+ * Jobs that were closed or unpublished since they were queued are dropped.
+ */
+const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const [frequency, intervalMs] of Object.entries(DIGEST_INTERVALS_MS)) {
+    const dueBefore = new Date(now.getTime() - intervalMs);
+
+    const dueSearches = await SavedSearch.find({
+      isActive: true,
+      frequency,
+      'pendingJobIds.0': { $exists: true },
+      $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: dueBefore } }]
+    }).populate('studentId', 'userId email fullName');
+
+    for (const savedSearch of dueSearches) {
+      try {
+        const jobs = await JobPosting.find({
+          _id: { $in: savedSearch.pendingJobIds },
+          status: 'approved'
+        })
+          .populate('companyId', 'name')
+          .sort({ approvedAt: -1 })
+          .lean();
+
+        await deliverAlert(savedSearch, jobs.map(toAlertJob));
+
+        const update = { $pullAll: { pendingJobIds: savedSearch.pendingJobIds } };
+        if (jobs.length) {
+          update.$set = { lastNotifiedAt: now };
+          sent += 1;
+        }
+
+        await SavedSearch.updateOne({ _id: savedSearch._id }, update);
+      } catch (error) {
+        console.error('[savedSearchService] Failed to send saved search digest', {
+          error: error.message,
+          savedSearchId: savedSearch._id.toString()
+        });
+      }
+    }
+  }
+
+  return { sent };
+};
+
+// ─── Serialization ─────────────────────────────────────────────────────────
+
+const formatSavedSearch = (savedSearch) => ({
+  id: savedSearch._id.toString(),
+  name: savedSearch.name,
+  query: {
+    search: savedSearch.query?.search || null,
+    location: savedSearch.query?.location || null,
+    jobType: savedSearch.query?.jobType || null,
+    countryId: savedSearch.query?.countryId ? savedSearch.query.countryId.toString() : null
+  },
+  frequency: savedSearch.frequency,
+  isActive: savedSearch.isActive,
+  pendingMatches: savedSearch.pendingJobIds?.length || 0,
+  lastNotifiedAt: savedSearch.lastNotifiedAt,
+  createdAt: savedSearch.createdAt,
+  updatedAt: savedSearch.updatedAt
+});
+
+const normalizeQuery = (query = {}) => ({
+  search: query.search || null,
+  location: query.location || null,
+  jobType: query.jobType || null,
+  countryId: query.countryId ? new mongoose.Types.ObjectId(query.countryId) : null
+});
+
+module.exports = {
+  matchesSavedSearch,
+  processApprovedJob,
+  sendDueDigests,
+  formatSavedSearch,
+  normalizeQuery
+};
@@ -0,0 +1,223 @@
+/**
+ * screeningService.js
+ *
+ * Screening questions on job postings: normalising the company's questions,
+ * validating a student's answers at apply time (including knockout rules),
+ * and turning company filters into application queries.
+ */
+
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/regex');
+
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+const normalizeScreeningQuestions = (questions = []) =>
+  questions.map((question) => ({
+    prompt: question.prompt,
+    type: question.type,
+    options: question.type === 'multiple_choice' ? question.options : [],
+    required: question.required !== false,
+    knockoutAnswers: ['yes_no', 'multiple_choice'].includes(question.type) ? question.knockoutAnswers || [] : [],
+    knockoutMin: question.type === 'numeric' ? question.knockoutMin ?? null : null,
+    knockoutMax: question.type === 'numeric' ? question.knockoutMax ?? null : null
+  }));
+
+// Knockout rules stay private so applicants can't tailor their answers
+const formatQuestionsForStudent = (questions = []) =>
+  questions.map((question) => ({
+    id: question._id.toString(),
+    prompt: question.prompt,
+    type: question.type,
+    options: question.type === 'multiple_choice' ? question.options : undefined,
+    required: question.required
+  }));
+
+const normalizeYesNo = (value) => {
+  if (value === true || value === 'yes' || value === 'true') return 'yes';
+  if (value === false || value === 'no' || value === 'false') return 'no';
+  return null;
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validate one answer against its question. Returns { value, error }.
+ */
+const parseAnswer = (question, rawValue) => {
+  switch (question.type) {
+    case 'yes_no': {
+      const value = normalizeYesNo(rawValue);
+      return value ? { value } : { error: 'must be yes or no' };
+    }
+    case 'multiple_choice': {
+      const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+      return question.options.includes(value)
+        ? { value }
+        : { error: `must be one of: ${question.options.join(', ')}` };
+    }
+    case 'numeric': {
+      const value = typeof rawValue === 'string' ? Number(rawValue.trim()) : rawValue;
+      return typeof value === 'number' && Number.isFinite(value)
+        ? { value }
+        : { error: 'must be a number' };
+    }
+    case 'text': {
+      if (typeof rawValue !== 'string') {
+        return { error: 'must be text' };
+      }
+      const value = rawValue.trim();
+      return value.length > MAX_TEXT_ANSWER_LENGTH
+        ? { error: `must be at most ${MAX_TEXT_ANSWER_LENGTH} characters` }
+        : { value };
+    }
+    default:
+      return { error: 'has an unsupported question type' };
+  }
+};
+
+const isKnockoutAnswer = (question, value) => {
+  if (question.type === 'yes_no' || question.type === 'multiple_choice') {
+    return question.knockoutAnswers.includes(value);
+  }
+
+  if (question.type === 'numeric') {
+    if (question.knockoutMin != null && value < question.knockoutMin) return true;
+    if (question.knockoutMax != null && value > question.knockoutMax) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Check a student's answers against the job's questions.
+ *
+ * @param {Array} questions - JobPosting.screeningQuestions
+ * @param {Array<{ questionId: string, answer: any }>} rawAnswers
+ * @returns {{ answers: Array|null, knockedOut: boolean, error: string|null }}
+ */
+const evaluateScreeningAnswers = (questions = [], rawAnswers) => {
+  if (!questions.length) {
+    return { answers: [], knockedOut: false, error: null };
+  }
+
+  if (rawAnswers !== undefined && !Array.isArray(rawAnswers)) {
+    return { answers: null, knockedOut: false, error: 'screeningAnswers must be an array' };
+  }
+
+  const answersByQuestion = new Map();
+  for (const entry of rawAnswers || []) {
+    if (!entry || typeof entry.questionId !== 'string') {
+      return { answers: null, knockedOut: false, error: 'Each screening answer needs a questionId' };
+    }
+    answersByQuestion.set(entry.questionId, entry.answer);
+  }
+
+  const knownIds = new Set(questions.map((question) => question._id.toString()));
+  const unknownId = [...answersByQuestion.keys()].find((questionId) => !knownIds.has(questionId));
+  if (unknownId) {
+    return { answers: null, knockedOut: false, error: `Unknown screening question: ${unknownId}` };
+  }
+
+  const answers = [];
+  let knockedOut = false;
+
+  for (const question of questions) {
+    const rawValue = answersByQuestion.get(question._id.toString());
+
+    if (isBlank(rawValue)) {
+      if (question.required) {
+        return { answers: null, knockedOut: false, error: `Please answer: "${question.prompt}"` };
+      }
+      continue;
+    }
+
+    const { value, error } = parseAnswer(question, rawValue);
+    if (error) {
+      return { answers: null, knockedOut: false, error: `Answer to "${question.prompt}" ${error}` };
+    }
+
+    const isKnockout = isKnockoutAnswer(question, value);
+    knockedOut = knockedOut || isKnockout;
+
+    answers.push({
+      questionId: question._id,
+      prompt: question.prompt,
+      type: question.type,
+      answer: value,
+      knockedOut: isKnockout
+    });
+  }
+
+  return { answers, knockedOut, error: null };
+};
+
+/**
+ * Build a $match fragment from `screening` query filters, each formatted as
+ * `<questionId>:<value>`. Numeric questions also accept `>=N` and `<=N`;
+ * text questions match case-insensitively on a substring.
+ *
+ * @returns {{ conditions: Array<object>, error: string|null }}
+ */
+const parseScreeningFilters = (questions = [], rawFilters) => {
+  if (rawFilters === undefined) {
+    return { conditions: [], error: null };
+  }
+
+  const filters = Array.isArray(rawFilters) ? rawFilters : [rawFilters];
+  const questionsById = new Map(questions.map((question) => [question._id.toString(), question]));
+  const conditions = [];
+
+  for (const filter of filters) {
+    const separatorIndex = typeof filter === 'string' ? filter.indexOf(':') : -1;
+    if (separatorIndex === -1) {
+      return { conditions: [], error: 'Screening filters must look like <questionId>:<value>' };
+    }
+
+    const questionId = filter.slice(0, separatorIndex);
+    const rawValue = filter.slice(separatorIndex + 1).trim();
+    const question = questionsById.get(questionId);
+
+    if (!question) {
+      return { conditions: [], error: `Unknown screening question: ${questionId}` };
+    }
+
+    let answerCondition;
+
+    if (question.type === 'numeric') {
+      const match = rawValue.match(/^(>=|<=)?\s*(-?\d+(?:\.\d+)?)$/);
+      if (!match) {
+        return { conditions: [], error: `Filter for "${question.prompt}" must be a number, >=N or <=N` };
+      }
+      const number = Number(match[2]);
+      answerCondition = match[1] === '>=' ? { $gte: number } : match[1] === '<=' ? { $lte: number } : number;
+    } else if (question.type === 'text') {
+      const escaped = escapeRegex(rawValue);
+      answerCondition = { $regex: escaped, $options: 'i' };
+    } else {
+      const { value, error } = parseAnswer(question, rawValue);
+      if (error) {
+        return { conditions: [], error: `Filter for "${question.prompt}" ${error}` };
+      }
+      answerCondition = value;
+    }
+
+    conditions.push({
+      screeningAnswers: {
+        $elemMatch: {
+          questionId: new mongoose.Types.ObjectId(questionId),
+          answer: answerCondition
+        }
+      }
+    });
+  }
+
+  return { conditions, error: null };
+};
+
+module.exports = {
+  normalizeScreeningQuestions,
+  formatQuestionsForStudent,
+  evaluateScreeningAnswers,
+  parseScreeningFilters
+};
@@ -30,7 +30,7 @@ const checkSubscriptionStatus = async (studentId) => {
   }
 
   const subscription = await ActiveSubscription.findById(student.currentSubscriptionId)
-    .populate('serviceId', 'name tier description maxApplications price currency billingCycle trialDays discount features badge displayOrder prioritySupport profileBoost applicationHighlight isActive');
+    .populate('serviceId', 'name tier description maxApplications price currency billingCycle trialDays discount features badge displayOrder resumeDownloads videoViews prioritySupport profileBoost applicationHighlight isActive');
 
   if (!subscription) {
     await Student.findByIdAndUpdate(studentId, {
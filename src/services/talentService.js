@@ -0,0 +1,195 @@
+/**
+ * talentService.js
+ *
+ * Opt-in talent directory for companies. Students who set isDiscoverable can
+ * be searched by approved companies; results stay anonymised until the student
+ * accepts a contact request, after which the regular student profile opens up.
+ */
+
+const Student = require('../models/Student');
+const ContactRequest = require('../models/ContactRequest');
+const { buildPerkStages } = require('./perkService');
+const { escapeRegex } = require('../utils/regex');
+
+const CONTACT_REQUEST_COOLDOWN_DAYS = 30;
+
+const containsRegex = (value) => ({ $regex: escapeRegex(value.trim()), $options: 'i' });
+
+/**
+ * Validate and normalize talent search query params.
+ * Returns { match, error } — error is a client-facing message when invalid.
+ */
+const parseTalentFilters = (query = {}) => {
+  const {
+    skills,
+    location,
+    availableFrom,
+    degree,
+    field,
+    isDGShipping,
+    experienceTitle
+  } = query;
+
+  const match = { isDiscoverable: true, isHired: false };
+
+  if (skills) {
+    const skillList = String(skills).split(',').map((skill) => skill.trim()).filter(Boolean);
+    if (skillList.length) {
+      // Every requested skill must be present, case-insensitively
+      match.skills = { $all: skillList.map((skill) => new RegExp(`^${escapeRegex(skill)}$`, 'i')) };
+    }
+  }
+
+  if (location) {
+    match.location = containsRegex(String(location));
+  }
+
+  // Students who can start by this date; no date on the profile means available now
+  if (availableFrom) {
+    const date = new Date(availableFrom);
+    if (Number.isNaN(date.getTime())) {
+      return { match: null, error: 'availableFrom must be a valid date' };
+    }
+    match.$or = [{ availableFrom: null }, { availableFrom: { $lte: date } }];
+  }
+
+  if (degree || field) {
+    const education = {};
+    if (degree) education.degree = containsRegex(String(degree));
+    if (field) education.field = containsRegex(String(field));
+    match.education = { $elemMatch: education };
+  }
+
+  if (isDGShipping !== undefined) {
+    if (!['yes', 'no'].includes(isDGShipping)) {
+      return { match: null, error: 'isDGShipping must be yes or no' };
+    }
+    match.isDGShipping = isDGShipping;
+  }
+
+  if (experienceTitle) {
+    match['experience.title'] = containsRegex(String(experienceTitle));
+  }
+
+  return { match, error: null };
+};
+
+const getInitials = (fullName = '') =>
+  fullName
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}.`)
+    .join(' ');
+
+/**
+ * Anonymised card shown before a contact request is accepted: no name,
+ * contact details, links or media.
+ */
+const formatTalentCard = (student, contactRequest = null) => ({
+  id: student._id.toString(),
+  initials: getInitials(student.fullName),
+  location: student.location || null,
+  availableFrom: student.availableFrom || null,
+  isDGShipping: student.isDGShipping || 'no',
+  skills: student.skills || [],
+  education: (student.education || []).map((entry) => ({
+    degree: entry.degree,
+    field: entry.field,
+    endYear: entry.endYear
+  })),
+  experienceTitles: (student.experience || []).map((entry) => entry.title).filter(Boolean),
+  hasResume: Boolean(student.resumeUrl),
+  hasVideo: Boolean(student.introVideoUrl),
+  isBoosted: Boolean(student.isBoosted),
+  contactStatus: contactRequest?.status || null,
+  contactRequestId: contactRequest ? contactRequest._id.toString() : null
+});
+
+/**
+ * Paginated directory search, boosted students first.
+ */
+const searchTalent = async (match, { skip, limit }) => {
+  const [students, total] = await Promise.all([
+    Student.aggregate([
+      { $match: match },
+      ...buildPerkStages('$currentSubscriptionId'),
+      { $sort: { isBoosted: -1, createdAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          fullName: 1,
+          location: 1,
+          availableFrom: 1,
+          isDGShipping: 1,
+          skills: 1,
+          education: 1,
+          experience: 1,
+          resumeUrl: 1,
+          introVideoUrl: 1,
+          isBoosted: 1
+        }
+      }
+    ]),
+    Student.countDocuments(match)
+  ]);
+
+  return { students, total };
+};
+
+/**
+ * Latest contact request from a company to each of the given students.
+ */
+const getLatestContactRequests = async (companyId, studentIds) => {
+  const requests = await ContactRequest.find({ companyId, studentId: { $in: studentIds } })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const latest = new Map();
+  requests.forEach((request) => {
+    const key = request.studentId.toString();
+    if (!latest.has(key)) {
+      latest.set(key, request);
+    }
+  });
+
+  return latest;
+};
+
+const hasAcceptedContact = (companyId, studentId) =>
+  ContactRequest.exists({ companyId, studentId, status: 'accepted' });
+
+/**
+ * Whether a company may send a new request. Returns an error message or null.
+ */
+const getContactRequestBlocker = (latestRequest, now = new Date()) => {
+  if (!latestRequest) {
+    return null;
+  }
+
+  if (latestRequest.status === 'pending') {
+    return 'You already have a pending contact request with this candidate';
+  }
+
+  if (latestRequest.status === 'accepted') {
+    return 'This candidate has already accepted your contact request';
+  }
+
+  const cooldownEnds = new Date(latestRequest.respondedAt || latestRequest.createdAt);
+  cooldownEnds.setDate(cooldownEnds.getDate() + CONTACT_REQUEST_COOLDOWN_DAYS);
+
+  if (cooldownEnds > now) {
+    return `This candidate declined a recent request. You can contact them again after ${cooldownEnds.toISOString().slice(0, 10)}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseTalentFilters,
+  formatTalentCard,
+  searchTalent,
+  getLatestContactRequests,
+  hasAcceptedContact,
+  getContactRequestBlocker
+};
@@ -0,0 +1,27 @@
+const { scheduleRecurringTask } = require('../utils/scheduler');
+const savedSearchService = require('../services/savedSearchService');
+const savedJobService = require('../services/savedJobService');
+const jobExpiryService = require('../services/jobExpiryService');
+const offerService = require('../services/offerService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const JOB_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+const OFFER_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Register recurring background tasks. Called once the database is connected.
+ */
+const startScheduledTasks = () => {
+  scheduleRecurringTask('job-expiry', JOB_EXPIRY_INTERVAL_MS, () => jobExpiryService.closeExpiredJobs(), {
+    runOnStart: true
+  });
+  scheduleRecurringTask('offer-expiry', OFFER_EXPIRY_INTERVAL_MS, () => offerService.lapseExpiredOffers(), {
+    runOnStart: true
+  });
+  scheduleRecurringTask('saved-search-digests', HOUR_MS, () => savedSearchService.sendDueDigests());
+  scheduleRecurringTask('saved-job-deadline-reminders', HOUR_MS, () => savedJobService.sendDeadlineReminders());
+};
+
+module.exports = {
+  startScheduledTasks
+};
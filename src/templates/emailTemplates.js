@@ -166,6 +166,126 @@ const passwordResetTemplate = (data = {}) => {
 
 const getPasswordResetTemplate = (data = {}) => enrichTemplate(passwordResetTemplate, data);
 
+const emailVerificationTemplate = (data = {}) => {
+  const subject = 'Verify your AquaTalentz email address';
+  const paragraphs = [
+    'Thanks for signing up with AquaTalentz. Please confirm that this is your email address.',
+    `Click the button below to verify it. This link will expire in ${data.expiresInHours || 24} hours.`,
+    'If you didn\'t create an account, you can safely ignore this email.'
+  ];
+  const cta = data.verifyUrl ? { text: 'Verify Email', url: data.verifyUrl } : undefined;
+  return { subject, paragraphs, cta };
+};
+
+const getEmailVerificationTemplate = (data = {}) => enrichTemplate(emailVerificationTemplate, data);
+
+const accountLockedTemplate = (data = {}) => {
+  const subject = 'Sign-in to your AquaTalentz account was temporarily locked';
+  const paragraphs = [
+    `We locked sign-in to your account for ${data.lockoutMinutes || 15} minutes after several failed password attempts.`,
+    'If this was you, wait for the lock to expire and try again.',
+    'If it wasn\'t you, someone may be trying to guess your password. We recommend resetting it now.'
+  ];
+  const cta = data.resetUrl ? { text: 'Reset Password', url: data.resetUrl } : undefined;
+  return { subject, paragraphs, cta };
+};
+
+const getAccountLockedTemplate = (data = {}) => enrichTemplate(accountLockedTemplate, data);
+
+const companyInviteTemplate = (data = {}) => {
+  const companyName = getCompanyName(data.companyName);
+  const subject = `You're invited to join ${companyName} on AquaTalentz`;
+  const paragraphs = [
+    `${data.inviterName || 'A teammate'} invited you to join ${companyName} as ${data.roleLabel || 'a team member'}.`,
+    `Click the button below to set up your login. This invitation expires in ${data.expiresInDays || 7} days.`,
+    'If you weren\'t expecting this, you can safely ignore this email.'
+  ];
+  const cta = data.inviteUrl ? { text: 'Accept Invitation', url: data.inviteUrl } : undefined;
+  return { subject, paragraphs, cta };
+};
+
+const getCompanyInviteTemplate = (data = {}) => enrichTemplate(companyInviteTemplate, data);
+
+const getInterviewDetailLines = (data = {}) => [
+  data.interviewTime ? `When: ${data.interviewTime}` : null,
+  data.durationMinutes ? `Duration: ${data.durationMinutes} minutes` : null,
+  data.modeLabel ? `Format: ${data.modeLabel}` : null,
+  data.location ? `Where: ${data.location}` : null,
+  data.meetingLink ? `Meeting link: ${data.meetingLink}` : null,
+  data.interviewers?.length ? `Interviewers: ${data.interviewers.join(', ')}` : null
+];
+
+const interviewTemplates = {
+  interview_scheduled: (data = {}) => {
+    const subject = `Interview scheduled: ${data.jobTitle || 'your application'}`;
+    const paragraphs = [
+      `${getCompanyName(data.companyName)} has scheduled ${data.roundLabel || 'an interview'} with you for the ${data.jobTitle || 'role'}.`,
+      ...getInterviewDetailLines(data),
+      'A calendar invite is attached to this email.'
+    ];
+    const cta = data.applicationLink ? { text: 'View application', url: data.applicationLink } : undefined;
+    return { subject, paragraphs, cta };
+  },
+  interview_rescheduled: (data = {}) => {
+    const subject = `Interview rescheduled: ${data.jobTitle || 'your application'}`;
+    const paragraphs = [
+      `${getCompanyName(data.companyName)} has moved ${data.roundLabel || 'your interview'} for the ${data.jobTitle || 'role'}.`,
+      data.previousInterviewTime ? `Previously: ${data.previousInterviewTime}` : null,
+      ...getInterviewDetailLines(data),
+      data.reason ? `Reason: ${data.reason}` : null,
+      'The attached calendar invite replaces the previous one.'
+    ];
+    const cta = data.applicationLink ? { text: 'View application', url: data.applicationLink } : undefined;
+    return { subject, paragraphs, cta };
+  },
+  interview_cancelled: (data = {}) => {
+    const subject = `Interview cancelled: ${data.jobTitle || 'your application'}`;
+    const paragraphs = [
+      `${getCompanyName(data.companyName)} has cancelled ${data.roundLabel || 'your interview'} for the ${data.jobTitle || 'role'}${data.interviewTime ? ` on ${data.interviewTime}` : ''}.`,
+      data.reason ? `Reason: ${data.reason}` : null,
+      'Open the attached calendar update to remove it from your calendar.'
+    ];
+    const cta = data.applicationLink ? { text: 'View application', url: data.applicationLink } : undefined;
+    return { subject, paragraphs, cta };
+  }
+};
+
+const getInterviewTemplate = (action = 'scheduled', data = {}) => {
+  const key = `interview_${(action || 'scheduled').toLowerCase()}`;
+  const builder = interviewTemplates[key] || interviewTemplates.interview_scheduled;
+  return enrichTemplate(builder, data);
+};
+
+const MAX_ALERT_JOBS_LISTED = 10;
+
+const savedSearchAlertTemplate = (data = {}) => {
+  const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+  const searchName = data.searchName || 'your saved search';
+  const subject = jobs.length === 1
+    ? `New job matching "${searchName}"`
+    : `${jobs.length} new jobs matching "${searchName}"`;
+
+  const jobLines = jobs.slice(0, MAX_ALERT_JOBS_LISTED).map((job) => {
+    const details = [job.companyName, job.location].filter(Boolean).join(' · ');
+    return details ? `${job.title} — ${details}` : job.title;
+  });
+
+  if (jobs.length > MAX_ALERT_JOBS_LISTED) {
+    jobLines.push(`…and ${jobs.length - MAX_ALERT_JOBS_LISTED} more.`);
+  }
+
+  const paragraphs = [
+    data.frequency && data.frequency !== 'instant'
+      ? `Here is your ${data.frequency} digest of roles matching ${searchName}.`
+      : `A new role matching ${searchName} was just published.`,
+    ...jobLines
+  ];
+  const cta = data.jobsLink ? { text: 'View jobs', url: data.jobsLink } : undefined;
+  return { subject, paragraphs, cta };
+};
+
+const getSavedSearchAlertTemplate = (data = {}) => enrichTemplate(savedSearchAlertTemplate, data);
+
 const emailTemplateKeys = {
   application_submitted: 'application_submitted',
   application_approved: 'application_approved',
@@ -175,7 +295,14 @@ const emailTemplateKeys = {
   welcome_company: 'welcome_company',
   company_approved: 'company_approved',
   company_rejected: 'company_rejected',
-  password_reset: 'password_reset'
+  password_reset: 'password_reset',
+  email_verification: 'email_verification',
+  account_locked: 'account_locked',
+  company_invite: 'company_invite',
+  saved_search_alert: 'saved_search_alert',
+  interview_scheduled: 'interview_scheduled',
+  interview_rescheduled: 'interview_rescheduled',
+  interview_cancelled: 'interview_cancelled'
 };
 
 module.exports = {
@@ -184,5 +311,10 @@ module.exports = {
   getCompanyApprovedTemplate,
   getCompanyRejectedTemplate,
   getPasswordResetTemplate,
+  getEmailVerificationTemplate,
+  getAccountLockedTemplate,
+  getCompanyInviteTemplate,
+  getSavedSearchAlertTemplate,
+  getInterviewTemplate,
   emailTemplateKeys
 };
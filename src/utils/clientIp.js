@@ -0,0 +1,36 @@
+// Heroku's router is the only proxy in front of the app
+const DEFAULT_TRUST_PROXY = 1;
+
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' value: a hop count
+ * ("1"), true/false, or a comma-separated list of addresses/subnets
+ * ("loopback, 10.0.0.0/8").
+ */
+const resolveTrustProxy = (value) => {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+
+  if (!trimmed) {
+    return DEFAULT_TRUST_PROXY;
+  }
+
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+
+  return trimmed.split(',').map((entry) => entry.trim()).filter(Boolean);
+};
+
+/**
+ * The caller's IP as resolved by Express. X-Forwarded-For entries are only
+ * honoured up to the trusted proxies, so clients can't spoof their address.
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+module.exports = {
+  resolveTrustProxy,
+  getClientIp
+};
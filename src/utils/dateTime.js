@@ -0,0 +1,90 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const hasExplicitTimezoneInfo = (value) => /(?:z|[+-]\d{2}:?\d{2})$/i.test(String(value || '').trim());
+
+const isValidIanaTimezone = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value.trim() });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const convertInterviewDateToUtc = ({ interviewDateInput, interviewTimeZone }) => {
+  if (interviewDateInput === undefined || interviewDateInput === null || interviewDateInput === '') {
+    return { utcDate: null, error: null };
+  }
+
+  if (typeof interviewDateInput !== 'string') {
+    return { utcDate: null, error: 'interviewDate must be a string' };
+  }
+
+  const rawInterviewDate = interviewDateInput.trim();
+  if (!rawInterviewDate) {
+    return { utcDate: null, error: 'interviewDate must be a valid date-time value' };
+  }
+
+  let parsedDate;
+
+  if (hasExplicitTimezoneInfo(rawInterviewDate)) {
+    parsedDate = dayjs(rawInterviewDate);
+  } else {
+    if (!interviewTimeZone) {
+      return { utcDate: null, error: 'interviewTimeZone is required when interviewDate has no timezone offset' };
+    }
+
+    if (!isValidIanaTimezone(interviewTimeZone)) {
+      return { utcDate: null, error: 'interviewTimeZone must be a valid IANA timezone (e.g. Asia/Kolkata)' };
+    }
+
+    parsedDate = dayjs.tz(rawInterviewDate, interviewTimeZone.trim());
+  }
+
+  if (!parsedDate.isValid()) {
+    return { utcDate: null, error: 'interviewDate must be a valid date-time value' };
+  }
+
+  const utcIso = parsedDate.utc().toISOString();
+  return { utcDate: new Date(utcIso), error: null };
+};
+
+/**
+ * Format a UTC date for people in the given IANA timezone,
+ * e.g. "Mar 4, 2026, 3:30 PM (Asia/Kolkata)". Falls back to UTC.
+ */
+const formatDateTimeInTimezone = (value, timeZone) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  const zone = isValidIanaTimezone(timeZone) ? timeZone.trim() : 'UTC';
+  const formatted = new Intl.DateTimeFormat('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: zone
+  }).format(date);
+
+  return `${formatted} (${zone})`;
+};
+
+module.exports = {
+  hasExplicitTimezoneInfo,
+  isValidIanaTimezone,
+  convertInterviewDateToUtc,
+  formatDateTimeInTimezone
+};
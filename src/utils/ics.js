@@ -0,0 +1,125 @@
+/**
+ * Minimal RFC 5545 (iCalendar) builder for single-event invites.
+ * Times are always written in UTC so no VTIMEZONE block is needed.
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//AquaTalentz//Interviews//EN';
+
+const formatUtcDateTime = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Parameter values can't be backslash-escaped; quote them instead. DQUOTE
+// itself isn't allowed inside a quoted value, and neither are line breaks.
+const quoteParam = (value) => `"${String(value ?? '').replace(/["\r\n]/g, '')}"`;
+
+// Content lines longer than 75 octets are folded with CRLF + a single space
+const foldLine = (line) => {
+  const buffer = Buffer.from(line, 'utf8');
+  if (buffer.length <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const charOctets = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + charOctets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += charOctets;
+  }
+
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * @param {{
+ *   uid: string,
+ *   sequence?: number,
+ *   method?: 'REQUEST'|'CANCEL',
+ *   start: Date,
+ *   durationMinutes: number,
+ *   summary: string,
+ *   description?: string,
+ *   location?: string,
+ *   url?: string,
+ *   organizer?: { name?: string, email: string },
+ *   attendees?: Array<{ name?: string, email: string }>
+ * }} event
+ * @returns {string} iCalendar document
+ */
+const buildIcsEvent = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  durationMinutes,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = []
+}) => {
+  const startDate = new Date(start);
+  const endDate = new Date(startDate.getTime() + durationMinutes * 60 * 1000);
+  const isCancel = method === 'CANCEL';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    `DTSTART:${formatUtcDateTime(startDate)}`,
+    `DTEND:${formatUtcDateTime(endDate)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${isCancel ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+
+  if (organizer?.email) {
+    const cn = organizer.name ? `;CN=${quoteParam(organizer.name)}` : '';
+    lines.push(`ORGANIZER${cn}:mailto:${organizer.email}`);
+  }
+
+  attendees
+    .filter((attendee) => attendee?.email)
+    .forEach((attendee) => {
+      const cn = attendee.name ? `;CN=${quoteParam(attendee.name)}` : '';
+      lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}`);
+    });
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  buildIcsEvent
+};
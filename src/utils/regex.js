@@ -0,0 +1,6 @@
+/**
+ * Escape user input for use inside a RegExp or a MongoDB $regex.
+ */
+const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
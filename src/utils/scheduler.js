@@ -0,0 +1,55 @@
+/**
+ * Minimal in-process scheduler for recurring background tasks.
+ * Each task is guarded so a slow run never overlaps with the next tick.
+ */
+
+const tasks = new Map();
+
+const runTask = async (name) => {
+  const task = tasks.get(name);
+  if (!task || task.running) {
+    return;
+  }
+
+  task.running = true;
+  try {
+    await task.handler();
+  } catch (error) {
+    console.error(`[scheduler] Task "${name}" failed`, { error: error.message });
+  } finally {
+    task.running = false;
+  }
+};
+
+const scheduleRecurringTask = (name, intervalMs, handler, { runOnStart = false } = {}) => {
+  if (tasks.has(name)) {
+    return;
+  }
+
+  const timer = setInterval(() => {
+    runTask(name);
+  }, intervalMs);
+
+  // Don't keep the process alive just for background tasks
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  tasks.set(name, { handler, timer, running: false });
+
+  if (runOnStart) {
+    setImmediate(() => runTask(name));
+  }
+};
+
+const stopAllTasks = () => {
+  for (const task of tasks.values()) {
+    clearInterval(task.timer);
+  }
+  tasks.clear();
+};
+
+module.exports = {
+  scheduleRecurringTask,
+  stopAllTasks
+};
@@ -4,7 +4,15 @@ const {
   COMPANY_STATUSES,
   JOB_STATUSES,
   COMPANY_INDUSTRIES,
-  COMPANY_SIZES
+  COMPANY_SIZES,
+  SAVED_SEARCH_FREQUENCIES,
+  INTERVIEW_MODES,
+  SCREENING_QUESTION_TYPES,
+  MAX_SCREENING_QUESTIONS,
+  CURRENCIES,
+  SALARY_PERIODS,
+  COMPANY_ROLES,
+  ADMIN_ROLES
 } = require('../constants');
 
 const blockedDomains = [
@@ -88,6 +96,92 @@ const studentRegistrationSchema = z.object({
     .or(z.literal(''))
 });
 
+// Screening question attached to a job posting
+const screeningQuestionSchema = z.object({
+  prompt: z.string()
+    .trim()
+    .min(5, 'Question must be 5-300 characters')
+    .max(300, 'Question must be 5-300 characters'),
+  type: z.enum(SCREENING_QUESTION_TYPES, {
+    errorMap: () => ({ message: `Question type must be one of: ${SCREENING_QUESTION_TYPES.join(', ')}` })
+  }),
+  options: z.array(
+    z.string()
+      .trim()
+      .min(1, 'Options cannot be empty')
+      .max(100, 'Options must be at most 100 characters')
+  ).max(20, 'At most 20 options are allowed').optional(),
+  required: z.boolean().optional(),
+  knockoutAnswers: z.array(z.string().trim().min(1)).optional(),
+  knockoutMin: z.number().finite().nullable().optional(),
+  knockoutMax: z.number().finite().nullable().optional()
+}).superRefine((question, ctx) => {
+  const options = question.options || [];
+  const knockoutAnswers = question.knockoutAnswers || [];
+  const hasRange = question.knockoutMin != null || question.knockoutMax != null;
+
+  if (question.type === 'multiple_choice') {
+    if (options.length < 2) {
+      ctx.addIssue({ code: 'custom', message: 'Multiple choice questions need at least 2 options', path: ['options'] });
+    }
+    if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+      ctx.addIssue({ code: 'custom', message: 'Multiple choice options must be unique', path: ['options'] });
+    }
+  } else if (options.length) {
+    ctx.addIssue({ code: 'custom', message: 'Only multiple choice questions can have options', path: ['options'] });
+  }
+
+  const allowedKnockouts = question.type === 'yes_no' ? ['yes', 'no'] : options;
+  if (knockoutAnswers.length) {
+    if (!['yes_no', 'multiple_choice'].includes(question.type)) {
+      ctx.addIssue({ code: 'custom', message: 'Knockout answers only apply to yes/no and multiple choice questions', path: ['knockoutAnswers'] });
+    } else if (knockoutAnswers.some((answer) => !allowedKnockouts.includes(answer))) {
+      ctx.addIssue({ code: 'custom', message: `Knockout answers must be one of: ${allowedKnockouts.join(', ')}`, path: ['knockoutAnswers'] });
+    } else if (knockoutAnswers.length >= allowedKnockouts.length) {
+      ctx.addIssue({ code: 'custom', message: 'At least one answer must pass the knockout rule', path: ['knockoutAnswers'] });
+    }
+  }
+
+  if (hasRange && question.type !== 'numeric') {
+    ctx.addIssue({ code: 'custom', message: 'Knockout ranges only apply to numeric questions', path: ['knockoutMin'] });
+  }
+  if (question.knockoutMin != null && question.knockoutMax != null && question.knockoutMin > question.knockoutMax) {
+    ctx.addIssue({ code: 'custom', message: 'knockoutMin cannot be greater than knockoutMax', path: ['knockoutMin'] });
+  }
+});
+
+const screeningQuestionsSchema = z.array(screeningQuestionSchema)
+  .max(MAX_SCREENING_QUESTIONS, `At most ${MAX_SCREENING_QUESTIONS} screening questions are allowed`);
+
+const MAX_SALARY_AMOUNT = 1000000000;
+
+const salaryAmountSchema = z.number()
+  .finite()
+  .min(0, 'Salary amounts cannot be negative')
+  .max(MAX_SALARY_AMOUNT, 'Salary amount is too large')
+  .nullable()
+  .optional();
+
+// Structured pay; at least one bound is required and min cannot exceed max
+const salarySchema = z.object({
+  min: salaryAmountSchema,
+  max: salaryAmountSchema,
+  currency: z.enum(CURRENCIES, {
+    errorMap: () => ({ message: `Salary currency must be one of: ${CURRENCIES.join(', ')}` })
+  }),
+  period: z.enum(SALARY_PERIODS, {
+    errorMap: () => ({ message: `Salary period must be one of: ${SALARY_PERIODS.join(', ')}` })
+  }),
+  isHidden: z.boolean().optional()
+}).superRefine((salary, ctx) => {
+  if (salary.min == null && salary.max == null) {
+    ctx.addIssue({ code: 'custom', message: 'Salary needs a minimum or maximum amount', path: ['min'] });
+  }
+  if (salary.min != null && salary.max != null && salary.min > salary.max) {
+    ctx.addIssue({ code: 'custom', message: 'Salary minimum cannot be greater than the maximum', path: ['min'] });
+  }
+});
+
 const createJobSchema = z.object({
   title: z.string()
     .min(5, 'Title must be 5-100 characters')
@@ -108,18 +202,24 @@ const createJobSchema = z.object({
   jobType: z.enum(JOB_TYPES, {
     errorMap: () => ({ message: `Job type must be one of: ${JOB_TYPES.join(', ')}` })
   }),
+  // Required unless structured salary is given; the controller derives it then
   salaryRange: z.string()
     .min(1, 'Salary range is required')
     .max(50, 'Salary range must be less than 50 characters')
-    .trim(),
+    .trim()
+    .optional(),
+  salary: salarySchema.nullable().optional(),
   deadline: z.string()
     .datetime('Application deadline is required')
     .refine(val => new Date(val) > new Date(), 'Deadline must be in the future'),
-  countryId: z.string().optional()
+  countryId: z.string().optional(),
+  screeningQuestions: screeningQuestionsSchema.optional()
 });
 
 const updateJobSchema = createJobSchema.partial();
 
+const extendJobDeadlineSchema = createJobSchema.pick({ deadline: true });
+
 // Draft jobs allow incomplete data — no validation required
 // Preprocess empty strings to undefined so optional() works correctly
 const emptyToUndefined = (val) => (val === '' || val === null || val === undefined) ? undefined : val;
@@ -148,12 +248,26 @@ const createDraftJobSchema = z.object({
     .max(50, 'Salary range must be less than 50 characters')
     .trim()
     .optional()),
+  salary: salarySchema.nullable().optional(),
   deadline: z.preprocess(emptyToUndefined, z.string()
     .datetime()
     .optional()),
-  countryId: z.preprocess(emptyToUndefined, z.string().optional())
+  countryId: z.preprocess(emptyToUndefined, z.string().optional()),
+  screeningQuestions: screeningQuestionsSchema.optional()
 }).passthrough();
 
+// Templates hold the same content as a draft, minus the deadline, under a company-chosen name
+const createJobTemplateSchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, 'Template name is required')
+    .max(100, 'Template name must be at most 100 characters'),
+  ...createDraftJobSchema.omit({ deadline: true }).shape,
+  jobId: z.preprocess(emptyToUndefined, z.string().optional())
+});
+
+const updateJobTemplateSchema = createJobTemplateSchema.omit({ jobId: true }).partial();
+
 const updateCompanyStatusSchema = z.object({
   status: z.enum(COMPANY_STATUSES, {
     errorMap: () => ({ message: 'Status must be approved, rejected, or pending' })
@@ -233,22 +347,350 @@ const verifyResetTokenSchema = z.object({
   token: z.string().length(64, 'Invalid token format')
 });
 
+const verifyEmailSchema = z.object({
+  token: z.string().length(64, 'Invalid token format')
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().email('Invalid email address')
+});
+
+const refreshTokenSchema = z.object({
+  refreshToken: z.string({ message: 'Refresh token is required' }).min(1, 'Refresh token is required')
+});
+
 const resetPasswordSchema = z.object({
   token: z.string().length(64, 'Invalid token format'),
   password: z.string().min(8, 'Password must be at least 8 characters')
 });
 
+// Saved Search Schemas
+const savedSearchQuerySchema = z.object({
+  search: z.preprocess(emptyToUndefined, z.string()
+    .max(200, 'Search must be at most 200 characters')
+    .trim()
+    .optional()),
+  location: z.preprocess(emptyToUndefined, z.string()
+    .max(100, 'Location must be at most 100 characters')
+    .trim()
+    .optional()),
+  jobType: z.preprocess(emptyToUndefined, z.enum(JOB_TYPES, {
+    errorMap: () => ({ message: `Job type must be one of: ${JOB_TYPES.join(', ')}` })
+  }).optional()),
+  countryId: z.preprocess(emptyToUndefined, z.string()
+    .regex(/^[a-f\d]{24}$/i, 'Invalid country ID format')
+    .optional())
+});
+
+const savedSearchFrequencySchema = z.enum(SAVED_SEARCH_FREQUENCIES, {
+  errorMap: () => ({ message: `Frequency must be one of: ${SAVED_SEARCH_FREQUENCIES.join(', ')}` })
+});
+
+const createSavedSearchSchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be at most 100 characters')
+    .trim(),
+  query: savedSearchQuerySchema.refine(
+    (query) => Object.values(query).some((value) => value !== undefined),
+    'At least one search criterion is required'
+  ),
+  frequency: savedSearchFrequencySchema.optional()
+});
+
+const updateSavedSearchSchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be at most 100 characters')
+    .trim()
+    .optional(),
+  query: savedSearchQuerySchema.refine(
+    (query) => Object.values(query).some((value) => value !== undefined),
+    'At least one search criterion is required'
+  ).optional(),
+  frequency: savedSearchFrequencySchema.optional(),
+  isActive: z.boolean().optional()
+});
+
+// Interview Schemas
+const interviewDetailsShape = {
+  title: z.string()
+    .max(100, 'Title must be at most 100 characters')
+    .trim()
+    .optional(),
+  durationMinutes: z.number()
+    .int('Duration must be a whole number of minutes')
+    .min(5, 'Duration must be 5-480 minutes')
+    .max(480, 'Duration must be 5-480 minutes'),
+  mode: z.enum(INTERVIEW_MODES, {
+    errorMap: () => ({ message: `Mode must be one of: ${INTERVIEW_MODES.join(', ')}` })
+  }),
+  location: z.string()
+    .max(300, 'Location must be at most 300 characters')
+    .trim()
+    .optional(),
+  meetingLink: z.string()
+    .url('Meeting link must be a valid URL')
+    .max(500, 'Meeting link must be at most 500 characters')
+    .optional(),
+  interviewers: z.array(
+    z.string()
+      .min(1, 'Interviewer name cannot be empty')
+      .max(100, 'Interviewer name must be at most 100 characters')
+      .trim()
+  ).max(10, 'At most 10 interviewers can be listed').optional(),
+  notes: z.string()
+    .max(2000, 'Notes must be at most 2000 characters')
+    .trim()
+    .optional(),
+  interviewDate: z.string().min(1, 'interviewDate is required'),
+  interviewTimeZone: z.string().optional()
+};
+
+const requireModeDetails = (data, ctx) => {
+  if (data.mode === 'video' && !data.meetingLink) {
+    ctx.addIssue({ code: 'custom', message: 'Meeting link is required for video interviews', path: ['meetingLink'] });
+  }
+  if (data.mode === 'onsite' && !data.location) {
+    ctx.addIssue({ code: 'custom', message: 'Location is required for onsite interviews', path: ['location'] });
+  }
+};
+
+const scheduleInterviewSchema = z.object(interviewDetailsShape).superRefine(requireModeDetails);
+
+const rescheduleInterviewSchema = z.object({
+  ...interviewDetailsShape,
+  durationMinutes: interviewDetailsShape.durationMinutes.optional(),
+  mode: interviewDetailsShape.mode.optional(),
+  reason: z.string()
+    .max(500, 'Reason must be at most 500 characters')
+    .trim()
+    .optional()
+});
+
+const MAX_INTERVIEW_SLOTS_PER_REQUEST = 50;
+
+const createInterviewSlotsSchema = z.object({
+  title: interviewDetailsShape.title,
+  durationMinutes: interviewDetailsShape.durationMinutes,
+  mode: interviewDetailsShape.mode,
+  location: interviewDetailsShape.location,
+  meetingLink: interviewDetailsShape.meetingLink,
+  interviewers: interviewDetailsShape.interviewers,
+  notes: interviewDetailsShape.notes,
+  interviewTimeZone: interviewDetailsShape.interviewTimeZone,
+  startTimes: z.array(z.string().min(1, 'Slot start time cannot be empty'))
+    .min(1, 'At least one slot start time is required')
+    .max(MAX_INTERVIEW_SLOTS_PER_REQUEST, `At most ${MAX_INTERVIEW_SLOTS_PER_REQUEST} slots can be published at once`)
+}).superRefine(requireModeDetails);
+
+const cancelInterviewSchema = z.object({
+  reason: z.string()
+    .max(500, 'Reason must be at most 500 characters')
+    .trim()
+    .optional()
+});
+
+// Offer Schemas
+// Sent as multipart/form-data when a letter PDF is attached, so numbers arrive as strings
+const extendOfferSchema = z.object({
+  salary: z.coerce.number({ message: 'Salary must be a number' })
+    .positive('Salary must be greater than 0')
+    .max(1000000000, 'Salary is too large'),
+  currency: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code (e.g. USD)'),
+  startDate: z.string()
+    .min(1, 'Start date is required')
+    .refine(val => !Number.isNaN(Date.parse(val)), 'Start date must be a valid date'),
+  expiresAt: z.string()
+    .datetime('Offer expiry must be an ISO date-time')
+    .refine(val => new Date(val) > new Date(), 'Offer expiry must be in the future'),
+  offerDetails: z.preprocess(emptyToUndefined, z.string()
+    .max(2000, 'Offer details must be at most 2000 characters')
+    .trim()
+    .optional())
+});
+
+const declineOfferSchema = z.object({
+  reason: z.string()
+    .max(500, 'Reason must be at most 500 characters')
+    .trim()
+    .optional()
+});
+
+// Application Schemas
+// Multipart apply requests send screeningAnswers as a JSON string
+const parseJsonField = (val) => {
+  if (typeof val !== 'string') {
+    return val;
+  }
+  try {
+    return JSON.parse(val);
+  } catch (error) {
+    return val;
+  }
+};
+
+const applyToJobSchema = z.object({
+  coverLetter: z.preprocess(emptyToUndefined, z.string()
+    .trim()
+    .max(5000, 'Cover letter must be at most 5000 characters')
+    .optional()),
+  screeningAnswers: z.preprocess(parseJsonField, z.any().optional()),
+  resumeVersionId: z.preprocess(emptyToUndefined, z.string().optional())
+});
+
+// Resume Library Schemas
+const resumeVersionNameSchema = z.string()
+  .trim()
+  .min(1, 'Resume name must be 1-100 characters')
+  .max(100, 'Resume name must be 1-100 characters');
+
+// Multipart bodies carry booleans as strings
+const booleanField = z.preprocess(
+  (val) => (val === 'true' ? true : val === 'false' ? false : val),
+  z.boolean({ message: 'isDefault must be true or false' })
+);
+
+const uploadResumeVersionSchema = z.object({
+  name: z.preprocess(emptyToUndefined, resumeVersionNameSchema.optional()),
+  isDefault: booleanField.optional()
+});
+
+const updateResumeVersionSchema = z.object({
+  name: resumeVersionNameSchema.optional(),
+  isDefault: z.literal(true, { message: 'isDefault can only be set to true; make another resume the default instead' }).optional()
+}).refine((data) => data.name !== undefined || data.isDefault !== undefined, {
+  message: 'Provide a name or isDefault to update'
+});
+
+// Talent Directory Schemas
+const createContactRequestSchema = z.object({
+  message: z.preprocess(emptyToUndefined, z.string()
+    .trim()
+    .max(1000, 'Message must be at most 1000 characters')
+    .optional())
+});
+
+const respondContactRequestSchema = z.object({
+  status: z.enum(['accepted', 'declined'], {
+    errorMap: () => ({ message: 'Status must be accepted or declined' })
+  })
+});
+
+// Company Team Schemas
+const companyRoleSchema = z.enum(COMPANY_ROLES, {
+  errorMap: () => ({ message: `Role must be one of: ${COMPANY_ROLES.join(', ')}` })
+});
+
+const inviteCompanyMemberSchema = z.object({
+  email: z.string({ message: 'Email is required' })
+    .trim()
+    .toLowerCase()
+    .email('Invalid email address'),
+  role: companyRoleSchema
+});
+
+const updateCompanyMemberSchema = z.object({
+  role: companyRoleSchema
+});
+
+const companyInviteTokenSchema = z.object({
+  token: z.string({ message: 'Invitation token is required' }).length(64, 'Invalid invitation token')
+});
+
+const acceptCompanyInviteSchema = companyInviteTokenSchema.extend({
+  username: z.string({ message: 'Username is required' })
+    .trim()
+    .toLowerCase()
+    .min(3, 'Username must be at least 3 characters')
+    .max(30, 'Username must be at most 30 characters'),
+  password: z.string({ message: 'Password is required' })
+    .min(8, 'Password must be at least 8 characters'),
+  confirmPassword: z.string({ message: 'Please confirm your password' })
+}).refine((data) => data.password === data.confirmPassword, {
+  message: 'Passwords do not match',
+  path: ['confirmPassword']
+});
+
+// Admin Role Schemas
+const adminRoleSchema = z.enum(ADMIN_ROLES, {
+  errorMap: () => ({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` })
+});
+
+const createAdminUserSchema = z.object({
+  username: z.string({ message: 'Username is required' })
+    .trim()
+    .toLowerCase()
+    .min(3, 'Username must be at least 3 characters')
+    .max(30, 'Username must be at most 30 characters'),
+  password: z.string({ message: 'Password is required' })
+    .min(8, 'Password must be at least 8 characters'),
+  role: adminRoleSchema
+});
+
+const updateAdminRoleSchema = z.object({
+  role: adminRoleSchema
+});
+
+// Withdrawal Request Schemas
+const requestWithdrawalSchema = z.object({
+  reason: z.string({ message: 'Reason is required' })
+    .trim()
+    .min(10, 'Reason must be 10-1000 characters')
+    .max(1000, 'Reason must be 10-1000 characters')
+});
+
+const reviewWithdrawalRequestSchema = z.object({
+  status: z.enum(['approved', 'rejected'], {
+    errorMap: () => ({ message: 'Status must be approved or rejected' })
+  }),
+  adminNote: z.string()
+    .max(1000, 'Admin note must be at most 1000 characters')
+    .trim()
+    .optional()
+});
+
 module.exports = {
   companyRegisterSchema,
   studentRegistrationSchema,
   createJobSchema,
   createDraftJobSchema,
+  createJobTemplateSchema,
+  updateJobTemplateSchema,
   updateJobSchema,
+  extendJobDeadlineSchema,
   updateCompanyStatusSchema,
   updateJobStatusSchema,
   adminUpdateApplicationSchema,
   companyProfileSchema,
   forgotPasswordSchema,
   verifyResetTokenSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  scheduleInterviewSchema,
+  rescheduleInterviewSchema,
+  cancelInterviewSchema,
+  createInterviewSlotsSchema,
+  extendOfferSchema,
+  declineOfferSchema,
+  applyToJobSchema,
+  uploadResumeVersionSchema,
+  updateResumeVersionSchema,
+  createContactRequestSchema,
+  respondContactRequestSchema,
+  inviteCompanyMemberSchema,
+  updateCompanyMemberSchema,
+  companyInviteTokenSchema,
+  acceptCompanyInviteSchema,
+  createAdminUserSchema,
+  updateAdminRoleSchema,
+  requestWithdrawalSchema,
+  reviewWithdrawalRequestSchema
 };